@@ -0,0 +1,92 @@
+// app.js
+/**
+ * createApp({ retriever, llm, historyStore, config }) -> express app (not listening)
+ *
+ * Builds the HTTP app without side effects beyond the injected dependencies, so
+ * server.js can listen on it and tests can drive it in-process:
+ *   retriever     - { getContextWithHits(query, top_k, options) } (default: Qdrant, services/ragService.js)
+ *   llm           - an LLM provider (default: LLM_PROVIDER, services/llmService.js)
+ *   historyStore  - a chat history store (default: HISTORY_STORE, services/historyStore.js)
+ *   config        - result of loadConfig().config; when omitted the environment is validated here
+ *                   and a ConfigError listing every problem is thrown
+ * Injected dependencies are process-wide (the services hold one of each), so create
+ * one app per process — or per test file.
+ */
+
+import express from "express";
+import cors from "cors";
+import chatRoutes from "./routes/chatRoutes.js";
+import sessionRoutes from "./routes/sessionRoutes.js";
+import featuredRoute from "./routes/featuredRoutes.js";
+import articleRoutes from "./routes/articleRoutes.js";
+import digestRoutes from "./routes/digestRoutes.js";
+import ingestRoutes from "./routes/ingestRoutes.js";
+import authRoutes from "./routes/authRoutes.js";
+import feedbackRoutes from "./routes/feedbackRoutes.js";
+import metricsRoutes from "./routes/metricsRoutes.js";
+import healthRoutes from "./routes/healthRoutes.js";
+import { setRetriever } from "./services/ragService.js";
+import { setLLM } from "./services/llmService.js";
+import { setHistoryStore } from "./services/historyStore.js";
+import { loadConfig, ConfigError } from "./services/config.js";
+import { rateLimit } from "./middleware/rateLimit.js";
+import { authenticate } from "./middleware/auth.js";
+import { requestContext } from "./middleware/requestContext.js";
+
+export function createApp({ retriever, llm, historyStore, config } = {}) {
+  if (!config) {
+    const loaded = loadConfig(process.env, { needs: { retriever: !retriever, llm: !llm } });
+    if (loaded.errors.length) throw new ConfigError(loaded.errors);
+    config = loaded.config;
+  }
+  if (retriever) setRetriever(retriever);
+  if (llm) setLLM(llm);
+  if (historyStore) setHistoryStore(historyStore);
+
+  const app = express();
+
+  // behind a proxy / load balancer req.ip (used by the rate limiter) must come from X-Forwarded-For
+  // (TRUST_PROXY = hop count, "true", or a subnet list such as "loopback, 10.0.0.0/8")
+  if (config.trustProxy != null) app.set("trust proxy", config.trustProxy);
+
+  // request id (X-Request-Id) + access log + http metrics; first, so every later log line carries the id
+  app.use(requestContext);
+
+  app.use(cors());
+
+  // Prometheus scrape endpoint; mounted before authenticate because it has its own bearer token
+  app.use("/metrics", metricsRoutes);
+
+  // resolves `Authorization: Bearer <jwt>` / `x-api-key` into req.auth (anonymous when absent)
+  app.use(authenticate);
+
+  // ingestion parses its own (larger) bodies, so it is mounted before the JSON parser;
+  // it requires INGEST_TOKEN or an API key and is disabled without both (routes/ingestRoutes.js)
+  app.use("/ingest", rateLimit(), ingestRoutes);
+
+  app.use(express.json());
+
+  // mount existing chat/session routes under /api to match frontend API_BASE_URL = "/api"
+  app.use("/chat", chatRoutes);
+  app.use("/auth", rateLimit(), authRoutes);
+  app.use("/session", rateLimit(), sessionRoutes);
+
+  // add featured endpoint at /api/featured
+  app.use("/featured", rateLimit(), featuredRoute);
+
+  // corpus browsing: article list, reassembled articles, related articles
+  app.use("/articles", rateLimit(), articleRoutes);
+
+  // multi-article digests: POST starts a job, GET /digest/:jobId polls it (limits set per route)
+  app.use("/digest", digestRoutes);
+
+  // feedback reports (API-key clients)
+  app.use("/feedback", rateLimit(), feedbackRoutes);
+
+  // /health (legacy), /health/live (process up), /health/ready (dependencies; 503 when a critical one fails)
+  app.use("/health", healthRoutes);
+
+  return app;
+}
+
+export default createApp;
@@ -0,0 +1,48 @@
+// middleware/auth.js
+/**
+ * Auth middleware (see services/authService.js for credentials and principals).
+ *
+ *   authenticate          - app-level: sets req.auth from `Authorization: Bearer <jwt>`
+ *                           or `x-api-key`; a bad credential is a 401, none means anonymous
+ *   requireAuth()         - 401 for anonymous callers when AUTH_REQUIRED is set
+ *   requireAuth({ always: true }) - 401 for anonymous callers regardless of AUTH_REQUIRED
+ *   sessionAccess         - router.param("sessionId", …) handler: 404 unless the session
+ *                           exists and the caller may use it (services/sessionService.js);
+ *                           sets req.chatSession to the session record; 503 when the
+ *                           session store cannot be read
+ */
+
+import { AUTH_REQUIRED, resolveAuth } from "../services/authService.js";
+import { getSession, canAccessSession, SessionStoreError } from "../services/sessionService.js";
+
+export function authenticate(req, res, next) {
+  const { auth, error } = resolveAuth({ authorization: req.get("authorization"), apiKey: req.get("x-api-key") });
+  if (error) return res.status(401).json({ error });
+  req.auth = auth;
+  next();
+}
+
+export function requireAuth(options = {}) {
+  const always = Boolean(options.always);
+  return function requireAuthMiddleware(req, res, next) {
+    if (!req.auth && (always || AUTH_REQUIRED)) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    next();
+  };
+}
+
+/* 404 rather than 403 so sessionIds of other users cannot be probed */
+export async function sessionAccess(req, res, next, sessionId) {
+  try {
+    const record = await getSession(sessionId);
+    if (!canAccessSession(record, req.auth)) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    req.chatSession = record;
+    next();
+  } catch (err) {
+    if (err instanceof SessionStoreError) return res.status(503).json({ error: err.message });
+    next(err);
+  }
+}
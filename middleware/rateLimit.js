@@ -0,0 +1,270 @@
+// middleware/rateLimit.js
+/**
+ * Rate limiting + daily LLM quota for the expensive routes (/chat, /featured).
+ *
+ * Sliding-window limits (RATE_LIMIT_WINDOW_SECONDS) over these scopes:
+ *   ip        - req.ip (set TRUST_PROXY when running behind a load balancer)
+ *   session   - req.params.sessionId (only on routes with a :sessionId)
+ *   api_key   - API-key clients (req.auth from middleware/auth.js)
+ *   user      - signed-in users (req.auth)
+ * All scopes of a request are checked first and the request is then counted in all of them
+ * at once, so one rejected by a scope takes no slot in the others.
+ *
+ * The daily quota of LLM calls per principal (or per IP for anonymous callers), reset at UTC
+ * midnight, is checked up front and charged one unit per model call the request makes
+ * (services/geminiService.js calls the request context's onLlmCall): a chat that rewrites the
+ * question costs two, a digest one per summary plus the briefing; canned replies, cache hits
+ * and guardrail refusals are free. The check only admits or refuses the request, so a request
+ * that passes it (or several concurrent ones) can overshoot the quota by its own calls.
+ *
+ * Windows are Redis sorted sets (`ratelimit:<scope>:<id>`, one member per request) checked and
+ * updated by one Lua script, the quota a Redis counter (`quota:llm:<id>:<YYYY-MM-DD>`). Without
+ * a ready Redis client the same logic runs in process memory (per instance), like the memory
+ * history store. Redis errors fail open.
+ *
+ * Responses carry X-RateLimit-Limit / -Remaining / -Reset (epoch seconds) for the
+ * tightest limit; a rejected request gets 429, Retry-After (seconds) and
+ * { error, scope, retry_after }.
+ *
+ * Environment variables:
+ *   RATE_LIMIT_ENABLED         - optional (default true)
+ *   RATE_LIMIT_WINDOW_SECONDS  - optional (default 60)
+ *   RATE_LIMIT_PER_IP          - optional (default 60 requests per window, 0 = off)
+ *   RATE_LIMIT_PER_SESSION     - optional (default 20)
+ *   RATE_LIMIT_PER_API_KEY     - optional (default 120)
+ *   RATE_LIMIT_PER_USER        - optional (default 60)
+ *   LLM_DAILY_QUOTA            - optional (default 500 LLM calls per day, 0 = off)
+ */
+
+import crypto from "crypto";
+import { redis, isRedisReady } from "../services/redisClient.js";
+import { createLogger, getRequestContext } from "../services/logger.js";
+
+const log = createLogger("ratelimit");
+
+const ENABLED = !/^(0|false|no|off)$/i.test(process.env.RATE_LIMIT_ENABLED || "");
+const WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 60) * 1000;
+const LIMITS = {
+  ip: Number(process.env.RATE_LIMIT_PER_IP ?? 60),
+  session: Number(process.env.RATE_LIMIT_PER_SESSION ?? 20),
+  api_key: Number(process.env.RATE_LIMIT_PER_API_KEY ?? 120),
+  user: Number(process.env.RATE_LIMIT_PER_USER ?? 60),
+};
+const LLM_DAILY_QUOTA = Number(process.env.LLM_DAILY_QUOTA ?? 500);
+
+/* -------------------------
+   In-memory fallback
+   ------------------------- */
+const memWindows = new Map(); // key -> [timestamps]
+const memQuotas = new Map(); // key -> count (key includes the day)
+
+function sweepMemory(now) {
+  if (memWindows.size < 10_000) return;
+  for (const [key, hits] of memWindows) {
+    if (!hits.length || hits[hits.length - 1] <= now - WINDOW_MS) memWindows.delete(key);
+  }
+  const today = utcDay(now);
+  for (const key of memQuotas.keys()) {
+    if (!key.endsWith(today)) memQuotas.delete(key);
+  }
+}
+
+/* [{ key, limit }] -> { allowed, counts: [{ count, oldest }] }; the request joins every window only when all have room */
+function memoryWindows(windows, now) {
+  sweepMemory(now);
+  const current = windows.map(({ key }) => (memWindows.get(key) || []).filter((t) => t > now - WINDOW_MS));
+  const allowed = windows.every(({ limit }, i) => current[i].length < limit);
+  const counts = windows.map(({ key }, i) => {
+    const hits = current[i];
+    if (allowed) hits.push(now);
+    memWindows.set(key, hits);
+    return { count: hits.length, oldest: hits[0] ?? now };
+  });
+  return { allowed, counts };
+}
+
+/* -------------------------
+   Redis sliding windows (sorted sets of request timestamps)
+   ------------------------- */
+
+/*
+ * KEYS: the window keys; ARGV: now, window ms, member, then one limit per key.
+ * Returns [allowed (1|0), count, oldest, count, oldest, ...]; counts include the request when
+ * it was added. Running as one script makes check-then-add atomic across all the windows.
+ */
+const WINDOWS_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local counts, oldest = {}, {}
+local allowed = true
+for i, key in ipairs(KEYS) do
+  redis.call("ZREMRANGEBYSCORE", key, 0, now - window)
+  counts[i] = redis.call("ZCARD", key)
+  oldest[i] = tonumber(redis.call("ZRANGE", key, 0, 0, "WITHSCORES")[2] or now)
+  if counts[i] >= tonumber(ARGV[3 + i]) then allowed = false end
+end
+local out = { allowed and 1 or 0 }
+for i, key in ipairs(KEYS) do
+  if allowed then
+    redis.call("ZADD", key, now, ARGV[3])
+    redis.call("PEXPIRE", key, window)
+    counts[i] = counts[i] + 1
+  end
+  out[#out + 1] = counts[i]
+  out[#out + 1] = oldest[i]
+end
+return out
+`;
+
+async function redisWindows(windows, now) {
+  if (!redis.rateLimitWindows) redis.defineCommand("rateLimitWindows", { lua: WINDOWS_SCRIPT });
+  const member = `${now}-${crypto.randomBytes(4).toString("hex")}`;
+  const flat = await redis.rateLimitWindows(
+    windows.length,
+    ...windows.map((w) => w.key),
+    now, WINDOW_MS, member, ...windows.map((w) => w.limit),
+  );
+  return {
+    allowed: Number(flat[0]) === 1,
+    counts: windows.map((_, i) => ({ count: Number(flat[2 * i + 1]), oldest: Number(flat[2 * i + 2]) })),
+  };
+}
+
+/*
+ * checkWindows([[scope, id, limit]], now) -> [{ scope, limit, allowed, remaining, resetMs }]
+ * (empty when Redis failed: fail open). `allowed` is false for every scope that was full.
+ */
+async function checkWindows(checks, now) {
+  if (!checks.length) return [];
+  const windows = checks.map(([scope, id, limit]) => ({ key: `ratelimit:${scope}:${id}`, limit }));
+  let r;
+  if (isRedisReady()) {
+    try {
+      r = await redisWindows(windows, now);
+    } catch (err) {
+      log.warn("redis window failed, allowing", err);
+      return [];
+    }
+  } else {
+    r = memoryWindows(windows, now);
+  }
+  return checks.map(([scope, , limit], i) => ({
+    scope,
+    limit,
+    allowed: r.allowed || r.counts[i].count < limit,
+    remaining: Math.max(0, limit - r.counts[i].count),
+    resetMs: r.counts[i].oldest + WINDOW_MS,
+  }));
+}
+
+/* -------------------------
+   Daily LLM quota (fixed UTC day)
+   ------------------------- */
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(now) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+}
+
+const quotaKey = (id, now) => `quota:llm:${id}:${utcDay(now)}`;
+
+/* calls left today, without charging one (null when Redis failed: fail open) */
+async function checkQuota(id, now) {
+  const key = quotaKey(id, now);
+  let count;
+  if (isRedisReady()) {
+    try {
+      count = Number((await redis.get(key)) || 0);
+    } catch (err) {
+      log.warn("redis quota failed, allowing", err);
+      return null;
+    }
+  } else {
+    sweepMemory(now);
+    count = memQuotas.get(key) || 0;
+  }
+  return {
+    scope: "llm_daily_quota",
+    limit: LLM_DAILY_QUOTA,
+    allowed: count < LLM_DAILY_QUOTA,
+    // what is left once this request has made its call
+    remaining: Math.max(0, LLM_DAILY_QUOTA - count - 1),
+    resetMs: nextUtcMidnight(now),
+  };
+}
+
+/* counts one LLM call against the quota; errors are logged, never thrown */
+async function chargeQuota(id, now) {
+  const key = quotaKey(id, now);
+  if (isRedisReady()) {
+    try {
+      await redis.multi().incr(key).expire(key, 2 * 86_400).exec();
+    } catch (err) {
+      log.warn("redis quota charge failed", err);
+    }
+    return;
+  }
+  memQuotas.set(key, (memQuotas.get(key) || 0) + 1);
+}
+
+function hashKey(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex").slice(0, 24);
+}
+
+function setHeaders(res, r) {
+  res.set("X-RateLimit-Limit", String(r.limit));
+  res.set("X-RateLimit-Remaining", String(r.remaining));
+  res.set("X-RateLimit-Reset", String(Math.ceil(r.resetMs / 1000)));
+}
+
+/**
+ * rateLimit({ session = false, llmQuota = false })
+ * Express middleware. IP and caller (API key / user) windows always apply; `session` adds the
+ * per-sessionId window (route must have :sessionId). `llmQuota` checks the daily LLM quota before
+ * the windows and charges it once per model call the request makes (onLlmCall in the request context).
+ */
+export function rateLimit(options = {}) {
+  const { session = false, llmQuota = false } = options;
+
+  return async function rateLimitMiddleware(req, res, next) {
+    if (!ENABLED) return next();
+    const now = Date.now();
+    // principals are hashed so keys never carry emails or client names
+    const auth = req.auth;
+    const principal = auth ? hashKey(auth.principal) : null;
+
+    const checks = [];
+    if (LIMITS.ip > 0) checks.push(["ip", req.ip || "unknown", LIMITS.ip]);
+    if (session && LIMITS.session > 0 && req.params.sessionId) checks.push(["session", req.params.sessionId, LIMITS.session]);
+    if (auth && LIMITS[auth.type] > 0) checks.push([auth.type, principal, LIMITS[auth.type]]);
+
+    // the quota is read before the windows so a request it rejects takes no window slot either
+    const quotaId = principal ? `p:${principal}` : `ip:${req.ip || "unknown"}`;
+    const quota = llmQuota && LLM_DAILY_QUOTA > 0 ? await checkQuota(quotaId, now) : null;
+    const results = quota && !quota.allowed ? [quota] : await checkWindows(checks, now);
+    if (quota?.allowed) results.push(quota);
+
+    const blocked = results.find((r) => !r.allowed);
+    const tightest = blocked || results.reduce((min, r) => (!min || r.remaining < min.remaining ? r : min), null);
+    if (tightest) setHeaders(res, tightest);
+
+    if (blocked) {
+      const retryAfter = Math.max(1, Math.ceil((blocked.resetMs - now) / 1000));
+      log.warn(`${blocked.scope} limit hit (${req.method} ${req.originalUrl})`);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: blocked.scope === "llm_daily_quota" ? "Daily LLM quota exceeded" : "Rate limit exceeded",
+        scope: blocked.scope,
+        retry_after: retryAfter,
+      });
+    }
+    const ctx = getRequestContext();
+    if (quota && ctx) ctx.onLlmCall = () => chargeQuota(quotaId, Date.now());
+    next();
+  };
+}
+
+export default rateLimit;
@@ -0,0 +1,57 @@
+// middleware/requestContext.js
+/**
+ * Request tracing: gives every request an id and a context that services read
+ * through services/logger.js (request_id on every log line) and
+ * services/metricsService.js (per-stage timings).
+ *
+ * - The id is taken from an incoming `X-Request-Id` header (so a gateway's id is kept)
+ *   or generated, and echoed back in the `X-Request-Id` response header.
+ * - When the response finishes, one access log line is written with status, duration
+ *   and the stage timings, and the http_* metrics are updated.
+ */
+
+import crypto from "crypto";
+import { createLogger, runWithRequestContext } from "../services/logger.js";
+import { httpRequests, httpDuration } from "../services/metricsService.js";
+
+const log = createLogger("http");
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+/* low-cardinality route label: the matched route pattern, never the raw path */
+function routeLabel(req) {
+  if (req.route?.path) return `${req.baseUrl}${req.route.path === "/" ? "" : req.route.path}` || "/";
+  return req.baseUrl || "unmatched";
+}
+
+export function requestContext(req, res, next) {
+  const incoming = req.get("x-request-id");
+  const requestId = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.setHeader("X-Request-Id", requestId);
+
+  const context = { requestId, timings: {} };
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+    const route = routeLabel(req);
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, ms / 1000);
+    // /metrics and /health are scraped constantly; keep them out of the info log
+    const level = route.startsWith("/metrics") || route.startsWith("/health") ? "debug" : "info";
+    runWithRequestContext(context, () =>
+      log[level]("request completed", {
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        route,
+        status: res.statusCode,
+        duration_ms: Math.round(ms * 10) / 10,
+        timings: context.timings,
+      })
+    );
+  });
+
+  runWithRequestContext(context, next);
+}
+
+export default requestContext;
@@ -0,0 +1,71 @@
+// routes/articleRoutes.js
+import express from "express";
+import { listArticles, getArticle, getRelatedArticles } from "../services/articleService.js";
+import { normalizeFilters } from "../services/searchFilters.js";
+import { requireAuth } from "../middleware/auth.js";
+import { createLogger } from "../services/logger.js";
+
+const log = createLogger("articles");
+
+const router = express.Router();
+
+// anonymous callers are rejected when AUTH_REQUIRED is set (rate limits: app.js)
+router.use(requireAuth());
+
+function clampInt(value, fallback, min, max) {
+  return Math.max(min, Math.min(max, parseInt(value ?? String(fallback), 10) || fallback));
+}
+
+/**
+ * GET /articles?limit=20&cursor=...&sources[]=reuters.com&from=48h&to=...&category=sports
+ * -> { articles: [{ id, title, url, source, published, category, chunk_count, excerpt }], next_cursor }
+ * Pass next_cursor back as `cursor` for the next page (null on the last page).
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { filters, error } = normalizeFilters(req.query);
+    if (error) return res.status(400).json({ error });
+    const limit = clampInt(req.query.limit, 20, 1, 100);
+    const cursor = req.query.cursor ? String(req.query.cursor) : null;
+    res.json(await listArticles({ filters, limit, cursor }));
+  } catch (err) {
+    log.error("GET /articles error", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /articles/:id
+ * -> { id, title, url, source, published, category, chunk_count, text, chunks: [{ id, chunk_index, text }] }
+ * `id` is the article_id carried by hits and citations; text is the article reassembled from its chunks.
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const article = await getArticle(req.params.id);
+    if (!article) return res.status(404).json({ error: "Article not found" });
+    res.json(article);
+  } catch (err) {
+    log.error("GET /articles/:id error", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /articles/:id/related?limit=5  (same source/date/category filters as the list)
+ * -> { id, related: [{ id, title, url, source, published, category, chunk_count, excerpt, score }] }
+ */
+router.get("/:id/related", async (req, res) => {
+  try {
+    const { filters, error } = normalizeFilters(req.query);
+    if (error) return res.status(400).json({ error });
+    const limit = clampInt(req.query.limit, 5, 1, 20);
+    const result = await getRelatedArticles(req.params.id, { limit, filters });
+    if (!result) return res.status(404).json({ error: "Article not found" });
+    res.json(result);
+  } catch (err) {
+    log.error("GET /articles/:id/related error", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
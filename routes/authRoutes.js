@@ -0,0 +1,55 @@
+// routes/authRoutes.js
+import express from "express";
+import { registerUser, loginUser, UserStoreError } from "../services/authService.js";
+import { requireAuth } from "../middleware/auth.js";
+import { createLogger } from "../services/logger.js";
+
+const log = createLogger("auth");
+
+const router = express.Router();
+
+/**
+ * POST /auth/register
+ * Body: { email, password }  (password: at least 8 characters)
+ * -> 201 { user: { id, email, created_at }, token }; 409 for a registered email, 503 while the user store is down
+ */
+router.post("/register", async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const result = await registerUser(email, password);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    return res.status(201).json(result);
+  } catch (err) {
+    if (err instanceof UserStoreError) return res.status(503).json({ error: err.message });
+    log.error("POST /auth/register error", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /auth/login
+ * Body: { email, password }
+ * -> { user, token }  — send the token as `Authorization: Bearer <token>`
+ */
+router.post("/login", async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const result = await loginUser(email, password);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    return res.json(result);
+  } catch (err) {
+    if (err instanceof UserStoreError) return res.status(503).json({ error: err.message });
+    log.error("POST /auth/login error", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /auth/me
+ * -> { auth }  the caller as resolved from the token / API key
+ */
+router.get("/me", requireAuth({ always: true }), (req, res) => {
+  res.json({ auth: req.auth });
+});
+
+export default router;
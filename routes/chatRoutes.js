@@ -1,20 +1,194 @@
 // routes/chatRoutes.js
 import express from "express";
-import { handleChat, getHistory, clearHistory } from "../services/redisService.js";
+import { handleChat, handleChatStream, getHistory, clearHistory, getMessage } from "../services/redisService.js";
+import { RETRIEVAL_MODES } from "../services/ragService.js";
+import { normalizeFilters, parseFlag } from "../services/searchFilters.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { requireAuth, sessionAccess } from "../middleware/auth.js";
+import { validateFeedback, saveFeedback } from "../services/feedbackService.js";
+import { createLogger } from "../services/logger.js";
+
+const log = createLogger("chat");
 
 const router = express.Router();
 
+// anonymous callers are rejected when AUTH_REQUIRED is set; every :sessionId route
+// needs a session created via POST /session that the caller may use (404 otherwise)
+router.use(requireAuth());
+router.param("sessionId", sessionAccess);
+
+// per-IP / per-session / per-API-key windows + the daily LLM quota (see middleware/rateLimit.js)
+const chatLimiter = rateLimit({ session: true, llmQuota: true });
+
+/* Write one Server-Sent Event frame */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Per-request model settings, from the JSON body (`llm: {...}`) or the stream's query string.
+ * Returns { llm } or { error } with a message for a 400.
+ */
+function parseLlmOptions(source = {}) {
+  const llm = {};
+  if (source.model !== undefined) {
+    if (typeof source.model !== "string" || !/^[\w.\-/:]+$/.test(source.model)) return { error: "llm.model must be a model id" };
+    llm.model = source.model;
+  }
+  if (source.temperature !== undefined) {
+    const t = Number(source.temperature);
+    if (!Number.isFinite(t) || t < 0 || t > 2) return { error: "llm.temperature must be between 0 and 2" };
+    llm.temperature = t;
+  }
+  if (source.maxOutputTokens !== undefined) {
+    const n = Number(source.maxOutputTokens);
+    if (!Number.isInteger(n) || n < 1 || n > 8192) return { error: "llm.maxOutputTokens must be an integer between 1 and 8192" };
+    llm.maxOutputTokens = n;
+  }
+  if (source.system !== undefined) {
+    if (typeof source.system !== "string" || source.system.length > 4000) return { error: "llm.system must be a string of at most 4000 characters" };
+    llm.system = source.system;
+  }
+  return { llm };
+}
+
+/**
+ * Per-request retrieval settings: `retrieval` (mode), `rerank` and the metadata filters
+ * `sources`, `from`, `to`, `category` in the JSON body or the stream's query string.
+ * Returns { retrieval } or { error } with a message for a 400.
+ */
+function parseRetrievalOptions(source = {}) {
+  const retrieval = {};
+  if (source.retrieval !== undefined) {
+    if (!RETRIEVAL_MODES.includes(source.retrieval)) {
+      return { error: `retrieval must be one of: ${RETRIEVAL_MODES.join(", ")}` };
+    }
+    retrieval.mode = source.retrieval;
+  }
+  if (source.rerank !== undefined) {
+    const rerank = parseFlag(source.rerank);
+    if (rerank === null) return { error: "rerank must be a boolean" };
+    retrieval.rerank = rerank;
+  }
+  const { filters, error } = normalizeFilters(source);
+  if (error) return { error };
+  if (filters) retrieval.filters = filters;
+  return { retrieval };
+}
+
+/* `cache: false` skips the semantic answer cache for one request; { cache } or { error } */
+function parseCacheOption(source = {}) {
+  if (source.cache === undefined) return { cache: undefined };
+  const cache = parseFlag(source.cache);
+  if (cache === null) return { error: "cache must be a boolean" };
+  return { cache };
+}
+
+/**
+ * Streams a chat answer as Server-Sent Events:
+ *   event: hits   -> { hits, passages, top_k_used, rewritten_query, retrieval_mode, reranker, context_report, route, cached? }  (retrieved sources, before the model runs)
+ *   event: delta  -> { text }              (token chunks from the model; a cached, canned or headlines answer arrives as one delta)
+ *   event: error  -> { error, code?, details? }  (generation failed or a guardrail tripped; `done` still follows
+ *                    with the fallback answer, which replaces any text already streamed)
+ *   event: done   -> { sessionId, message_id, query, rewritten_query, answer, citations, invalid_citations, top_k_used, route, cached, cache? }
+ *                    (`answer` has invalid [n] markers removed; the deltas were sent raw)
+ * A client disconnect aborts the model call; nothing is stored in that case.
+ */
+async function streamChat(req, res, sessionId, query, options = {}) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const result = await handleChatStream(sessionId, query, {
+      ...options,
+      signal: controller.signal,
+      onHits: (info) => sendEvent(res, "hits", info),
+      onDelta: (text) => sendEvent(res, "delta", { text }),
+    });
+    if (result.aborted) return;
+    if (result.error) {
+      sendEvent(res, "error", { error: result.error.message, code: result.error.code, details: result.error.details });
+    }
+    sendEvent(res, "done", {
+      sessionId,
+      message_id: result.message_id,
+      query,
+      rewritten_query: result.rewritten_query,
+      answer: result.answer,
+      citations: result.citations,
+      invalid_citations: result.invalid_citations,
+      top_k_used: result.top_k_used,
+      route: result.route,
+      cached: result.cached,
+      cache: result.cache,
+    });
+  } catch (err) {
+    log.error("stream /chat error", err);
+    if (!controller.signal.aborted) sendEvent(res, "error", { error: err.message });
+  }
+  res.end();
+}
+
+/**
+ * GET /chat/:sessionId/stream?query=...[&retrieval=&rerank=][&sources[]=&from=&to=&category=][&model=&temperature=&maxOutputTokens=&system=][&cache=false]
+ * -> Same as POST /chat/:sessionId but streamed over SSE (see streamChat)
+ */
+router.get("/:sessionId/stream", chatLimiter, async (req, res) => {
+  const { sessionId } = req.params;
+  const query = (req.query.query || "").toString();
+
+  if (!query) {
+    return res.status(400).json({ error: "Query is required" });
+  }
+
+  const { llm, error } = parseLlmOptions(req.query);
+  const { retrieval, error: retrievalError } = parseRetrievalOptions(req.query);
+  const { cache, error: cacheError } = parseCacheOption(req.query);
+  if (error || retrievalError || cacheError) {
+    return res.status(400).json({ error: error || retrievalError || cacheError });
+  }
+
+  await streamChat(req, res, sessionId, query, { llm, retrieval, cache });
+});
+
 /**
  * POST /chat/:sessionId
- * -> Ask a question in a session, get Gemini’s answer, save to Redis
+ * -> Ask a question in a session, get the model's answer, save to Redis
+ * Body: {
+ *   query,
+ *   retrieval?: "dense"|"keyword"|"hybrid", rerank?: boolean,
+ *   sources?: [domain], from?: ISO|"48h", to?: ISO|"48h", category?: string|[string],
+ *   llm?: { model, temperature, maxOutputTokens, system },   (system goes through the injection check too)
+ *   cache?: boolean   (false skips the semantic answer cache)
+ * }
  *
  * This handler accepts two shapes returned by handleChat:
  * 1) a plain string answer
- * 2) a rich object { answer, context, hits, top_k_used }
+ * 2) a rich object { message_id, answer, citations, invalid_citations, context, hits, top_k_used, rewritten_query,
+ *    retrieval_mode, reranker, context_report, route, cached, cache?, error? }
+ *    context_report lists the chunks that went into the context (hits and neighbouring chunks of
+ *    the same article) and those dropped, with the reason (duplicate, article_cap, budget, empty)
+ *    error.code is blocked | empty | upstream | config for generation failures, prompt_injection for a
+ *    message refused by the guardrails (route is null then) and unsafe_output for a withheld answer
+ *    route = { intent: "chit_chat"|"meta"|"headlines"|"news", handler: "canned"|"featured"|"rag", window, reason }
+ *    tells which path answered; window is the { from, to } date range routing limited retrieval to
+ *    (null when the message named none, or the request set from/to itself)
  *
  * We normalize both and return a consistent JSON response.
+ * With `Accept: text/event-stream` the answer is streamed instead (see streamChat).
  */
-router.post("/:sessionId", async (req, res) => {
+router.post("/:sessionId", chatLimiter, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { query } = req.body;
@@ -23,7 +197,19 @@ router.post("/:sessionId", async (req, res) => {
       return res.status(400).json({ error: "Query is required" });
     }
 
-    const result = await handleChat(sessionId, query);
+    const { llm, error } = parseLlmOptions(req.body.llm || {});
+    const { retrieval, error: retrievalError } = parseRetrievalOptions(req.body);
+    const { cache, error: cacheError } = parseCacheOption(req.body);
+    if (error || retrievalError || cacheError) {
+      return res.status(400).json({ error: error || retrievalError || cacheError });
+    }
+
+    // clients asking for `Accept: text/event-stream` get the streamed variant
+    if (req.accepts(["application/json", "text/event-stream"]) === "text/event-stream") {
+      return await streamChat(req, res, sessionId, query, { llm, retrieval, cache });
+    }
+
+    const result = await handleChat(sessionId, query, { llm, retrieval, cache });
 
     // If handleChat returned an object with "answer", spread it
     if (result && typeof result === "object" && result.answer !== undefined) {
@@ -33,7 +219,36 @@ router.post("/:sessionId", async (req, res) => {
     // Otherwise assume it's a plain answer string
     return res.json({ sessionId, query, answer: result });
   } catch (err) {
-    console.error("POST /chat error:", err);
+    log.error("POST /chat error", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /chat/:sessionId/messages/:messageId/feedback
+ * Body: { rating: 1-5, reason?: "incorrect"|"incomplete"|"outdated"|"irrelevant_sources"|"bad_citation"|"unclear"|"helpful"|"other", comment? }
+ * -> { sessionId, message_id, feedback: { rating, reason, comment, created_at, updated_at } }
+ * `messageId` is the message_id returned with the answer (also in the history entries).
+ * Sending feedback again for the same message replaces it. A store failure is a 500 (nothing was saved).
+ */
+router.post("/:sessionId/messages/:messageId/feedback", rateLimit(), async (req, res) => {
+  try {
+    const { sessionId, messageId } = req.params;
+    const { feedback, error } = validateFeedback(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const message = await getMessage(sessionId, messageId);
+    if (!message) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    const record = await saveFeedback(sessionId, message, feedback, req.auth);
+    const { rating, reason, comment, created_at, updated_at } = record;
+    res.json({ sessionId, message_id: messageId, feedback: { rating, reason, comment, created_at, updated_at } });
+  } catch (err) {
+    log.error("POST /chat feedback error", err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -48,7 +263,7 @@ router.get("/:sessionId", async (req, res) => {
     const history = await getHistory(sessionId);
     res.json({ sessionId, history });
   } catch (err) {
-    console.error("GET /chat error:", err);
+    log.error("GET /chat error", err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -63,7 +278,7 @@ router.delete("/:sessionId", async (req, res) => {
     await clearHistory(sessionId);
     res.json({ sessionId, cleared: true });
   } catch (err) {
-    console.error("DELETE /chat error:", err);
+    log.error("DELETE /chat error", err);
     res.status(500).json({ error: err.message });
   }
 });
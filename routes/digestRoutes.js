@@ -0,0 +1,69 @@
+// routes/digestRoutes.js
+import express from "express";
+import { validateDigestRequest, startDigest, getDigestJob } from "../services/digestService.js";
+import { checkQuery, GuardrailError } from "../services/guardrailService.js";
+import { requireAuth } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { createLogger } from "../services/logger.js";
+
+const log = createLogger("digest");
+
+const router = express.Router();
+
+// anonymous callers are rejected when AUTH_REQUIRED is set
+router.use(requireAuth());
+
+/**
+ * POST /digest
+ * Body: {
+ *   topic?: string, from?: ISO|"48h", to?: ISO|"48h",   (a topic, a window or both)
+ *   sources?: [domain], category?: string|[string], max_articles?: 1-30,
+ *   wait?: boolean   (true: answer once the digest is finished instead of with the job)
+ * }
+ * -> 202 { job_id, status: "running", created_at, updated_at, request, progress, digest: null, error: null, cached }
+ *    with Location: /digest/<job_id>; 200 with the finished job (status "done" | "failed") when it is
+ *    cached or `wait` was set. The same request within DIGEST_TTL_SECONDS returns the same job,
+ *    unless that job failed (error.code "summaries_failed" when no matching article could be summarized).
+ * A topic refused by the injection check is 400 { error, code: "prompt_injection", details: { field, rules } }.
+ */
+router.post("/", rateLimit({ llmQuota: true }), async (req, res) => {
+  try {
+    const { request, error } = validateDigestRequest(req.body || {});
+    if (error) return res.status(400).json({ error });
+    if (request.topic) checkQuery(request.topic, { field: "topic" });
+
+    const { job, done } = await startDigest(request);
+    if (job.status === "running" && req.body.wait === true && done) {
+      return res.json({ ...(await done), cached: false });
+    }
+    if (job.status === "running") {
+      res.set("Location", `${req.baseUrl}/${job.job_id}`);
+      return res.status(202).json(job);
+    }
+    res.json(job);
+  } catch (err) {
+    if (err instanceof GuardrailError) return res.status(400).json({ error: err.message, code: err.code, details: err.details });
+    log.error("POST /digest error", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /digest/:jobId
+ * -> { job_id, status: "running" | "done" | "failed", progress: { stage, summarized, total }, digest, error, ... }
+ * digest = { title, topic, window, generated_at, sections: [{ heading, bullets: [{ text, citations }] }],
+ *            sources: [{ marker, id, title, url, source, published, summary }], skipped, invalid_citations, stats }
+ * Bullet citations are source markers; a source's id is the article_id (GET /articles/:id).
+ */
+router.get("/:jobId", rateLimit(), async (req, res) => {
+  try {
+    const job = await getDigestJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: "Digest job not found" });
+    res.json(job);
+  } catch (err) {
+    log.error("GET /digest/:jobId error", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -1,23 +1,44 @@
 import express from "express";
 import { fetchFeatured } from "../services/featuredService.js";
+import { RETRIEVAL_MODES } from "../services/ragService.js";
+import { normalizeFilters, parseFlag } from "../services/searchFilters.js";
+import { requireAuth } from "../middleware/auth.js";
+import { createLogger } from "../services/logger.js";
+
+const log = createLogger("featured");
 
 
 const router = express.Router();
 
+// anonymous callers are rejected when AUTH_REQUIRED is set (rate limits: app.js)
+router.use(requireAuth());
 
 router.get("/", async (req, res) => {
-    console.log("[/featured] hit with query:", req.query);
+    log.info("hit", { query: req.query });
     const q = (req.query.q || "latest news").toString();
     const k = Math.max(1, Math.min(20, parseInt(req.query.k || "3", 10)));
+    const mode = req.query.retrieval ? req.query.retrieval.toString() : undefined;
+    if (mode && !RETRIEVAL_MODES.includes(mode)) {
+        return res.status(400).json({ ok: false, error: `retrieval must be one of: ${RETRIEVAL_MODES.join(", ")}` });
+    }
+    const rerank = req.query.rerank === undefined ? undefined : parseFlag(req.query.rerank.toString());
+    if (rerank === null) {
+        return res.status(400).json({ ok: false, error: "rerank must be a boolean" });
+    }
+    // ?sources[]=reuters.com&from=48h&to=...&category=sports
+    const { filters, error } = normalizeFilters(req.query);
+    if (error) {
+        return res.status(400).json({ ok: false, error });
+    }
 
 
-    console.log(`[featured route] incoming request, q=${q}, k=${k}`);
+    log.info(`incoming request, q=${q}, k=${k}, retrieval=${mode || "default"}, rerank=${rerank ?? "default"}, filters=${JSON.stringify(filters)}`);
     try {
-        const { featured, raw, meta } = await fetchFeatured(q, k);
-        console.log(`[featured route] fetchFeatured finished in ${meta.elapsed}ms, hits=${meta.hitsCount}`);
+        const { featured, raw, meta } = await fetchFeatured(q, k, { mode, rerank, filters });
+        log.info(`fetchFeatured finished in ${meta.elapsed}ms, hits=${meta.hitsCount}`);
         return res.json({ ok: true, featured, raw });
     } catch (err) {
-        console.error("[featured route] error:", err);
+        log.error("fetchFeatured error", err);
         return res.status(500).json({ ok: false, error: String(err) });
     }
 });
@@ -0,0 +1,47 @@
+// routes/feedbackRoutes.js
+import express from "express";
+import { feedbackReport } from "../services/feedbackService.js";
+import { parseDateBound } from "../services/searchFilters.js";
+import { requireAuth } from "../middleware/auth.js";
+import { createLogger } from "../services/logger.js";
+
+const log = createLogger("feedback");
+
+const router = express.Router();
+
+/* reports cover every user's feedback, so only server-to-server (API key) clients may read them */
+function requireApiClient(req, res, next) {
+  if (req.auth?.type !== "api_key") {
+    return res.status(403).json({ error: "Feedback reports require an API key" });
+  }
+  next();
+}
+
+/**
+ * GET /feedback/report?from=7d&to=...&bucket=day|week&worst=10&min_count=1
+ * -> { from, to, bucket, total, average, distribution, reasons, series, worst }
+ * from/to take ISO dates or durations back from now (like the search filters).
+ */
+router.get("/report", requireAuth({ always: true }), requireApiClient, async (req, res) => {
+  try {
+    const from = req.query.from ? parseDateBound(req.query.from) : null;
+    const to = req.query.to ? parseDateBound(req.query.to) : null;
+    if ((req.query.from && !from) || (req.query.to && !to)) {
+      return res.status(400).json({ error: "from/to must be ISO dates or durations like 48h / 7d" });
+    }
+    const bucket = (req.query.bucket || "day").toString();
+    if (!["day", "week"].includes(bucket)) {
+      return res.status(400).json({ error: "bucket must be day or week" });
+    }
+    const worst = Math.max(1, Math.min(100, parseInt(req.query.worst || "10", 10) || 10));
+    const minCount = Math.max(1, parseInt(req.query.min_count || "1", 10) || 1);
+
+    const report = await feedbackReport({ from, to, bucket, worst, minCount });
+    res.json(report);
+  } catch (err) {
+    log.error("GET /feedback/report error", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
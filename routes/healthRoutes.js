@@ -0,0 +1,46 @@
+// routes/healthRoutes.js
+import express from "express";
+import { liveness, readiness } from "../services/healthService.js";
+import { createLogger } from "../services/logger.js";
+
+const log = createLogger("health");
+
+const router = express.Router();
+
+/**
+ * GET /health
+ * -> { status: "ok", service }   kept for existing monitors; says nothing about dependencies
+ */
+router.get("/", (req, res) => {
+  res.json({ status: "ok", service: "Node Backend" });
+});
+
+/**
+ * GET /health/live
+ * -> { status: "ok", uptime_seconds }   the process is up (restart it when this fails)
+ */
+router.get("/live", (req, res) => {
+  res.json(liveness());
+});
+
+/**
+ * GET /health/ready
+ * -> 200 { status: "ok" | "degraded", checks, checked_at }
+ *    503 { status: "fail", checks, checked_at } when a critical dependency fails
+ * See services/healthService.js for the checks.
+ */
+router.get("/ready", async (req, res) => {
+  try {
+    const report = await readiness();
+    if (report.status === "fail") {
+      const failed = Object.entries(report.checks).filter(([, c]) => c.critical && c.status === "fail").map(([name]) => name);
+      log.warn("not ready", { failed });
+    }
+    res.status(report.status === "fail" ? 503 : 200).json(report);
+  } catch (err) {
+    log.error("GET /health/ready error", err);
+    res.status(503).json({ status: "fail", error: err.message });
+  }
+});
+
+export default router;
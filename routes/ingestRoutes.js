@@ -0,0 +1,76 @@
+// routes/ingestRoutes.js
+import crypto from "crypto";
+import express from "express";
+import { ingest } from "../services/ingestService.js";
+import { hasApiKeys } from "../services/authService.js";
+import { createLogger } from "../services/logger.js";
+
+const log = createLogger("ingest");
+
+const router = express.Router();
+
+function tokenMatches(given, expected) {
+  const a = Buffer.from(String(given || ""));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/*
+ * Ingestion writes to the collection and makes the server fetch URLs, so it is never open:
+ * the caller needs the INGEST_TOKEN (x-ingest-token) or an API key (x-api-key, req.auth).
+ * With neither configured the route is disabled (503); the rest of the app still runs.
+ */
+function requireIngestAccess(req, res, next) {
+  const token = process.env.INGEST_TOKEN;
+  if (!token && !hasApiKeys()) {
+    return res.status(503).json({ ok: false, error: "Ingestion is disabled: set INGEST_TOKEN or API_KEYS" });
+  }
+  if (token && tokenMatches(req.get("x-ingest-token"), token)) return next();
+  if (req.auth?.type === "api_key") return next();
+  return res.status(401).json({ ok: false, error: "Ingestion requires an ingest token or an API key" });
+}
+
+router.use(requireIngestAccess);
+
+// ingestion bodies are much larger than chat bodies, so this router parses its own
+// (mounted before the app-level express.json()); JSONL uploads arrive as raw text
+router.use(express.json({ limit: "20mb" }));
+router.use(express.text({ type: ["application/x-ndjson", "application/jsonl", "text/plain"], limit: "20mb" }));
+
+/**
+ * POST /ingest
+ * -> Ingest articles into the Qdrant collection
+ *
+ * Accepted bodies:
+ * 1) JSON { feeds?: [rssOrAtomUrl], urls?: [htmlPageUrl], articles?: [{ title, text, url, published }], jsonl?: "<lines>" }
+ * 2) raw JSONL (Content-Type: application/x-ndjson), one article per line
+ *
+ * The request must carry INGEST_TOKEN in the `x-ingest-token` header or an API key (see requireIngestAccess).
+ * Feed/page URLs on private, loopback or link-local addresses are refused (reported in `failed`).
+ * Responds with { ok, articles, chunks, skipped, failed, errors }.
+ */
+router.post("/", async (req, res) => {
+  const body = typeof req.body === "string" ? { jsonl: req.body } : req.body || {};
+  const asList = (v) => (Array.isArray(v) ? v : v ? [v] : []);
+  const request = {
+    feeds: asList(body.feeds),
+    urls: asList(body.urls),
+    articles: asList(body.articles),
+    jsonl: typeof body.jsonl === "string" ? body.jsonl : "",
+  };
+
+  if (!request.feeds.length && !request.urls.length && !request.articles.length && !request.jsonl.trim()) {
+    return res.status(400).json({ ok: false, error: "Provide feeds, urls, articles or a JSONL body" });
+  }
+
+  try {
+    const summary = await ingest(request);
+    log.info(`articles=${summary.articles}, chunks=${summary.chunks}, failed=${summary.failed.length}`);
+    return res.json({ ok: true, ...summary });
+  } catch (err) {
+    log.error("POST /ingest error", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,21 @@
+// routes/metricsRoutes.js
+import express from "express";
+import { renderMetrics } from "../services/metricsService.js";
+
+const router = express.Router();
+
+/**
+ * GET /metrics
+ * -> Prometheus text format (see services/metricsService.js for the metric list)
+ * When METRICS_TOKEN is set, the scraper must send `Authorization: Bearer <token>`.
+ */
+router.get("/", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get("authorization") !== `Bearer ${token}`) {
+    return res.status(401).json({ error: "Invalid metrics token" });
+  }
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(renderMetrics());
+});
+
+export default router;
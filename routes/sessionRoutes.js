@@ -1,12 +1,117 @@
 // backend/routes/sessionRoutes.js
 import express from "express";
-import { v4 as uuidv4 } from "uuid";
+import {
+  createSession,
+  listSessions,
+  renameSession,
+  validateMetadata,
+  MAX_TITLE_LENGTH,
+  SessionStoreError,
+} from "../services/sessionService.js";
+import { countMessages } from "../services/redisService.js";
+import { requireAuth, sessionAccess } from "../middleware/auth.js";
+import { createLogger } from "../services/logger.js";
+
+const log = createLogger("session");
 
 const router = express.Router();
 
-router.post("/", (req, res) => {
-  const sessionId = uuidv4();
-  res.json({ sessionId });
+// anonymous callers are rejected when AUTH_REQUIRED is set; :sessionId routes check ownership
+router.use(requireAuth());
+router.param("sessionId", sessionAccess);
+
+/* session record -> response shape (the owner principal is not exposed) */
+function sessionView(record) {
+  return {
+    sessionId: record.id,
+    title: record.title,
+    created_at: record.created_at,
+    last_activity: record.last_activity,
+    metadata: record.metadata,
+  };
+}
+
+function validTitle(title) {
+  return typeof title === "string" && title.trim().length > 0 && title.length <= MAX_TITLE_LENGTH;
+}
+
+/**
+ * POST /session
+ * Body (optional): { title?, metadata?: { key: string|number|boolean } }  (e.g. client, app version, locale)
+ * -> { sessionId, title, created_at, last_activity, metadata }
+ * The session is bound to the caller (JWT user or API-key client); anonymous
+ * callers get an anonymous session. Untitled sessions are titled after their first question.
+ * 503 when the session store (Redis) cannot be written.
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { title, metadata: rawMetadata } = req.body || {};
+    const { metadata, error } = validateMetadata(rawMetadata);
+    if (error) return res.status(400).json({ error });
+    if (title !== undefined && !validTitle(title)) {
+      return res.status(400).json({ error: `title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters` });
+    }
+
+    let record = await createSession(req.auth?.principal, metadata);
+    if (title) record = (await renameSession(record.id, title.trim())) || record;
+    res.json(sessionView(record));
+  } catch (err) {
+    if (err instanceof SessionStoreError) return res.status(503).json({ error: err.message });
+    log.error("POST /session error", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /session?offset=0&limit=20
+ * -> { sessions: [{ sessionId, title, created_at, last_activity, metadata }], total, offset, limit }
+ * The caller's own sessions, most recently active first (authenticated callers only).
+ */
+router.get("/", requireAuth({ always: true }), async (req, res) => {
+  try {
+    const offset = Math.max(0, parseInt(req.query.offset || "0", 10) || 0);
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit || "20", 10) || 20));
+    const { sessions, total } = await listSessions(req.auth.principal, { offset, limit });
+    res.json({ sessions: sessions.map(sessionView), total, offset, limit });
+  } catch (err) {
+    if (err instanceof SessionStoreError) return res.status(503).json({ error: err.message });
+    log.error("GET /session error", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /session/:sessionId
+ * -> { sessionId, title, created_at, last_activity, metadata, message_count }
+ */
+router.get("/:sessionId", async (req, res) => {
+  try {
+    const message_count = await countMessages(req.chatSession.id);
+    res.json({ ...sessionView(req.chatSession), message_count });
+  } catch (err) {
+    log.error("GET /session/:sessionId error", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * PATCH /session/:sessionId
+ * Body: { title }
+ * -> the updated session
+ */
+router.patch("/:sessionId", async (req, res) => {
+  try {
+    const { title } = req.body || {};
+    if (!validTitle(title)) {
+      return res.status(400).json({ error: `title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters` });
+    }
+    const record = await renameSession(req.chatSession.id, title.trim());
+    res.json(sessionView(record || req.chatSession));
+  } catch (err) {
+    if (err instanceof SessionStoreError) return res.status(503).json({ error: err.message });
+    log.error("PATCH /session/:sessionId error", err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
 export default router;
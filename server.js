@@ -6,30 +6,28 @@ const envPath = path.resolve(process.cwd(), ".env");
 console.log("[dotenv] attempting to load .env from:", envPath);
 dotenv.config();
 
-import express from "express";
-import cors from "cors";
-import chatRoutes from "./routes/chatRoutes.js";
-import sessionRoutes from "./routes/sessionRoutes.js";
-import featuredRoute from "./routes/featuredRoutes.js";
-
-const app = express();
-
-app.use(cors());
-app.use(express.json());
-
-// mount existing chat/session routes under /api to match frontend API_BASE_URL = "/api"
-app.use("/chat", chatRoutes);
-app.use("/session", sessionRoutes);
-
-// add featured endpoint at /api/featured
-app.use("/featured", featuredRoute);
-
-// keep a simple health endpoint (non-prefixed)
-app.get("/health", (req, res) => {
-  res.json({ status: "ok", service: "Node Backend" });
-});
-
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`🚀 Node backend running on port ${PORT}`);
+import { createApp } from "./app.js";
+import { loadConfig } from "./services/config.js";
+import { verifyEmbeddingDimension, ensurePayloadIndexes } from "./services/ragService.js";
+import { createLogger } from "./services/logger.js";
+
+const log = createLogger("server");
+
+// validate the whole environment up front and report every problem, not just the first
+const { config, errors, warnings } = loadConfig(process.env);
+for (const warning of warnings) log.warn(`config: ${warning}`);
+if (errors.length) {
+  for (const error of errors) log.error(`config: ${error}`);
+  log.error(`invalid configuration (${errors.length} problem${errors.length === 1 ? "" : "s"}) — see README "Environment variables"`);
+  process.exit(1);
+}
+
+const app = createApp({ config });
+
+app.listen(config.port, () => {
+  log.info(`🚀 Node backend running on port ${config.port}`);
+  // warn early if the embedding provider and the Qdrant collection disagree on vector size
+  verifyEmbeddingDimension();
+  // indexes behind the source/date/category filters
+  ensurePayloadIndexes();
 });
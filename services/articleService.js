@@ -0,0 +1,136 @@
+// services/articleService.js
+/**
+ * Article browsing over the Qdrant collection (GET /articles, /articles/:id, /articles/:id/related).
+ *
+ * Qdrant stores chunks, one point per article_id + chunk_index (see services/ingestService.js), so:
+ *   listArticles        scrolls the first chunk (chunk_index = 0) of every article, with the
+ *                       source/date/category filters of services/searchFilters.js; pages follow
+ *                       Qdrant's scroll order and are chained with an opaque cursor
+ *   getArticle          scrolls all chunks of one article and joins them in chunk order,
+ *                       removing the ingestion overlap
+ *   getRelatedArticles  averages the article's chunk vectors and searches with that vector,
+ *                       excluding the article itself; chunk hits are grouped per article
+ * Points written by older ingestion scripts (no article_id / chunk_index) are not listed.
+ */
+
+import { qdrantScroll, qdrantSearchByVector } from "./ragService.js";
+import { toQdrantFilter } from "./searchFilters.js";
+import { joinChunks } from "./contextService.js";
+import { safeTruncate } from "./featuredService.js";
+
+const MAX_ARTICLE_CHUNKS = 1000;
+
+/* fields shared by every article view, taken from any chunk's payload */
+function articleFields(payload = {}) {
+  return {
+    id: payload.article_id ?? null,
+    title: payload.title || payload.headline || null,
+    url: payload.url || payload.link || null,
+    source: payload.source || null,
+    published: payload.published || payload.date || null,
+    category: payload.category || [],
+    chunk_count: payload.chunk_count ?? null,
+  };
+}
+
+/* list / related view: metadata + a short excerpt */
+function articleCard(payload = {}) {
+  return { ...articleFields(payload), excerpt: safeTruncate(String(payload.text || payload.excerpt || "").trim(), 200) };
+}
+
+/* Qdrant page offsets are point ids: integers or UUIDs */
+function parseCursor(cursor) {
+  if (cursor === undefined || cursor === null || cursor === "") return null;
+  return /^\d+$/.test(String(cursor)) ? Number(cursor) : String(cursor);
+}
+
+function meanVector(vectors) {
+  const sum = new Array(vectors[0].length).fill(0);
+  for (const v of vectors) v.forEach((x, i) => (sum[i] += x));
+  const norm = Math.sqrt(sum.reduce((n, x) => n + x * x, 0)) || 1;
+  return sum.map((x) => x / norm);
+}
+
+/* a point's vector, whether the collection uses one unnamed vector or named ones */
+function pointVector(point) {
+  const v = point.vector;
+  if (Array.isArray(v)) return v;
+  if (v && typeof v === "object") return Object.values(v).find(Array.isArray) || null;
+  return null;
+}
+
+async function scrollArticleChunks(articleId, withVector = false) {
+  const filter = { must: [{ key: "article_id", match: { value: articleId } }] };
+  const points = [];
+  let offset = null;
+  do {
+    const page = await qdrantScroll({ filter, limit: 256, offset, withVector });
+    points.push(...page.points);
+    offset = page.next;
+  } while (offset != null && points.length < MAX_ARTICLE_CHUNKS);
+  return points.sort((a, b) => Number(a.payload.chunk_index ?? 0) - Number(b.payload.chunk_index ?? 0));
+}
+
+/* -------------------------
+   Public
+   ------------------------- */
+
+/**
+ * listArticles({ filters, limit, cursor })
+ * filters: normalized filters (searchFilters.normalizeFilters), or null
+ * -> { articles: [{ id, title, url, source, published, category, chunk_count, excerpt }], next_cursor }
+ * next_cursor is null on the last page.
+ */
+export async function listArticles({ filters = null, limit = 20, cursor = null } = {}) {
+  const must = [{ key: "chunk_index", match: { value: 0 } }, ...(toQdrantFilter(filters)?.must || [])];
+  const page = await qdrantScroll({ filter: { must }, limit, offset: parseCursor(cursor) });
+  return {
+    articles: page.points.map((p) => articleCard(p.payload)),
+    next_cursor: page.next == null ? null : String(page.next),
+  };
+}
+
+/**
+ * getArticle(articleId)
+ * -> { id, title, url, source, published, category, chunk_count, text, chunks: [{ id, chunk_index, text }] }
+ *    or null when no chunk of the article is stored
+ */
+export async function getArticle(articleId) {
+  const points = await scrollArticleChunks(articleId);
+  if (!points.length) return null;
+  const chunks = points.map((p) => ({ id: p.id, chunk_index: p.payload.chunk_index ?? null, text: String(p.payload.text || "") }));
+  return {
+    ...articleFields(points[0].payload),
+    chunk_count: points[0].payload.chunk_count ?? points.length,
+    text: chunks.reduce((acc, c) => (acc ? joinChunks(acc, c.text) : c.text), ""),
+    chunks,
+  };
+}
+
+/**
+ * getRelatedArticles(articleId, { limit, filters })
+ * -> { id, related: [{ id, title, url, source, published, category, chunk_count, excerpt, score }] }
+ *    (best matching chunk per article, best first), or null when the article is not stored
+ */
+export async function getRelatedArticles(articleId, { limit = 5, filters = null } = {}) {
+  const points = await scrollArticleChunks(articleId, true);
+  if (!points.length) return null;
+  const vectors = points.map(pointVector).filter(Boolean);
+  if (!vectors.length) return { id: articleId, related: [] };
+
+  const filter = { ...(toQdrantFilter(filters) || {}), must_not: [{ key: "article_id", match: { value: articleId } }] };
+  // several chunks per article come back, so over-fetch before grouping
+  const hits = await qdrantSearchByVector(meanVector(vectors), Math.min(200, limit * 5), filter);
+  const best = new Map();
+  for (const h of hits) {
+    const key = h.payload.article_id ?? `point:${h.id}`;
+    if (!best.has(key)) best.set(key, { ...articleCard(h.payload), score: h.score });
+  }
+  return { id: articleId, related: [...best.values()].slice(0, limit) };
+}
+
+export default {
+  listArticles,
+  getArticle,
+  getRelatedArticles,
+};
@@ -0,0 +1,238 @@
+// services/authService.js
+/**
+ * Authentication: end-user accounts with signed JWTs, and API keys for
+ * server-to-server clients.
+ *
+ * Every authenticated caller resolves to a principal string that owns sessions:
+ *   user:<userId>        - Authorization: Bearer <jwt> (from /auth/register or /auth/login)
+ *   client:<name>        - x-api-key: <key> (configured in API_KEYS)
+ * Anonymous callers have no principal.
+ *
+ * JWTs are HS256, signed with node's crypto (no extra dependency). Passwords are
+ * stored as scrypt hashes. Users live in Redis (`user:<id>`, `user:email:<email>`) whenever
+ * REDIS_URL is set, in process memory otherwise. The store is chosen once, like the session
+ * store: while Redis is down, register and login throw UserStoreError (the routes answer 503)
+ * rather than writing users to memory that the other store would not know.
+ *
+ * Environment variables:
+ *   JWT_SECRET        - required for tokens that survive a restart (a random one is used otherwise)
+ *   JWT_TTL_SECONDS   - optional (default 604800 = 7 days)
+ *   API_KEYS          - optional, comma separated name:key pairs, e.g. "mobile:abc123,partner:def456"
+ *   AUTH_REQUIRED     - optional (default false); when true /chat, /session, /featured, /articles and
+ *                       /digest reject anonymous callers
+ */
+
+import crypto from "crypto";
+import { redis, isRedisReady } from "./redisClient.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("auth");
+
+export const AUTH_REQUIRED = /^(1|true|yes|on)$/i.test(process.env.AUTH_REQUIRED || "");
+const JWT_TTL_SECONDS = Number(process.env.JWT_TTL_SECONDS || 7 * 86_400);
+
+// decided at import like the session store: the client exists exactly when REDIS_URL is set
+const USE_REDIS = Boolean(redis);
+
+export class UserStoreError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = "UserStoreError";
+    this.cause = cause;
+  }
+}
+
+/* Redis call that fails fast (ioredis would queue it while disconnected) and throws UserStoreError */
+async function withRedis(action, fn) {
+  if (!isRedisReady()) throw new UserStoreError("User store unavailable");
+  try {
+    return await fn();
+  } catch (e) {
+    log.warn(`${action} failed`, e);
+    throw new UserStoreError("User store unavailable", e);
+  }
+}
+
+let JWT_SECRET = process.env.JWT_SECRET || "";
+if (!JWT_SECRET) {
+  JWT_SECRET = crypto.randomBytes(32).toString("hex");
+  log.warn("JWT_SECRET not set — using a random secret, issued tokens stop working on restart.");
+}
+
+/* API_KEYS="name:key,…" -> Map(sha256(key) -> name) */
+const API_KEYS = new Map();
+for (const pair of (process.env.API_KEYS || "").split(",")) {
+  const idx = pair.indexOf(":");
+  if (idx <= 0) continue;
+  const name = pair.slice(0, idx).trim();
+  const key = pair.slice(idx + 1).trim();
+  if (name && key) API_KEYS.set(sha256(key), name);
+}
+
+/* whether any API key is configured (POST /ingest is disabled without one or an INGEST_TOKEN) */
+export function hasApiKeys() {
+  return API_KEYS.size > 0;
+}
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(String(s)).digest("hex");
+}
+
+/* -------------------------
+   JWT (HS256)
+   ------------------------- */
+function b64url(value) {
+  return Buffer.from(typeof value === "string" ? value : JSON.stringify(value)).toString("base64url");
+}
+
+function hmac(data) {
+  return crypto.createHmac("sha256", JWT_SECRET).update(data).digest("base64url");
+}
+
+export function signToken(claims, ttlSeconds = JWT_TTL_SECONDS) {
+  const now = Math.floor(Date.now() / 1000);
+  const head = b64url({ alg: "HS256", typ: "JWT" });
+  const body = b64url({ ...claims, iat: now, exp: now + ttlSeconds });
+  return `${head}.${body}.${hmac(`${head}.${body}`)}`;
+}
+
+/* returns the claims, or null when the token is malformed, forged or expired */
+export function verifyToken(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+  const [head, body, sig] = parts;
+  const expected = Buffer.from(hmac(`${head}.${body}`));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  try {
+    const header = JSON.parse(Buffer.from(head, "base64url").toString("utf8"));
+    if (header.alg !== "HS256") return null;
+    const claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (typeof claims.exp !== "number" || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/* -------------------------
+   Passwords (scrypt)
+   ------------------------- */
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, 64, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+async function checkPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !keyHex) return false;
+  const key = await scrypt(password, Buffer.from(saltHex, "hex"));
+  const expected = Buffer.from(keyHex, "hex");
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+/* -------------------------
+   User store (Redis or memory)
+   ------------------------- */
+const memUsers = new Map(); // id -> user
+const memEmails = new Map(); // email -> id
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function publicUser(user) {
+  return { id: user.id, email: user.email, created_at: user.created_at };
+}
+
+async function findUserByEmail(email) {
+  if (USE_REDIS) {
+    return withRedis("user lookup", async () => {
+      const id = await redis.get(`user:email:${email}`);
+      if (!id) return null;
+      const raw = await redis.get(`user:${id}`);
+      return raw ? JSON.parse(raw) : null;
+    });
+  }
+  const id = memEmails.get(email);
+  return id ? memUsers.get(id) || null : null;
+}
+
+/**
+ * registerUser(email, password) -> { user, token } | { error, status }
+ * Throws UserStoreError when the Redis user store is unavailable (loginUser too).
+ */
+export async function registerUser(email, password) {
+  const e = normalizeEmail(email);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e)) return { error: "A valid email is required", status: 400 };
+  if (typeof password !== "string" || password.length < 8) return { error: "Password must be at least 8 characters", status: 400 };
+
+  const user = { id: crypto.randomUUID(), email: e, password_hash: await hashPassword(password), created_at: new Date().toISOString() };
+  if (USE_REDIS) {
+    // the record is written first so a claimed email always points at a user; SET NX on the
+    // email key keeps registration race-free across instances
+    const claimed = await withRedis("register", async () => {
+      await redis.set(`user:${user.id}`, JSON.stringify(user));
+      if (await redis.set(`user:email:${e}`, user.id, "NX")) return true;
+      await redis.del(`user:${user.id}`);
+      return false;
+    });
+    if (!claimed) return { error: "Email is already registered", status: 409 };
+  } else {
+    if (memEmails.has(e)) return { error: "Email is already registered", status: 409 };
+    memEmails.set(e, user.id);
+    memUsers.set(user.id, user);
+  }
+
+  log.info(`registered user ${user.id}`);
+  return { user: publicUser(user), token: signToken({ sub: user.id, email: user.email }) };
+}
+
+/**
+ * loginUser(email, password) -> { user, token } | { error, status }
+ */
+export async function loginUser(email, password) {
+  const user = await findUserByEmail(normalizeEmail(email));
+  // same message for unknown email and wrong password
+  if (!user || !(await checkPassword(password, user.password_hash))) {
+    return { error: "Invalid email or password", status: 401 };
+  }
+  return { user: publicUser(user), token: signToken({ sub: user.id, email: user.email }) };
+}
+
+/**
+ * resolveAuth({ authorization, apiKey }) -> { auth } | { error }
+ * `auth` is null for anonymous callers, otherwise
+ *   { type: "user", principal, userId, email } or { type: "api_key", principal, client }.
+ * A credential that is present but invalid is an error (never silently anonymous).
+ */
+export function resolveAuth({ authorization, apiKey } = {}) {
+  if (apiKey) {
+    const client = API_KEYS.get(sha256(apiKey));
+    if (!client) return { error: "Invalid API key" };
+    return { auth: { type: "api_key", principal: `client:${client}`, client } };
+  }
+  const m = /^Bearer\s+(.+)$/i.exec(authorization || "");
+  if (m) {
+    const claims = verifyToken(m[1].trim());
+    if (!claims?.sub) return { error: "Invalid or expired token" };
+    return { auth: { type: "user", principal: `user:${claims.sub}`, userId: claims.sub, email: claims.email } };
+  }
+  return { auth: null };
+}
+
+export default {
+  registerUser,
+  loginUser,
+  resolveAuth,
+  hasApiKeys,
+  signToken,
+  verifyToken,
+};
@@ -0,0 +1,262 @@
+// services/cacheService.js
+/**
+ * Semantic answer cache in front of handleChat.
+ *
+ * A question is embedded once (the vector is reused for retrieval on a miss) and
+ * compared with the questions answered before in the same scope; when the best
+ * cosine similarity reaches SEMANTIC_CACHE_THRESHOLD the stored answer is returned
+ * instead of running retrieval + generation.
+ *
+ * Scope: answers only match within the same retrieval mode, rerank flag, filters,
+ * model / system prompt and embedding model (see cacheScope). Relative date filters
+ * ("48h") are rounded to the hour for scoping.
+ *
+ * Storage (Redis when ready, otherwise an in-process Map):
+ *   semcache:gen                       - generation counter, bumped by invalidateCache()
+ *   semcache:<gen>:<scope>:vec         - hash entryId -> { v: vector, exp }
+ *   semcache:<gen>:<scope>:ans         - hash entryId -> cached result JSON
+ *   semcache:<gen>:<scope>:ver         - random token, replaced whenever the scope's vectors change
+ * Lookups keep the decoded vectors of recent scopes in memory and only re-read the
+ * :vec hash when :ver moved (another instance stored or dropped an entry), so a
+ * request costs one GET instead of transferring every vector.
+ * Ingestion calls invalidateCache(), so every answer cached before new articles
+ * arrived is ignored from then on; old generations expire with their TTL.
+ *
+ * Environment variables:
+ *   SEMANTIC_CACHE_ENABLED      - optional (default true), per request: `cache`
+ *   SEMANTIC_CACHE_THRESHOLD    - optional (default 0.92, cosine similarity)
+ *   SEMANTIC_CACHE_TTL_SECONDS  - optional (default 3600)
+ *   SEMANTIC_CACHE_MAX_ENTRIES  - optional (default 200 per scope)
+ */
+
+import crypto from "crypto";
+import { redis, isRedisReady } from "./redisClient.js";
+import { getEmbedder } from "./embeddingService.js";
+import { createLogger } from "./logger.js";
+import { timeStage } from "./metricsService.js";
+
+const log = createLogger("cache");
+
+export const CACHE_ENABLED = !/^(0|false|no|off)$/i.test(process.env.SEMANTIC_CACHE_ENABLED || "");
+const THRESHOLD = Number(process.env.SEMANTIC_CACHE_THRESHOLD || 0.92);
+const TTL_SECONDS = Number(process.env.SEMANTIC_CACHE_TTL_SECONDS || 3600);
+const MAX_ENTRIES = Number(process.env.SEMANTIC_CACHE_MAX_ENTRIES || 200);
+
+const GEN_KEY = "semcache:gen";
+
+// in-process fallback: generation + Map(`<gen>:<scope>` -> Map(entryId -> { vector, exp, entry }))
+let localGeneration = 0;
+const local = new Map();
+
+// Redis mirror: `<gen>:<scope>` -> { ver, vectors: [{ id, v, exp }] }, most recently used last
+const mirror = new Map();
+const MIRROR_SCOPES = 100;
+
+function sha1(s) {
+  return crypto.createHash("sha1").update(s).digest("hex");
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+function roundHour(iso) {
+  return iso ? iso.slice(0, 13) : null;
+}
+
+/**
+ * cacheScope({ retrieval, llm }) -> short hash
+ * Requests only share answers when everything that shapes the answer matches.
+ */
+export function cacheScope({ retrieval = {}, llm = {} } = {}) {
+  const f = retrieval.filters;
+  let embedModel = null;
+  try {
+    embedModel = getEmbedder().model;
+  } catch {
+    // unknown provider: retrieval will report it, the scope just omits it
+  }
+  return sha1(
+    JSON.stringify({
+      mode: retrieval.mode || null,
+      rerank: retrieval.rerank ?? null,
+      filters: f ? { sources: f.sources, categories: f.categories, from: roundHour(f.from), to: roundHour(f.to) } : null,
+      model: llm.model || null,
+      system: llm.system || null,
+      embed: embedModel,
+    })
+  ).slice(0, 16);
+}
+
+/* decoded vectors of a Redis scope, re-read only when its version token changed */
+async function redisVectors(key) {
+  const ver = (await redis.get(`${key}:ver`)) || "";
+  let cached = mirror.get(key);
+  if (!cached || cached.ver !== ver) {
+    const raw = await redis.hgetall(`${key}:vec`);
+    const vectors = Object.entries(raw).map(([id, json]) => ({ id, ...JSON.parse(json) }));
+    cached = { ver, vectors };
+  }
+  mirror.delete(key);
+  mirror.set(key, cached);
+  while (mirror.size > MIRROR_SCOPES) mirror.delete(mirror.keys().next().value);
+  return cached.vectors;
+}
+
+/* multi() steps that drop entries from a Redis scope and mark its vectors as changed */
+function dropEntries(multi, key, ids) {
+  return multi
+    .hdel(`${key}:vec`, ...ids)
+    .hdel(`${key}:ans`, ...ids)
+    .set(`${key}:ver`, crypto.randomUUID(), "EX", TTL_SECONDS);
+}
+
+async function generation() {
+  if (!isRedisReady()) return localGeneration;
+  return Number(await redis.get(GEN_KEY)) || 0;
+}
+
+/**
+ * lookupAnswer(query, scope) -> { vector, hit }
+ * `vector` is the query embedding (null when embedding failed) and should be handed
+ * to retrieval on a miss. `hit` is the cached result plus { similarity, cached_query }
+ * or null. Never throws — a broken cache only costs a miss.
+ */
+export async function lookupAnswer(query, scope) {
+  let vector = null;
+  try {
+    const embeddings = await timeStage("embed", () => getEmbedder().embedQueries([String(query)]));
+    vector = embeddings?.[0] || null;
+  } catch (err) {
+    log.warn("query embedding failed", err);
+    return { vector: null, hit: null };
+  }
+  if (!vector) return { vector: null, hit: null };
+
+  try {
+    const gen = await generation();
+    const now = Date.now();
+    let best = null;
+
+    if (isRedisReady()) {
+      const key = `semcache:${gen}:${scope}`;
+      const expired = [];
+      for (const { id, v, exp } of await redisVectors(key)) {
+        if (exp < now) { expired.push(id); continue; }
+        const sim = cosine(vector, v);
+        if (!best || sim > best.sim) best = { id, sim };
+      }
+      if (expired.length) await dropEntries(redis.multi(), key, expired).exec();
+      if (best && best.sim >= THRESHOLD) {
+        const raw = await redis.hget(`${key}:ans`, best.id);
+        if (raw) best.entry = JSON.parse(raw);
+      }
+    } else {
+      const bucket = local.get(`${gen}:${scope}`);
+      for (const [id, item] of bucket || []) {
+        if (item.exp < now) { bucket.delete(id); continue; }
+        const sim = cosine(vector, item.vector);
+        if (!best || sim > best.sim) best = { id, sim, entry: item.entry };
+      }
+    }
+
+    if (!best || best.sim < THRESHOLD || !best.entry) return { vector, hit: null };
+    const { query: cached_query, ...result } = best.entry;
+    log.info(`hit sim=${best.sim.toFixed(3)} for "${query}" (cached: "${cached_query}")`);
+    return { vector, hit: { ...result, cached_query, similarity: Math.round(best.sim * 10000) / 10000 } };
+  } catch (err) {
+    log.warn("lookup failed", err);
+    return { vector, hit: null };
+  }
+}
+
+/**
+ * storeAnswer(query, vector, scope, result)
+ * `result` is what the chat handlers return (answer, citations, hits, …).
+ * Asking the same question again overwrites the previous entry.
+ */
+export async function storeAnswer(query, vector, scope, result) {
+  if (!vector) return;
+  const id = sha1(String(query).trim().toLowerCase());
+  const exp = Date.now() + TTL_SECONDS * 1000;
+  const entry = {
+    query,
+    answer: result.answer,
+    citations: result.citations,
+    invalid_citations: result.invalid_citations,
+    passages: result.passages,
+    context: result.context,
+    hits: result.hits,
+    top_k_used: result.top_k_used,
+    retrieval_mode: result.retrieval_mode,
+    reranker: result.reranker,
+    context_report: result.context_report ?? null,
+    cached_at: new Date().toISOString(),
+  };
+
+  try {
+    const gen = await generation();
+    if (isRedisReady()) {
+      const key = `semcache:${gen}:${scope}`;
+      const v = vector.map((x) => Math.round(x * 1e5) / 1e5);
+      await redis.multi()
+        .hset(`${key}:vec`, id, JSON.stringify({ v, exp }))
+        .hset(`${key}:ans`, id, JSON.stringify(entry))
+        .expire(`${key}:vec`, TTL_SECONDS)
+        .expire(`${key}:ans`, TTL_SECONDS)
+        .set(`${key}:ver`, crypto.randomUUID(), "EX", TTL_SECONDS)
+        .exec();
+      if ((await redis.hlen(`${key}:vec`)) > MAX_ENTRIES) {
+        // drop the entries closest to expiry (= oldest)
+        const all = Object.entries(await redis.hgetall(`${key}:vec`))
+          .map(([eid, raw]) => [eid, JSON.parse(raw).exp])
+          .sort((a, b) => a[1] - b[1]);
+        const drop = all.slice(0, all.length - MAX_ENTRIES).map(([eid]) => eid);
+        if (drop.length) await dropEntries(redis.multi(), key, drop).exec();
+      }
+    } else {
+      const bucketKey = `${gen}:${scope}`;
+      if (!local.has(bucketKey)) local.set(bucketKey, new Map());
+      const bucket = local.get(bucketKey);
+      bucket.delete(id); // re-insert so Map order stays oldest-first
+      bucket.set(id, { vector, exp, entry });
+      while (bucket.size > MAX_ENTRIES) bucket.delete(bucket.keys().next().value);
+    }
+  } catch (err) {
+    log.warn("store failed", err);
+  }
+}
+
+/**
+ * invalidateCache(reason)
+ * Starts a new generation: everything cached so far stops matching.
+ */
+export async function invalidateCache(reason = "") {
+  localGeneration += 1;
+  local.clear();
+  mirror.clear();
+  if (isRedisReady()) {
+    try {
+      await redis.incr(GEN_KEY);
+    } catch (err) {
+      log.warn("invalidate failed", err);
+    }
+  }
+  log.info(`invalidated${reason ? ` (${reason})` : ""}`);
+}
+
+export default {
+  lookupAnswer,
+  storeAnswer,
+  invalidateCache,
+  cacheScope,
+};
@@ -0,0 +1,42 @@
+// services/citationService.js
+/**
+ * Maps the model's numbered citations ([1], [2, 3], [1][4]) back to the passages
+ * built by contextService.buildContext.
+ *
+ * resolveCitations(answer, passages) ->
+ *   {
+ *     answer,              // markers that point at no passage are removed
+ *     citations: [{ marker, id, title, url, published }],   // in order of first use
+ *     invalid_citations: [n, ...]                           // removed marker numbers
+ *   }
+ */
+
+// "[1]", "[1, 2]", "[1,2,3]" — digits only, so "[a]" or markdown links are untouched
+const MARKER_GROUP = /\[(\s*\d+\s*(?:,\s*\d+\s*)*)\]/g;
+
+export function resolveCitations(answer, passages = []) {
+  const byMarker = new Map(passages.map((p) => [p.marker, p]));
+  const used = [];
+  const invalid = new Set();
+
+  const cleaned = String(answer || "").replace(MARKER_GROUP, (_m, group) => {
+    const numbers = group.split(",").map((n) => Number(n.trim()));
+    const valid = numbers.filter((n) => byMarker.has(n));
+    for (const n of numbers) {
+      if (!byMarker.has(n)) invalid.add(n);
+      else if (!used.includes(n)) used.push(n);
+    }
+    return valid.length ? `[${valid.join(", ")}]` : "";
+  });
+
+  return {
+    // removing a marker can leave "word ." or double spaces behind
+    answer: invalid.size ? cleaned.replace(/[ \t]+([.,;:!?])/g, "$1").replace(/[ \t]{2,}/g, " ") : cleaned,
+    citations: used.map((n) => ({ ...byMarker.get(n) })),
+    invalid_citations: [...invalid].sort((a, b) => a - b),
+  };
+}
+
+export default {
+  resolveCitations,
+};
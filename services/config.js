@@ -0,0 +1,216 @@
+// services/config.js
+/**
+ * Central configuration check: validates every environment variable the backend
+ * reads and reports all problems at once, instead of the first module that trips
+ * over a missing value failing at import time.
+ *
+ *   const { config, errors, warnings } = loadConfig(process.env);
+ *
+ * `errors` are fatal (server.js exits listing all of them), `warnings` are logged.
+ * `config` is the typed subset the app itself needs (port, proxy, which providers
+ * and stores are active); services keep reading their own variables, documented in
+ * each service's header — this module only checks them.
+ *
+ * `needs` relaxes requirements for dependencies that are injected instead
+ * (createApp({ retriever, llm })): no Qdrant/embedding settings without a real retriever,
+ * no LLM credentials with an injected provider.
+ */
+
+// allowed values come from the modules that implement them, so a new provider or store
+// needs no second edit here
+import { EMBEDDING_PROVIDERS } from "./embeddingService.js";
+import { LLM_PROVIDERS } from "./llmService.js";
+import { RETRIEVAL_MODES } from "./ragService.js";
+import { RERANK_PROVIDERS } from "./rerankService.js";
+import { HISTORY_STORES } from "./historyStore.js";
+import { LOG_LEVELS, LOG_FORMATS } from "./logger.js";
+import { GUARDRAIL_MODES, OUTPUT_CATEGORIES as GUARDRAIL_CATEGORIES } from "./guardrailService.js";
+
+/* numeric variables: [name, min, max, integer] */
+const NUMBERS = [
+  ["PORT", 1, 65535, true],
+  ["TOP_K", 1, 100, true],
+  ["CONTEXT_MAX_TOKENS", 100, 10_000_000, true],
+  ["CONTEXT_RESERVE_TOKENS", 0, 1_000_000, true],
+  ["CONTEXT_MIN_PASSAGE_TOKENS", 1, 100_000, true],
+  ["CONTEXT_NEIGHBOURS", 0, 5, true],
+  ["LLM_CONTEXT_WINDOW", 512, 10_000_000, true],
+  ["RERANK_CANDIDATES", 1, 1000, true],
+  ["MMR_LAMBDA", 0, 1, false],
+  ["MAX_CHUNKS_PER_ARTICLE", 1, 100, true],
+  ["DEDUP_THRESHOLD", 0, 1, false],
+  ["MMR_CANDIDATES", 1, 1000, true],
+  ["DIGEST_MAX_ARTICLES", 1, 30, true],
+  ["DIGEST_ARTICLE_TOKENS", 100, 100_000, true],
+  ["DIGEST_CONCURRENCY", 1, 20, true],
+  ["DIGEST_TTL_SECONDS", 1, Number.MAX_SAFE_INTEGER, true],
+  ["HEADLINES_COUNT", 1, 20, true],
+  ["EMBEDDING_DIMENSION", 1, 100_000, true],
+  ["LOCAL_EMBED_DIM", 8, 100_000, true],
+  ["LLM_TEMPERATURE", 0, 2, false],
+  ["LLM_MAX_OUTPUT_TOKENS", 1, 1_000_000, true],
+  ["HISTORY_TURNS", 0, 100, true],
+  ["HISTORY_MAX_CHARS", 0, 1_000_000, true],
+  ["CHAT_TTL_SECONDS", 1, Number.MAX_SAFE_INTEGER, true],
+  ["CHAT_MAX_LENGTH", 1, 1_000_000, true],
+  ["HISTORY_MEMORY_MAX_SESSIONS", 1, 10_000_000, true],
+  ["SEMANTIC_CACHE_THRESHOLD", 0, 1, false],
+  ["SEMANTIC_CACHE_TTL_SECONDS", 1, Number.MAX_SAFE_INTEGER, true],
+  ["SEMANTIC_CACHE_MAX_ENTRIES", 1, 1_000_000, true],
+  ["RATE_LIMIT_WINDOW_SECONDS", 1, 86_400, true],
+  ["RATE_LIMIT_PER_IP", 0, 1_000_000, true],
+  ["RATE_LIMIT_PER_SESSION", 0, 1_000_000, true],
+  ["RATE_LIMIT_PER_API_KEY", 0, 1_000_000, true],
+  ["RATE_LIMIT_PER_USER", 0, 1_000_000, true],
+  ["LLM_DAILY_QUOTA", 0, 100_000_000, true],
+  ["JWT_TTL_SECONDS", 60, Number.MAX_SAFE_INTEGER, true],
+  ["INGEST_CHUNK_SIZE", 100, 100_000, true],
+  ["INGEST_CHUNK_OVERLAP", 0, 100_000, true],
+  ["INGEST_BATCH_SIZE", 1, 10_000, true],
+  ["INGEST_FETCH_TIMEOUT", 100, 600_000, true],
+  ["INGEST_MAX_BYTES", 1000, 1_000_000_000, true],
+  ["INGEST_MAX_FEED_ITEMS", 1, 10_000, true],
+  ["HEALTH_TIMEOUT_MS", 10, 60_000, true],
+];
+
+/* enumerated variables: [name, allowed] */
+const ENUMS = [
+  ["EMBEDDING_PROVIDER", EMBEDDING_PROVIDERS],
+  ["LLM_PROVIDER", LLM_PROVIDERS],
+  ["RETRIEVAL_MODE", RETRIEVAL_MODES],
+  ["RERANK_PROVIDER", RERANK_PROVIDERS],
+  ["HISTORY_STORE", HISTORY_STORES],
+  ["LOG_LEVEL", LOG_LEVELS],
+  ["LOG_FORMAT", LOG_FORMATS],
+  ["GUARDRAIL_MODE", GUARDRAIL_MODES],
+];
+
+const BOOLEANS = ["AUTH_REQUIRED", "RATE_LIMIT_ENABLED", "RERANK_ENABLED", "SEMANTIC_CACHE_ENABLED", "DIVERSITY_ENABLED", "INTENT_ROUTING_ENABLED", "GUARDRAILS_ENABLED", "INGEST_ALLOW_PRIVATE_URLS"];
+const BOOLEAN_RE = /^(1|0|true|false|yes|no|on|off)$/i;
+
+function isSet(value) {
+  return value !== undefined && String(value).trim() !== "";
+}
+
+function isUrl(value, protocols) {
+  try {
+    return protocols.includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * loadConfig(env = process.env, { needs }) -> { config, errors, warnings }
+ * needs: { retriever = true, llm = true } — set to false when that dependency is injected.
+ */
+export function loadConfig(env = process.env, { needs = {} } = {}) {
+  const needRetriever = needs.retriever !== false;
+  const needLLM = needs.llm !== false;
+  const errors = [];
+  const warnings = [];
+  const lower = (name, fallback) => String(env[name] || fallback).toLowerCase();
+
+  for (const [name, min, max, integer] of NUMBERS) {
+    if (!isSet(env[name])) continue;
+    const n = Number(env[name]);
+    if (!Number.isFinite(n) || (integer && !Number.isInteger(n)) || n < min || n > max) {
+      errors.push(`${name} must be ${integer ? "an integer" : "a number"} between ${min} and ${max} (got "${env[name]}")`);
+    }
+  }
+  for (const [name, allowed] of ENUMS) {
+    if (isSet(env[name]) && !allowed.includes(String(env[name]).toLowerCase())) {
+      errors.push(`${name} must be one of: ${allowed.join(", ")} (got "${env[name]}")`);
+    }
+  }
+  for (const name of BOOLEANS) {
+    if (isSet(env[name]) && !BOOLEAN_RE.test(env[name])) errors.push(`${name} must be true or false (got "${env[name]}")`);
+  }
+
+  // retrieval: Qdrant + embeddings
+  const embeddingProvider = lower("EMBEDDING_PROVIDER", "jina");
+  if (needRetriever) {
+    if (!isSet(env.QDRANT_HOST)) errors.push("QDRANT_HOST is required (e.g. http://localhost:6333)");
+    else if (!isUrl(env.QDRANT_HOST, ["http:", "https:"])) errors.push(`QDRANT_HOST must be an http(s) URL (got "${env.QDRANT_HOST}")`);
+    if (embeddingProvider === "jina" && !isSet(env.JINA_API_KEY)) errors.push("JINA_API_KEY is required with EMBEDDING_PROVIDER=jina");
+    if (embeddingProvider === "cohere" && !isSet(env.COHERE_API_KEY) && !isSet(env.CO_API_KEY)) {
+      errors.push("COHERE_API_KEY is required with EMBEDDING_PROVIDER=cohere");
+    }
+  }
+  if (isSet(env.JINA_API_URL) && !isUrl(env.JINA_API_URL, ["http:", "https:"])) errors.push(`JINA_API_URL must be an http(s) URL (got "${env.JINA_API_URL}")`);
+  if (isSet(env.HEADLINES_WINDOW) && !/^\d+\s*[mhdw]$/i.test(String(env.HEADLINES_WINDOW).trim())) {
+    errors.push(`HEADLINES_WINDOW must be a duration like 48h / 7d (got "${env.HEADLINES_WINDOW}")`);
+  }
+  if (isSet(env.GUARDRAIL_CATEGORIES)) {
+    const unknown = String(env.GUARDRAIL_CATEGORIES).split(",").map((c) => c.trim().toLowerCase()).filter((c) => c && !GUARDRAIL_CATEGORIES.includes(c));
+    if (unknown.length) errors.push(`GUARDRAIL_CATEGORIES entries must be among: ${GUARDRAIL_CATEGORIES.join(", ")} (unknown: ${unknown.join(", ")})`);
+  }
+  if (isSet(env.MAX_CONTEXT_CHARS)) warnings.push("MAX_CONTEXT_CHARS is no longer used — the context is sized in tokens (CONTEXT_MAX_TOKENS)");
+  if (lower("RERANK_PROVIDER", "local") === "cohere" && !isSet(env.COHERE_API_KEY) && !isSet(env.CO_API_KEY)) {
+    warnings.push("RERANK_PROVIDER=cohere without COHERE_API_KEY — reranking falls back to the local scorer");
+  }
+
+  // generation
+  const llmProvider = lower("LLM_PROVIDER", "gemini");
+  if (needLLM) {
+    if (llmProvider === "gemini" && !isSet(env.GEMINI_API_KEY)) errors.push("GEMINI_API_KEY is required with LLM_PROVIDER=gemini");
+    if (llmProvider === "openai" && !isSet(env.OPENAI_API_KEY) && !isSet(env.OPENAI_BASE_URL)) {
+      errors.push("OPENAI_API_KEY (or a self-hosted OPENAI_BASE_URL) is required with LLM_PROVIDER=openai");
+    }
+  }
+  if (isSet(env.GEMINI_BASE_URL) && !isUrl(env.GEMINI_BASE_URL, ["http:", "https:"])) errors.push(`GEMINI_BASE_URL must be an http(s) URL (got "${env.GEMINI_BASE_URL}")`);
+  if (isSet(env.OPENAI_BASE_URL) && !isUrl(env.OPENAI_BASE_URL, ["http:", "https:"])) errors.push(`OPENAI_BASE_URL must be an http(s) URL (got "${env.OPENAI_BASE_URL}")`);
+
+  // storage
+  if (isSet(env.REDIS_URL) && !isUrl(env.REDIS_URL, ["redis:", "rediss:"])) errors.push("REDIS_URL must be a redis:// or rediss:// URL");
+  const historyStore = lower("HISTORY_STORE", isSet(env.REDIS_URL) ? "redis" : "memory");
+  if (historyStore === "redis" && !isSet(env.REDIS_URL)) errors.push("HISTORY_STORE=redis requires REDIS_URL");
+
+  // ingestion chunking
+  const chunkSize = Number(env.INGEST_CHUNK_SIZE || 1000);
+  const overlap = Number(env.INGEST_CHUNK_OVERLAP || 200);
+  if (Number.isFinite(chunkSize) && Number.isFinite(overlap) && overlap >= chunkSize) {
+    errors.push(`INGEST_CHUNK_OVERLAP (${overlap}) must be smaller than INGEST_CHUNK_SIZE (${chunkSize})`);
+  }
+  // POST /ingest accepts INGEST_TOKEN or an API key; with neither it is disabled (never open)
+  if (!isSet(env.INGEST_TOKEN) && !isSet(env.API_KEYS)) {
+    warnings.push("neither INGEST_TOKEN nor API_KEYS is set — POST /ingest is disabled (answers 503)");
+  } else if (!isSet(env.INGEST_TOKEN)) {
+    warnings.push("INGEST_TOKEN is not set — every API key can call POST /ingest");
+  }
+
+  // auth
+  if (isSet(env.API_KEYS)) {
+    const bad = env.API_KEYS.split(",").map((p) => p.trim()).filter((p) => p && !/^[^:\s]+:\S+$/.test(p));
+    if (bad.length) errors.push(`API_KEYS entries must look like name:key (invalid: ${bad.length})`);
+  }
+  // an unset JWT_SECRET is reported by authService (it falls back to a random one)
+  if (isSet(env.JWT_SECRET) && env.JWT_SECRET.length < 16) warnings.push("JWT_SECRET is shorter than 16 characters");
+
+  const trustProxy = isSet(env.TRUST_PROXY)
+    ? /^\d+$/.test(env.TRUST_PROXY) ? Number(env.TRUST_PROXY) : env.TRUST_PROXY === "true" ? true : env.TRUST_PROXY
+    : null;
+
+  const config = {
+    port: Number(env.PORT || 5000),
+    trustProxy,
+    embeddingProvider,
+    llmProvider,
+    historyStore,
+    redis: isSet(env.REDIS_URL),
+  };
+  return { config, errors, warnings };
+}
+
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n  - ${errors.join("\n  - ")}`);
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+export default {
+  loadConfig,
+  ConfigError,
+};
@@ -0,0 +1,254 @@
+// services/contextService.js
+/**
+ * Token-budgeted context assembly for the answer prompt.
+ *
+ * The budget comes from the model that will answer:
+ *   budget = context window - max output tokens - CONTEXT_RESERVE_TOKENS
+ * (the reserve covers the system prompt, the conversation and the question; windows per
+ * model in services/llmService.js), lowered to CONTEXT_MAX_TOKENS when that is set.
+ * Passages are sized with the ~4 characters per token estimate while the context is
+ * assembled; fitContext then counts the result with the provider's tokenizer
+ * (countTokens) and rebuilds with a smaller estimate budget when the estimate was short.
+ *
+ * buildContext(hits, { maxTokens, neighbours }) fills the budget in two passes:
+ *   1. the selected hits in rank order, each as a numbered passage. A passage that does
+ *      not fit is cut at a sentence boundary when at least CONTEXT_MIN_PASSAGE_TOKENS of
+ *      it fit, otherwise dropped (later, shorter hits may still fit)
+ *   2. neighbouring chunks of the same article (fetched by ragService from Qdrant),
+ *      closest first and best ranked hit first, while they fit whole. They join the
+ *      hit's passage in chunk order, with the ingestion overlap removed
+ * and reports every chunk it included or dropped, and why.
+ *
+ * Environment variables:
+ *   CONTEXT_MAX_TOKENS          - optional cap on the budget (default none: the model's window decides)
+ *   CONTEXT_RESERVE_TOKENS      - optional (default 1500), prompt tokens kept free for everything else
+ *   CONTEXT_MIN_PASSAGE_TOKENS  - optional (default 60), smallest useful cut of a passage
+ *   CONTEXT_NEIGHBOURS          - optional (default 1), chunks before/after each hit to pull in (0 = off)
+ */
+
+import { estimateTokens, contextWindowFor, DEFAULT_MAX_OUTPUT_TOKENS } from "./llmService.js";
+import { timeStage } from "./metricsService.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("context");
+
+export const CONTEXT_MAX_TOKENS = Number(process.env.CONTEXT_MAX_TOKENS) > 0 ? Number(process.env.CONTEXT_MAX_TOKENS) : null;
+const RESERVE_TOKENS = Number(process.env.CONTEXT_RESERVE_TOKENS || 1500);
+const MIN_PASSAGE_TOKENS = Number(process.env.CONTEXT_MIN_PASSAGE_TOKENS || 60);
+export const CONTEXT_NEIGHBOURS = Number(process.env.CONTEXT_NEIGHBOURS || 1);
+
+/**
+ * contextBudget({ provider, model, maxOutputTokens, cap }) -> { maxTokens, model, window }
+ * provider: the LLM provider that will answer (its contextWindow(model)); model / maxOutputTokens
+ * are the per-request settings (defaults: the provider's model, LLM_MAX_OUTPUT_TOKENS).
+ * cap: upper bound of the budget (default CONTEXT_MAX_TOKENS; null for none).
+ */
+export function contextBudget({ provider = null, model, maxOutputTokens, cap = CONTEXT_MAX_TOKENS } = {}) {
+  const modelId = model || provider?.defaultModel || null;
+  const window = typeof provider?.contextWindow === "function" ? provider.contextWindow(modelId || undefined) : contextWindowFor(modelId);
+  const available = window - (Number(maxOutputTokens) || DEFAULT_MAX_OUTPUT_TOKENS) - RESERVE_TOKENS;
+  return { maxTokens: Math.max(0, cap ? Math.min(cap, available) : available), model: modelId, window };
+}
+
+/* -------------------------
+   Text helpers
+   ------------------------- */
+
+/* longest prefix of `text` that ends a sentence and fits maxTokens; "" when not even one sentence fits */
+export function trimToSentence(text, maxTokens) {
+  const maxChars = maxTokens * 4;
+  if (text.length <= maxChars) return text;
+  const window = text.slice(0, maxChars + 1);
+  let cut = -1;
+  for (const m of window.matchAll(/[.!?]["')\]]?(?=\s|$)/g)) {
+    if (m.index + m[0].length <= maxChars) cut = m.index + m[0].length;
+  }
+  return cut > 0 ? text.slice(0, cut).trim() : "";
+}
+
+/* a + b where b starts with the end of a (chunks overlap by INGEST_CHUNK_OVERLAP characters) */
+export function joinChunks(a, b) {
+  const max = Math.min(a.length, b.length, 1000);
+  for (let n = max; n >= 20; n--) {
+    if (a.endsWith(b.slice(0, n))) return a + b.slice(n);
+  }
+  return `${a} ${b}`;
+}
+
+function chunkText(payload = {}) {
+  return String(payload.text || payload.excerpt || payload.content || "").trim();
+}
+
+function describe(hit, role) {
+  const p = hit.payload || {};
+  return { id: hit.id ?? null, article_id: p.article_id ?? null, chunk_index: p.chunk_index ?? null, role };
+}
+
+/* -------------------------
+   buildContext
+   ------------------------- */
+
+/**
+ * buildContext(hits, { maxTokens, neighbours, radius })
+ * - hits: the selected hits, best first
+ * - neighbours: Map(article_id -> Map(chunk_index -> { id, payload })), or null
+ * - radius: how many chunks before/after a hit may join it (default CONTEXT_NEIGHBOURS)
+ * Returns { context, passages, report } where
+ *   passages[i] = { marker, id, title, url, published }  (the passage labelled [marker])
+ *   report = { budget_tokens, used_tokens, included: [...], dropped: [...] }  (token counts estimated)
+ *     included: { marker, id, article_id, chunk_index, role: "hit" | "neighbour", tokens, truncated? }
+ *     dropped:  { id, article_id, chunk_index, role, reason: "budget" | "empty" }
+ */
+export function buildContext(hits = [], { maxTokens = contextBudget().maxTokens, neighbours = null, radius = CONTEXT_NEIGHBOURS } = {}) {
+  const included = [];
+  const dropped = [];
+  const blocks = []; // one per passage: { hit, marker, title, source, text, truncated, before: [], after: [] }
+  const seen = new Set(); // article_id:chunk_index already in the context
+  let remaining = maxTokens;
+
+  const chunkKey = (p) => (p.article_id != null && p.chunk_index != null ? `${p.article_id}:${p.chunk_index}` : null);
+
+  // 1) the hits themselves
+  for (const h of hits) {
+    const p = h.payload || {};
+    const title = p.title || p.headline || null;
+    const source = p.url || p.source || null;
+    let text = chunkText(p);
+    if (!title && !text) {
+      dropped.push({ ...describe(h, "hit"), reason: "empty" });
+      continue;
+    }
+
+    const marker = blocks.length + 1;
+    const overhead = estimateTokens(`[${marker}] ${title ? `${title}\n` : ""}${source ? `Source: ${source}\n` : ""}\n\n`);
+    let truncated = false;
+    if (overhead + estimateTokens(text) > remaining) {
+      const room = remaining - overhead;
+      const cut = room >= MIN_PASSAGE_TOKENS ? trimToSentence(text, room) : "";
+      if (!cut) {
+        dropped.push({ ...describe(h, "hit"), reason: "budget" });
+        continue;
+      }
+      text = cut;
+      truncated = true;
+    }
+
+    const tokens = overhead + estimateTokens(text);
+    remaining -= tokens;
+    blocks.push({ hit: h, marker, title, source, text, truncated, before: [], after: [] });
+    included.push({ marker, ...describe(h, "hit"), tokens, ...(truncated ? { truncated: true } : {}) });
+    const key = chunkKey(p);
+    if (key) seen.add(key);
+  }
+
+  // 2) neighbouring chunks, only around passages that were kept whole
+  if (neighbours) {
+    const pending = [];
+    for (const block of blocks) {
+      const p = block.hit.payload || {};
+      const chunks = neighbours.get(String(p.article_id));
+      if (block.truncated || !chunks || p.chunk_index == null) continue;
+      const offsets = [...chunks.keys()].map((i) => i - p.chunk_index).filter((d) => d !== 0 && Math.abs(d) <= radius);
+      offsets.sort((a, b) => Math.abs(a) - Math.abs(b) || a - b);
+      for (const d of offsets) pending.push({ block, chunk: chunks.get(p.chunk_index + d), offset: d });
+    }
+    // closest neighbours of all passages before the farther ones
+    pending.sort((a, b) => Math.abs(a.offset) - Math.abs(b.offset));
+
+    for (const { block, chunk, offset } of pending) {
+      const key = chunkKey(chunk.payload || {});
+      if (key && seen.has(key)) continue;
+      // keep each passage contiguous: chunk ±2 only joins after chunk ±1 did
+      const side = offset < 0 ? block.before : block.after;
+      if (side.length !== Math.abs(offset) - 1) continue;
+      const text = chunkText(chunk.payload);
+      if (!text) continue;
+      const tokens = estimateTokens(text) + 1;
+      if (tokens > remaining) {
+        dropped.push({ ...describe(chunk, "neighbour"), reason: "budget" });
+        continue;
+      }
+      remaining -= tokens;
+      if (key) seen.add(key);
+      side.push({ offset, text });
+      included.push({ marker: block.marker, ...describe(chunk, "neighbour"), tokens });
+    }
+  }
+
+  // 3) assemble the passages, chunks in article order
+  const parts = [];
+  const passages = [];
+  for (const block of blocks) {
+    const run = [
+      ...block.before.sort((a, b) => a.offset - b.offset),
+      { offset: 0, text: block.text },
+      ...block.after.sort((a, b) => a.offset - b.offset),
+    ];
+    const body = run.reduce((acc, c) => (acc ? joinChunks(acc, c.text) : c.text), "");
+    let piece = `[${block.marker}] `;
+    if (block.title) piece += `${block.title}\n`;
+    if (body) piece += `${body}\n`;
+    if (block.source) piece += `Source: ${block.source}\n`;
+    parts.push(piece.trim());
+
+    const p = block.hit.payload || {};
+    passages.push({
+      marker: block.marker,
+      id: block.hit.id ?? null,
+      title: block.title,
+      url: p.url || p.link || null,
+      published: p.published || p.date || null,
+    });
+  }
+
+  const context = parts.join("\n\n");
+  return { context, passages, report: { budget_tokens: maxTokens, used_tokens: estimateTokens(context), included, dropped } };
+}
+
+/* -------------------------
+   fitContext
+   ------------------------- */
+
+// estimate budgets tried before settling for the last build
+const MAX_FIT_ATTEMPTS = 3;
+
+/* provider token count, or null when it has none or the call failed */
+async function countWith(provider, text, model) {
+  if (typeof provider?.countTokens !== "function") return null;
+  try {
+    const n = await timeStage("count_tokens", () => provider.countTokens(text, { model: model || undefined }));
+    return Number.isFinite(n) ? n : null;
+  } catch (err) {
+    log.warn("token count failed, keeping the estimate", err);
+    return null;
+  }
+}
+
+/**
+ * fitContext(hits, { maxTokens, neighbours, radius, provider, model }) -> same as buildContext
+ * buildContext checked against the provider's own token count: when the assembled context is
+ * over maxTokens, it is built again with the estimate budget scaled by estimate/actual.
+ * report.used_tokens is then the provider's count and report.token_count says which
+ * ("provider" | "estimate").
+ */
+export async function fitContext(hits = [], { maxTokens = contextBudget().maxTokens, neighbours = null, radius = CONTEXT_NEIGHBOURS, provider = null, model } = {}) {
+  let budget = maxTokens;
+  let built = buildContext(hits, { maxTokens: budget, neighbours, radius });
+  let counted = built.context ? await countWith(provider, built.context, model) : null;
+  for (let attempt = 1; counted !== null && counted > maxTokens && attempt < MAX_FIT_ATTEMPTS; attempt++) {
+    // the estimate ran short: shrink the estimate budget by the ratio seen and build again
+    budget = Math.floor((budget * built.report.used_tokens) / counted);
+    built = buildContext(hits, { maxTokens: budget, neighbours, radius });
+    counted = built.context ? await countWith(provider, built.context, model) : null;
+  }
+  built.report.budget_tokens = maxTokens;
+  if (counted !== null) built.report.used_tokens = counted;
+  built.report.token_count = counted !== null ? "provider" : "estimate";
+  return built;
+}
+
+export default {
+  buildContext,
+  fitContext,
+  contextBudget,
+};
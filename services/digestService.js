@@ -0,0 +1,476 @@
+// services/digestService.js
+/**
+ * Topic digests (POST /digest): many matching articles summarized map-reduce style.
+ *
+ *   1. collect    with a topic, retrieval (services/ragService.js) ranks chunks and they are grouped
+ *                 per article; with only a time window, articles are listed in scroll order
+ *                 (services/articleService.js). Each article is then reassembled from its chunks
+ *   2. map        one short summary per article (geminiService.summarizeArticle), DIGEST_CONCURRENCY
+ *                 at a time, after injection text in it was redacted (services/guardrailService.js);
+ *                 articles whose summary fails, or is withheld by the output check, are reported in `skipped`
+ *   3. reduce     one briefing over the numbered summaries (geminiService.composeBriefing): sections
+ *                 of bullets, each citing the summaries it rests on. When the model's JSON does not
+ *                 parse, or the briefing is withheld by the output check, the summaries themselves
+ *                 become the bullets
+ *
+ * When articles matched but none could be summarized (the model failing, every summary withheld)
+ * the job fails with DigestError("summaries_failed") instead of finishing as an empty digest, so
+ * an upstream outage is not cached as "no coverage".
+ *
+ * Digests run as jobs: POST /digest answers with a job id right away and GET /digest/:jobId
+ * reports progress until the digest is there. The same request (topic, window, filters,
+ * max_articles) made within DIGEST_TTL_SECONDS gets the finished digest, or joins the job
+ * still running. Relative windows ("48h") are keyed as written, so a cached "last 48 hours"
+ * digest is at most DIGEST_TTL_SECONDS old.
+ *
+ * Jobs are stored in Redis (`digest:job:<id>` JSON, `digest:key:<hash>` -> id), or in process
+ * memory without a ready Redis client.
+ *
+ * Environment variables:
+ *   DIGEST_MAX_ARTICLES    - optional (default 10), per request `max_articles` up to 30
+ *   DIGEST_ARTICLE_TOKENS  - optional (default 1500), article text sent to the summary step
+ *   DIGEST_CONCURRENCY     - optional (default 3), summaries requested in parallel
+ *   DIGEST_TTL_SECONDS     - optional (default 3600), how long jobs and finished digests are kept
+ */
+
+import crypto from "crypto";
+import { redis, isRedisReady } from "./redisClient.js";
+import { getRetriever } from "./ragService.js";
+import { listArticles, getArticle } from "./articleService.js";
+import { articleKey } from "./diversityService.js";
+import { trimToSentence } from "./contextService.js";
+import { summarizeArticle, composeBriefing, SUMMARY_SYSTEM_PROMPT, BRIEFING_SYSTEM_PROMPT } from "./geminiService.js";
+import { screenContext, screenOutput } from "./guardrailService.js";
+import { normalizeFilters } from "./searchFilters.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("digest");
+
+const DEFAULT_MAX_ARTICLES = Number(process.env.DIGEST_MAX_ARTICLES || 10);
+export const MAX_ARTICLES_LIMIT = 30;
+const ARTICLE_TOKENS = Number(process.env.DIGEST_ARTICLE_TOKENS || 1500);
+const CONCURRENCY = Math.max(1, Number(process.env.DIGEST_CONCURRENCY || 3));
+const TTL_SECONDS = Number(process.env.DIGEST_TTL_SECONDS || 3600);
+const MAX_TOPIC_LENGTH = 300;
+// a running job not updated for this long is assumed lost (its instance restarted)
+const STALE_MS = 5 * 60 * 1000;
+
+export class DigestError extends Error {
+  /**
+   * @param {"summaries_failed"} code
+   * @param {string} message
+   * @param {Object} [details]  { skipped } for summaries_failed
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "DigestError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/* -------------------------
+   Request validation
+   ------------------------- */
+
+/**
+ * validateDigestRequest(body) -> { request } | { error }
+ * request: { topic, filters, window: { from, to }, max_articles, key }
+ * A topic, a time window (from/to) or both are required.
+ */
+export function validateDigestRequest(body = {}) {
+  const topic = body.topic === undefined || body.topic === null ? "" : body.topic;
+  if (typeof topic !== "string" || topic.length > MAX_TOPIC_LENGTH) {
+    return { error: `topic must be a string of at most ${MAX_TOPIC_LENGTH} characters` };
+  }
+  const { filters, error } = normalizeFilters(body);
+  if (error) return { error };
+  if (!topic.trim() && !filters?.from && !filters?.to) return { error: "topic or a time window (from/to) is required" };
+
+  let max = DEFAULT_MAX_ARTICLES;
+  if (body.max_articles !== undefined) {
+    max = Number(body.max_articles);
+    if (!Number.isInteger(max) || max < 1 || max > MAX_ARTICLES_LIMIT) {
+      return { error: `max_articles must be an integer between 1 and ${MAX_ARTICLES_LIMIT}` };
+    }
+  }
+
+  // keyed on the request as written: "48h" stays "48h" rather than the instant it resolved to
+  const key = crypto.createHash("sha1").update(JSON.stringify({
+    topic: topic.trim().toLowerCase(),
+    sources: [...(filters?.sources || [])].sort(),
+    categories: [...(filters?.categories || [])].sort(),
+    from: body.from ?? null,
+    to: body.to ?? null,
+    max,
+  })).digest("hex");
+
+  return {
+    request: {
+      topic: topic.trim(),
+      filters,
+      window: { from: filters?.from || null, to: filters?.to || null },
+      max_articles: max,
+      key,
+    },
+  };
+}
+
+/* -------------------------
+   1) collect
+   ------------------------- */
+
+/* full article text when the chunks can be fetched, else the retrieved chunks joined */
+async function loadArticle(id, fallback) {
+  if (id != null) {
+    try {
+      const article = await getArticle(id);
+      if (article) return article;
+    } catch (err) {
+      log.warn(`article ${id} not loaded, using the retrieved chunks`, err);
+    }
+  }
+  return fallback;
+}
+
+async function collectArticles(request) {
+  const { topic, filters, max_articles: max } = request;
+
+  if (!topic) {
+    const { articles } = await listArticles({ filters, limit: max });
+    const loaded = await Promise.all(articles.map((a) => loadArticle(a.id, { ...a, text: a.excerpt })));
+    return { candidates: articles.length, articles: loaded };
+  }
+
+  // several chunks per article come back, so dig deeper than max_articles
+  const res = await getRetriever().getContextWithHits(topic, Math.min(100, max * 4), { filters, diversity: false, neighbours: 0, countTokens: false });
+  const groups = new Map();
+  for (const h of res.hits || []) {
+    const key = articleKey(h);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(h);
+  }
+  const picked = [...groups.values()].slice(0, max);
+  const loaded = await Promise.all(picked.map((hits) => {
+    const p = hits[0].payload || {};
+    const text = hits
+      .slice()
+      .sort((a, b) => Number(a.payload?.chunk_index ?? 0) - Number(b.payload?.chunk_index ?? 0))
+      .map((h) => h.payload?.text || h.payload?.excerpt || "")
+      .join("\n");
+    return loadArticle(p.article_id, {
+      id: p.article_id ?? hits[0].id ?? null,
+      title: p.title || p.headline || null,
+      url: p.url || p.link || null,
+      source: p.source || null,
+      published: p.published || p.date || null,
+      text,
+    });
+  }));
+  return { candidates: (res.hits || []).length, articles: loaded };
+}
+
+/* -------------------------
+   2) map
+   ------------------------- */
+
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+/* -------------------------
+   3) reduce
+   ------------------------- */
+
+/* the JSON object in a model reply, tolerating code fences and text around it */
+function parseJsonReply(text) {
+  const s = String(text || "").replace(/```(?:json)?/gi, "");
+  const start = s.indexOf("{");
+  const end = s.lastIndexOf("}");
+  if (start < 0 || end <= start) return null;
+  try {
+    return JSON.parse(s.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * toSections(reply, markers) -> { title, sections, invalid_citations } | null
+ * Keeps bullets with text; citations come from `sources` and inline [n] markers, and
+ * numbers that match no summary are dropped (listed in invalid_citations).
+ */
+export function toSections(reply, markers) {
+  const parsed = parseJsonReply(reply);
+  if (!parsed || !Array.isArray(parsed.sections)) return null;
+  const valid = new Set(markers);
+  const invalid = new Set();
+
+  const sections = [];
+  for (const section of parsed.sections) {
+    const bullets = [];
+    for (const b of Array.isArray(section?.bullets) ? section.bullets : []) {
+      const raw = typeof b === "string" ? b : b?.text;
+      if (typeof raw !== "string" || !raw.trim()) continue;
+      const cited = [
+        ...(Array.isArray(b?.sources) ? b.sources : []),
+        ...[...raw.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)].flatMap((m) => m[1].split(",")),
+      ].map(Number);
+      for (const n of cited) if (!valid.has(n)) invalid.add(n);
+      const citations = [...new Set(cited.filter((n) => valid.has(n)))].sort((a, b) => a - b);
+      bullets.push({ text: raw.replace(/\s*\[\d+(?:\s*,\s*\d+)*\]/g, "").trim(), citations });
+    }
+    if (bullets.length) sections.push({ heading: String(section.heading || "").trim() || null, bullets });
+  }
+  if (!sections.length) return null;
+  return { title: typeof parsed.title === "string" ? parsed.title.trim() : null, sections, invalid_citations: [...invalid] };
+}
+
+/* -------------------------
+   Pipeline
+   ------------------------- */
+
+/**
+ * buildDigest(request, { provider, llm, onProgress })
+ * request: from validateDigestRequest. onProgress({ stage, summarized, total }) is called as work advances.
+ * -> { title, topic, window, generated_at, sections: [{ heading, bullets: [{ text, citations }] }],
+ *      sources: [{ marker, id, title, url, source, published, summary }], skipped: [{ id, title, reason }],
+ *      invalid_citations, stats: { candidates, articles, summarized, fallback } }
+ */
+export async function buildDigest(request, { provider, llm, onProgress = () => {} } = {}) {
+  const { topic, window } = request;
+  await onProgress({ stage: "collect", summarized: 0, total: 0 });
+  const { candidates, articles } = await collectArticles(request);
+
+  let summarized = 0;
+  await onProgress({ stage: "summarize", summarized, total: articles.length });
+  const skipped = [];
+  const summaries = await mapLimit(articles, CONCURRENCY, async (article) => {
+    const { context: text } = screenContext(String(article.text || "").trim());
+    if (!text) {
+      skipped.push({ id: article.id ?? null, title: article.title ?? null, reason: "empty" });
+      return null;
+    }
+    try {
+      const summary = await summarizeArticle({ ...article, text: trimToSentence(text, ARTICLE_TOKENS) || text.slice(0, ARTICLE_TOKENS * 4) }, topic, { provider, llm });
+      screenOutput(summary, { protectedTexts: [SUMMARY_SYSTEM_PROMPT] });
+      summarized += 1;
+      await onProgress({ stage: "summarize", summarized, total: articles.length });
+      return { article, summary };
+    } catch (err) {
+      log.warn(`summary failed for article ${article.id}`, err);
+      skipped.push({ id: article.id ?? null, title: article.title ?? null, reason: err?.code || "upstream" });
+      return null;
+    }
+  });
+
+  const sources = summaries.filter(Boolean).map(({ article, summary }, i) => ({
+    marker: i + 1,
+    id: article.id ?? null,
+    title: article.title ?? null,
+    url: article.url ?? null,
+    source: article.source ?? null,
+    published: article.published ?? null,
+    summary,
+  }));
+  const digest = {
+    title: null,
+    topic: topic || null,
+    window,
+    generated_at: null,
+    sections: [],
+    sources,
+    skipped,
+    invalid_citations: [],
+    stats: { candidates, articles: articles.length, summarized: sources.length, fallback: false },
+  };
+  if (!sources.length && skipped.length) {
+    throw new DigestError("summaries_failed", `None of the ${skipped.length} matching articles could be summarized`, { skipped });
+  }
+  if (!sources.length) {
+    digest.title = topic ? `No recent coverage of ${topic}` : "No articles in this window";
+    digest.generated_at = new Date().toISOString();
+    return digest;
+  }
+
+  await onProgress({ stage: "compose", summarized: sources.length, total: articles.length });
+  let composed = null;
+  try {
+    const reply = await composeBriefing(topic, sources.map(({ marker, title, published, summary }) => ({ marker, title, published, summary })), { provider, llm });
+    const parsed = toSections(reply, sources.map((s) => s.marker));
+    if (!parsed) log.warn("briefing reply was not usable JSON, falling back to the summaries");
+    else {
+      // the whole briefing is withheld when any part of it trips the output check, as a chat answer is
+      const text = [parsed.title, ...parsed.sections.flatMap((sec) => [sec.heading, ...sec.bullets.map((b) => b.text)])].filter(Boolean).join("\n");
+      screenOutput(text, { protectedTexts: [BRIEFING_SYSTEM_PROMPT] });
+      composed = parsed;
+    }
+  } catch (err) {
+    log.warn("briefing failed, falling back to the summaries", err);
+  }
+  if (composed) {
+    digest.title = composed.title;
+    digest.sections = composed.sections;
+    digest.invalid_citations = composed.invalid_citations;
+  } else {
+    digest.stats.fallback = true;
+    digest.sections = [{ heading: "Highlights", bullets: sources.map((s) => ({ text: s.summary, citations: [s.marker] })) }];
+  }
+  digest.title = digest.title || (topic ? `Digest: ${topic}` : "News digest");
+  digest.generated_at = new Date().toISOString();
+  return digest;
+}
+
+/* -------------------------
+   Job store (Redis, or process memory)
+   ------------------------- */
+const memJobs = new Map(); // jobId -> { job, expiresAt }
+const memKeys = new Map(); // request key -> { jobId, expiresAt }
+const running = new Map(); // jobId -> promise of the finished job (this instance only)
+
+function memGet(map, id) {
+  const entry = map.get(id);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    map.delete(id);
+    return null;
+  }
+  return entry;
+}
+
+async function saveJob(job) {
+  job.updated_at = new Date().toISOString();
+  if (isRedisReady()) {
+    try {
+      await redis.multi()
+        .set(`digest:job:${job.job_id}`, JSON.stringify(job), "EX", TTL_SECONDS)
+        .set(`digest:key:${job.key}`, job.job_id, "EX", TTL_SECONDS)
+        .exec();
+      return;
+    } catch (e) {
+      log.warn("job save failed", e);
+    }
+  }
+  const expiresAt = Date.now() + TTL_SECONDS * 1000;
+  memJobs.set(job.job_id, { job: structuredClone(job), expiresAt });
+  memKeys.set(job.key, { jobId: job.job_id, expiresAt });
+}
+
+async function loadJob(jobId) {
+  if (isRedisReady()) {
+    try {
+      const raw = await redis.get(`digest:job:${jobId}`);
+      if (raw) return JSON.parse(raw);
+    } catch (e) {
+      log.warn("job lookup failed", e);
+    }
+  }
+  const entry = memGet(memJobs, jobId);
+  return entry ? structuredClone(entry.job) : null;
+}
+
+async function jobIdForKey(key) {
+  if (isRedisReady()) {
+    try {
+      const id = await redis.get(`digest:key:${key}`);
+      if (id) return id;
+    } catch (e) {
+      log.warn("key lookup failed", e);
+    }
+  }
+  return memGet(memKeys, key)?.jobId || null;
+}
+
+/* job as returned by the API (the request key is internal) */
+function jobView(job) {
+  const { key, ...view } = job;
+  return view;
+}
+
+/* -------------------------
+   Public
+   ------------------------- */
+
+/**
+ * startDigest(request, { provider, llm }) -> { job, done, reused }
+ * Reuses a finished or still running job for the same request; otherwise starts one in the
+ * background. `done` resolves to the finished job when this instance runs it (null otherwise).
+ */
+export async function startDigest(request, options = {}) {
+  const existingId = await jobIdForKey(request.key);
+  const existing = existingId ? await loadJob(existingId) : null;
+  if (existing) {
+    const fresh = Date.now() - Date.parse(existing.updated_at) < STALE_MS;
+    if (existing.status === "done" || (existing.status === "running" && (running.has(existing.job_id) || fresh))) {
+      const done = existing.status === "done" ? Promise.resolve(jobView(existing)) : running.get(existing.job_id) || null;
+      return { job: { ...jobView(existing), cached: existing.status === "done" }, done, reused: true };
+    }
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    job_id: crypto.randomUUID(),
+    key: request.key,
+    status: "running",
+    created_at: now,
+    updated_at: now,
+    request: {
+      topic: request.topic || null,
+      sources: request.filters?.sources || [],
+      categories: request.filters?.categories || [],
+      from: request.window.from,
+      to: request.window.to,
+      max_articles: request.max_articles,
+    },
+    progress: { stage: "queued", summarized: 0, total: 0 },
+    digest: null,
+    error: null,
+  };
+  await saveJob(job);
+
+  const done = (async () => {
+    try {
+      job.digest = await buildDigest(request, {
+        ...options,
+        onProgress: async (progress) => {
+          job.progress = progress;
+          await saveJob(job);
+        },
+      });
+      job.status = "done";
+      job.progress = { ...job.progress, stage: "done" };
+    } catch (err) {
+      log.error(`digest ${job.job_id} failed`, err);
+      job.status = "failed";
+      job.error = { code: err?.code || "internal", message: err?.message || String(err), ...(err?.details ? { details: err.details } : {}) };
+    }
+    await saveJob(job);
+    running.delete(job.job_id);
+    return jobView(job);
+  })();
+  running.set(job.job_id, done);
+
+  return { job: { ...jobView(job), cached: false }, done, reused: false };
+}
+
+/* getDigestJob(jobId) -> job or null (unknown or expired) */
+export async function getDigestJob(jobId) {
+  const job = await loadJob(jobId);
+  return job ? jobView(job) : null;
+}
+
+export default {
+  validateDigestRequest,
+  buildDigest,
+  startDigest,
+  getDigestJob,
+};
@@ -0,0 +1,157 @@
+// services/diversityService.js
+/**
+ * Diversity-aware selection of retrieved hits, applied by getContextWithHits
+ * before the context is built so the context budget covers distinct stories:
+ *
+ *   1. near-duplicates are dropped: chunks whose text is almost identical to a better
+ *      ranked chunk (the same wire story syndicated on several sites, re-ingested copies)
+ *   2. at most MAX_CHUNKS_PER_ARTICLE chunks per article (article_id, else url, else title)
+ *   3. maximal marginal relevance picks the final top_k:
+ *        argmax  lambda * relevance(hit) - (1 - lambda) * max similarity(hit, already picked)
+ *      lambda = 1 is pure relevance order, lower values favour novelty
+ *   4. the picked chunks of one article are grouped together (in chunk order) so the
+ *      model reads them as one passage run
+ *
+ * Relevance is the hit's rerank_score (else score), min-max normalised over the
+ * candidates; similarity is the cosine of term-frequency vectors (keywordIndex.tokenize),
+ * so dense, keyword and hybrid hits are treated alike without fetching vectors.
+ *
+ * Environment variables:
+ *   DIVERSITY_ENABLED       - optional (default true), per call: options.diversity = false
+ *   MMR_LAMBDA              - optional (default 0.7), 0..1
+ *   MAX_CHUNKS_PER_ARTICLE  - optional (default 2)
+ *   DEDUP_THRESHOLD         - optional (default 0.9), text similarity at which a chunk counts as a duplicate
+ *   MMR_CANDIDATES          - optional (default 20), hits fetched to choose from
+ */
+
+import { tokenize } from "./keywordIndex.js";
+
+export const DIVERSITY_ENABLED = !/^(0|false|no|off)$/i.test(process.env.DIVERSITY_ENABLED || "");
+export const MMR_LAMBDA = Number(process.env.MMR_LAMBDA || 0.7);
+export const MAX_CHUNKS_PER_ARTICLE = Number(process.env.MAX_CHUNKS_PER_ARTICLE || 2);
+export const DEDUP_THRESHOLD = Number(process.env.DEDUP_THRESHOLD || 0.9);
+export const MMR_CANDIDATES = Number(process.env.MMR_CANDIDATES || 20);
+
+/* -------------------------
+   Helpers
+   ------------------------- */
+function normalizeUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.hostname.replace(/^www\./, "")}${u.pathname.replace(/\/+$/, "")}`.toLowerCase();
+  } catch {
+    return String(url).trim().toLowerCase();
+  }
+}
+
+/* the article a chunk belongs to: article_id, else its url, else its title */
+export function articleKey(hit) {
+  const p = hit.payload || {};
+  if (p.article_id) return `id:${p.article_id}`;
+  const url = p.url || p.link || p.source;
+  if (url) return `url:${normalizeUrl(url)}`;
+  const title = p.title || p.headline;
+  if (title) return `title:${String(title).trim().toLowerCase()}`;
+  return `hit:${hit.id}`;
+}
+
+function termVector(hit) {
+  const p = hit.payload || {};
+  const tf = new Map();
+  for (const t of tokenize(`${p.title || p.headline || ""} ${p.text || p.excerpt || p.content || ""}`)) {
+    tf.set(t, (tf.get(t) || 0) + 1);
+  }
+  let norm = 0;
+  for (const v of tf.values()) norm += v * v;
+  return { tf, norm: Math.sqrt(norm) };
+}
+
+/* cosine similarity of two term vectors, 0..1 */
+function cosine(a, b) {
+  if (!a.norm || !b.norm) return 0;
+  const [small, large] = a.tf.size <= b.tf.size ? [a.tf, b.tf] : [b.tf, a.tf];
+  let dot = 0;
+  for (const [t, v] of small) dot += v * (large.get(t) || 0);
+  return dot / (a.norm * b.norm);
+}
+
+/* relevance in [0, 1] from rerank_score / score; falls back to rank order when scores are missing or equal */
+function relevances(hits) {
+  const raw = hits.map((h) => h.rerank_score ?? h.score);
+  if (raw.some((s) => typeof s !== "number")) return hits.map((_, i) => 1 - i / hits.length);
+  const min = Math.min(...raw);
+  const max = Math.max(...raw);
+  if (max === min) return hits.map((_, i) => 1 - i / hits.length);
+  return raw.map((s) => (s - min) / (max - min));
+}
+
+/* -------------------------
+   Public
+   ------------------------- */
+
+/**
+ * diversifyHits(hits, topK, { lambda, maxPerArticle, dedupThreshold })
+ * hits must be in relevance order (best first).
+ * Returns { hits, dropped, stats: { candidates, duplicates, over_article_cap, lambda, max_per_article } };
+ * dropped lists [{ hit, reason: "duplicate" | "article_cap" }] (candidates merely ranked below top_k are not listed).
+ */
+export function diversifyHits(hits = [], topK = 5, options = {}) {
+  const lambda = Math.min(1, Math.max(0, Number(options.lambda ?? MMR_LAMBDA)));
+  const maxPerArticle = Math.max(1, Number(options.maxPerArticle ?? MAX_CHUNKS_PER_ARTICLE) || 1);
+  const dedupThreshold = Number(options.dedupThreshold ?? DEDUP_THRESHOLD);
+  const k = Math.max(1, Number(topK) || 5);
+
+  const candidates = hits.map((hit, i) => ({ hit, rank: i, article: articleKey(hit), vector: termVector(hit) }));
+  const relevance = relevances(hits);
+  const stats = { candidates: hits.length, duplicates: 0, over_article_cap: 0, lambda, max_per_article: maxPerArticle };
+
+  // 1) near-duplicates of a better ranked chunk
+  const unique = [];
+  const dropped = [];
+  for (const c of candidates) {
+    if (unique.some((u) => cosine(u.vector, c.vector) >= dedupThreshold)) {
+      stats.duplicates += 1;
+      dropped.push({ hit: c.hit, reason: "duplicate" });
+    } else {
+      unique.push(c);
+    }
+  }
+
+  // 2) + 3) MMR over the remaining chunks, respecting the per-article cap
+  const picked = [];
+  const perArticle = new Map();
+  const pool = unique.slice();
+  while (picked.length < k && pool.length) {
+    let best = -1;
+    let bestScore = -Infinity;
+    for (let i = 0; i < pool.length; i++) {
+      const c = pool[i];
+      if ((perArticle.get(c.article) || 0) >= maxPerArticle) continue;
+      const redundancy = picked.length ? Math.max(...picked.map((p) => cosine(p.vector, c.vector))) : 0;
+      const score = lambda * relevance[c.rank] - (1 - lambda) * redundancy;
+      if (score > bestScore) {
+        bestScore = score;
+        best = i;
+      }
+    }
+    if (best < 0) break; // everything left is over its article's cap
+    const [chosen] = pool.splice(best, 1);
+    picked.push(chosen);
+    perArticle.set(chosen.article, (perArticle.get(chosen.article) || 0) + 1);
+  }
+  const capped = pool.filter((c) => (perArticle.get(c.article) || 0) >= maxPerArticle);
+  stats.over_article_cap = capped.length;
+  for (const c of capped) dropped.push({ hit: c.hit, reason: "article_cap" });
+
+  // 4) group chunks of the same article, articles in the order they were first picked
+  const order = [...new Set(picked.map((p) => p.article))];
+  const chunkIndex = (p) => Number(p.hit.payload?.chunk_index ?? p.rank);
+  const grouped = order.flatMap((article) => picked.filter((p) => p.article === article).sort((a, b) => chunkIndex(a) - chunkIndex(b)));
+
+  return { hits: grouped.map((p) => p.hit), dropped, stats };
+}
+
+export default {
+  diversifyHits,
+  articleKey,
+};
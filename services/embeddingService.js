@@ -0,0 +1,231 @@
+// services/embeddingService.js
+/**
+ * Embedding providers behind one interface, selected by EMBEDDING_PROVIDER.
+ *
+ * Every provider looks like:
+ *   {
+ *     name,                       // "jina" | "cohere" | "local"
+ *     model,                      // model id used for the vectors
+ *     dimension,                  // vector size (null if unknown for a custom model)
+ *     configured,                 // credentials present (reported by GET /health/ready)
+ *     embedQueries(texts)   -> Promise<number[][]>   // search-side vectors
+ *     embedDocuments(texts) -> Promise<number[][]>   // index-side vectors (ingestion)
+ *   }
+ *
+ * Environment variables:
+ *   EMBEDDING_PROVIDER   - optional: jina (default) | cohere | local
+ *   EMBEDDING_DIMENSION  - optional: override the reported dimension (custom models)
+ *   JINA_API_KEY, JINA_MODEL                  - jina provider (default jina-embeddings-v2-base-en)
+ *   JINA_API_URL         - optional: embeddings endpoint (default https://api.jina.ai/v1/embeddings; proxies, test stand-ins)
+ *   COHERE_API_KEY (or CO_API_KEY), COHERE_MODEL  - cohere provider (default embed-english-light-v3.0)
+ *   LOCAL_EMBED_DIM      - local provider (default 384)
+ */
+
+import crypto from "crypto";
+import { httpPost } from "./httpClient.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("embed");
+
+const JINA_API_KEY = process.env.JINA_API_KEY;
+const JINA_MODEL = process.env.JINA_MODEL || "jina-embeddings-v2-base-en";
+const JINA_API_URL = process.env.JINA_API_URL || "https://api.jina.ai/v1/embeddings";
+
+const COHERE_API_KEY = process.env.COHERE_API_KEY || process.env.CO_API_KEY;
+const COHERE_MODEL = process.env.COHERE_MODEL || "embed-english-light-v3.0";
+
+const LOCAL_EMBED_DIM = Number(process.env.LOCAL_EMBED_DIM || 384);
+const DIMENSION_OVERRIDE = process.env.EMBEDDING_DIMENSION ? Number(process.env.EMBEDDING_DIMENSION) : null;
+
+// known output sizes; anything else needs EMBEDDING_DIMENSION
+const KNOWN_DIMENSIONS = {
+  "jina-embeddings-v2-small-en": 512,
+  "jina-embeddings-v2-base-en": 768,
+  "jina-embeddings-v2-base-de": 768,
+  "jina-embeddings-v2-base-es": 768,
+  "jina-embeddings-v2-base-zh": 768,
+  "jina-embeddings-v2-base-code": 768,
+  "jina-embeddings-v3": 1024,
+  "jina-clip-v1": 768,
+  "embed-english-light-v3.0": 384,
+  "embed-multilingual-light-v3.0": 384,
+  "embed-english-v3.0": 1024,
+  "embed-multilingual-v3.0": 1024,
+};
+
+function dimensionFor(model) {
+  return DIMENSION_OVERRIDE || KNOWN_DIMENSIONS[model] || null;
+}
+
+/* -------------------------
+   Jina embedding wrapper (HTTP)
+   -------------------------
+   Uses: POST https://api.jina.ai/v1/embeddings (JINA_API_URL)
+   Body: { model: "<model>", input: ["...", ...], task? }
+   Response: { data: [{ embedding: [...] }, ...], ... }
+   v3 models take a retrieval task (query vs passage); v2 models ignore it, so it is only sent to v3.
+*/
+export async function embedWithJina(texts = [], task = null) {
+  if (!Array.isArray(texts)) texts = [String(texts)];
+  if (!JINA_API_KEY) throw new Error("JINA_API_KEY not configured");
+
+  const url = JINA_API_URL;
+  const headers = {
+    Authorization: `Bearer ${JINA_API_KEY}`,
+  };
+  const body = { model: JINA_MODEL, input: texts };
+  if (task && /v3/.test(JINA_MODEL)) body.task = task;
+
+  try {
+    const json = await httpPost(url, body, headers, 30_000);
+    if (!json) throw new Error("Empty response from Jina embeddings");
+    if (Array.isArray(json.data)) {
+      const embeddings = json.data.map((item, i) => {
+        if (item && Array.isArray(item.embedding)) return item.embedding;
+        // Try other shapes
+        if (item && item.values && Array.isArray(item.values)) return item.values;
+        throw new Error(`Unexpected embedding item shape at index ${i}: ${JSON.stringify(item).slice(0,200)}`);
+      });
+      return embeddings;
+    }
+    // fallback if API returns direct list of vectors
+    if (Array.isArray(json)) return json;
+    throw new Error("Unrecognized Jina response shape for embeddings");
+  } catch (err) {
+    // bubble up with context
+    log.error("jina embed error", err);
+    throw err;
+  }
+}
+
+export function createJinaProvider() {
+  if (!JINA_API_KEY) {
+    log.warn("JINA_API_KEY not set — embedding calls will fail until configured.");
+  }
+  return {
+    name: "jina",
+    model: JINA_MODEL,
+    dimension: dimensionFor(JINA_MODEL),
+    configured: Boolean(JINA_API_KEY),
+    embedQueries: (texts) => embedWithJina(texts, "retrieval.query"),
+    embedDocuments: (texts) => embedWithJina(texts, "retrieval.passage"),
+  };
+}
+
+/* -------------------------
+   Cohere provider (cohere-ai v2 client)
+   -------------------------
+   v3 embed models need an input type: search_query for questions,
+   search_document for indexed passages. The API takes at most 96 texts per call.
+*/
+export function createCohereProvider() {
+  if (!COHERE_API_KEY) {
+    log.warn("COHERE_API_KEY not set — embedding calls will fail until configured.");
+  }
+  let client = null;
+
+  // cohere-ai is only loaded when this provider is selected
+  async function getClient() {
+    if (client) return client;
+    const { CohereClientV2 } = await import("cohere-ai");
+    client = new CohereClientV2({ token: COHERE_API_KEY });
+    return client;
+  }
+
+  async function embed(texts, inputType) {
+    if (!Array.isArray(texts)) texts = [String(texts)];
+    if (!COHERE_API_KEY) throw new Error("COHERE_API_KEY not configured");
+    const co = await getClient();
+    const out = [];
+    for (let i = 0; i < texts.length; i += 96) {
+      try {
+        const r = await co.embed({
+          model: COHERE_MODEL,
+          inputType,
+          embeddingTypes: ["float"],
+          texts: texts.slice(i, i + 96),
+        });
+        const vectors = r.embeddings?.float ?? r.embeddings;
+        if (!Array.isArray(vectors)) throw new Error("Unrecognized Cohere response shape for embeddings");
+        out.push(...vectors);
+      } catch (err) {
+        log.error("cohere embed error", err);
+        throw err;
+      }
+    }
+    return out;
+  }
+
+  return {
+    name: "cohere",
+    model: COHERE_MODEL,
+    dimension: dimensionFor(COHERE_MODEL),
+    configured: Boolean(COHERE_API_KEY),
+    embedQueries: (texts) => embed(texts, "search_query"),
+    embedDocuments: (texts) => embed(texts, "search_document"),
+  };
+}
+
+/* -------------------------
+   Local hashing provider (offline / tests)
+   -------------------------
+   Feature hashing of lowercased word unigrams and bigrams into `dimension`
+   buckets with a sign bit, then L2-normalized. Deterministic across runs and
+   machines, no network; texts sharing words end up with a positive cosine.
+*/
+function hashToken(token) {
+  return crypto.createHash("md5").update(token).digest().readUInt32LE(0);
+}
+
+export function hashEmbed(text, dimension = LOCAL_EMBED_DIM) {
+  const vec = new Array(dimension).fill(0);
+  const words = String(text || "").toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const features = [...words, ...words.slice(1).map((w, i) => `${words[i]} ${w}`)];
+  for (const f of features) {
+    const h = hashToken(f);
+    vec[h % dimension] += h & 0x80000000 ? -1 : 1;
+  }
+  const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0));
+  return norm > 0 ? vec.map((v) => v / norm) : vec;
+}
+
+export function createLocalProvider(dimension = LOCAL_EMBED_DIM) {
+  const embed = async (texts) => (Array.isArray(texts) ? texts : [String(texts)]).map((t) => hashEmbed(t, dimension));
+  return {
+    name: "local",
+    model: `local-hash-${dimension}`,
+    dimension,
+    configured: true,
+    embedQueries: embed,
+    embedDocuments: embed,
+  };
+}
+
+/* -------------------------
+   Provider selection
+   ------------------------- */
+const PROVIDERS = {
+  jina: createJinaProvider,
+  cohere: createCohereProvider,
+  local: () => createLocalProvider(),
+};
+export const EMBEDDING_PROVIDERS = Object.keys(PROVIDERS);
+
+let embedder = null;
+
+export function getEmbedder() {
+  if (embedder) return embedder;
+  const name = (process.env.EMBEDDING_PROVIDER || "jina").toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown EMBEDDING_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  embedder = factory();
+  log.info(`provider=${embedder.name} model=${embedder.model} dimension=${embedder.dimension ?? "unknown"}`);
+  return embedder;
+}
+
+export default {
+  getEmbedder,
+  embedWithJina,
+};
@@ -0,0 +1,354 @@
+// services/evalService.js
+/**
+ * Offline evaluation of retrieval (and optionally answers) against a golden dataset.
+ *
+ * Dataset: JSONL, one question per line:
+ *   { "id": "q1", "question": "...", "expected_article_ids": ["..."], "expected_urls": ["https://..."],
+ *     "reference_answer": "..." }
+ * Expected articles can be given as article_id (payload field written by ingestion)
+ * or as URLs (converted with ingestService.articleIdFor); at least one is required.
+ *
+ * Retrieval metrics (hits are collapsed to articles, first occurrence wins; a point without
+ * article_id counts as the article its url hashes to, like expected_urls):
+ *   recall@k  - share of expected articles in the top k
+ *   MRR       - 1 / rank of the first expected article (0 when none is retrieved)
+ *   nDCG@k    - binary-relevance nDCG
+ * Answer metrics (answers: true; runs askGemini on the retrieved context):
+ *   citation_validity   - cited markers that point at a passage / all cited markers
+ *   citation_precision  - valid citations whose passage is an expected article
+ *   reference_f1        - token F1 between answer and reference_answer
+ *
+ * Runs fully offline with EMBEDDING_PROVIDER=local, a local Qdrant and the stub
+ * LLM (extractiveStub) — see tools/eval.mjs.
+ */
+
+import { getRetriever } from "./ragService.js";
+import { retrieveContext } from "./redisService.js";
+import { askGemini } from "./geminiService.js";
+import { createMockProvider } from "./llmService.js";
+import { resolveCitations } from "./citationService.js";
+import { articleIdFor } from "./ingestService.js";
+import { tokenize } from "./keywordIndex.js";
+import { getEmbedder } from "./embeddingService.js";
+import { DIVERSITY_ENABLED, MMR_LAMBDA, MAX_CHUNKS_PER_ARTICLE } from "./diversityService.js";
+import { CONTEXT_NEIGHBOURS } from "./contextService.js";
+
+export const DEFAULT_KS = [1, 3, 5, 10];
+
+/* -------------------------
+   Dataset
+   ------------------------- */
+
+/**
+ * parseDataset(text) -> { items, errors }
+ * items: [{ id, question, expected: [articleId], reference_answer }]
+ */
+export function parseDataset(text) {
+  const items = [];
+  const errors = [];
+  String(text || "")
+    .split(/\r?\n/)
+    .forEach((line, i) => {
+      if (!line.trim()) return;
+      let row;
+      try {
+        row = JSON.parse(line);
+      } catch (e) {
+        errors.push({ line: i + 1, error: `invalid JSON: ${e.message}` });
+        return;
+      }
+      const question = String(row.question || row.query || "").trim();
+      const expected = [
+        ...(row.expected_article_ids || []).map(String),
+        ...(row.expected_urls || []).map((url) => articleIdFor({ url })),
+      ];
+      if (!question) return errors.push({ line: i + 1, error: "missing question" });
+      if (!expected.length) return errors.push({ line: i + 1, error: "missing expected_article_ids / expected_urls" });
+      items.push({
+        id: String(row.id ?? `q${i + 1}`),
+        question,
+        expected: [...new Set(expected)],
+        reference_answer: row.reference_answer ? String(row.reference_answer) : null,
+      });
+    });
+  return { items, errors };
+}
+
+/* -------------------------
+   Metrics
+   ------------------------- */
+
+/*
+ * the article id of a hit, comparable with parseDataset's expected ids: points without
+ * article_id (written by older ingest scripts) get the id their url would have been given
+ */
+function articleIdOf(hit) {
+  const p = hit.payload || {};
+  if (p.article_id != null) return String(p.article_id);
+  if (p.url) return articleIdFor({ url: p.url });
+  return hit.id == null ? null : String(hit.id);
+}
+
+/* hits -> article ids in rank order, duplicates (several chunks of one article) removed */
+export function rankedArticles(hits = []) {
+  const seen = new Set();
+  const out = [];
+  for (const h of hits) {
+    const id = articleIdOf(h);
+    if (id == null || seen.has(String(id))) continue;
+    seen.add(String(id));
+    out.push(String(id));
+  }
+  return out;
+}
+
+export function recallAtK(ranked, expected, k) {
+  if (!expected.length) return 0;
+  const top = new Set(ranked.slice(0, k));
+  return expected.filter((id) => top.has(id)).length / expected.length;
+}
+
+export function reciprocalRank(ranked, expected) {
+  const relevant = new Set(expected);
+  const idx = ranked.findIndex((id) => relevant.has(id));
+  return idx === -1 ? 0 : 1 / (idx + 1);
+}
+
+export function ndcgAtK(ranked, expected, k) {
+  const relevant = new Set(expected);
+  let dcg = 0;
+  ranked.slice(0, k).forEach((id, i) => {
+    if (relevant.has(id)) dcg += 1 / Math.log2(i + 2);
+  });
+  let idcg = 0;
+  for (let i = 0; i < Math.min(k, relevant.size); i++) idcg += 1 / Math.log2(i + 2);
+  return idcg ? dcg / idcg : 0;
+}
+
+/* token-level F1 (stopwords removed, same tokenizer as the keyword index) */
+export function tokenF1(answer, reference) {
+  const a = tokenize(answer);
+  const r = tokenize(reference);
+  if (!a.length || !r.length) return 0;
+  const counts = new Map();
+  for (const t of r) counts.set(t, (counts.get(t) || 0) + 1);
+  let overlap = 0;
+  for (const t of a) {
+    if (counts.get(t) > 0) {
+      overlap += 1;
+      counts.set(t, counts.get(t) - 1);
+    }
+  }
+  if (!overlap) return 0;
+  const precision = overlap / a.length;
+  const recall = overlap / r.length;
+  return (2 * precision * recall) / (precision + recall);
+}
+
+/**
+ * scoreCitations(answer, passages, hits, expected)
+ * -> { cited, invalid, citation_validity, citation_precision }
+ */
+export function scoreCitations(answer, passages, hits, expected) {
+  const { citations, invalid_citations } = resolveCitations(answer, passages);
+  const total = citations.length + invalid_citations.length;
+  const articleOf = new Map(hits.map((h) => [h.id, articleIdOf(h)]));
+  const relevant = new Set(expected);
+  const correct = citations.filter((c) => relevant.has(articleOf.get(c.id))).length;
+  return {
+    cited: citations.length,
+    invalid: invalid_citations.length,
+    citation_validity: total ? citations.length / total : null,
+    citation_precision: citations.length ? correct / citations.length : null,
+  };
+}
+
+/* -------------------------
+   Stub LLM: extractive answers that cite the first passages
+   ------------------------- */
+
+/**
+ * extractiveStub({ passages = 2 })
+ * Mock provider answering with the first sentence of the first `passages` context
+ * passages, each followed by its [n] marker. Deterministic and offline, so runs
+ * with it measure retrieval + citation plumbing rather than model quality.
+ */
+export function extractiveStub({ passages = 2 } = {}) {
+  return createMockProvider({
+    responses: (req) => {
+      const context = (String(req.prompt || "").split("Context:\n")[1] || "").split("</articles>")[0];
+      // "[n] <title>\n<text>…" — take the first sentence of each passage's text
+      const sentences = [...context.matchAll(/^\[(\d+)\] [^\n]*\n([^\n]+)/gm)]
+        .slice(0, passages)
+        .map((m) => `${m[2].split(/(?<=[.!?])\s+/)[0].trim()} [${m[1]}]`);
+      return sentences.length ? sentences.join(" ") : "The context does not contain the answer.";
+    },
+  });
+}
+
+/* -------------------------
+   Runner
+   ------------------------- */
+
+function mean(values) {
+  const v = values.filter((x) => typeof x === "number");
+  return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null;
+}
+
+function round4(n) {
+  return n === null ? null : Math.round(n * 10000) / 10000;
+}
+
+/**
+ * runEvaluation(items, config)
+ * config: {
+ *   topK = 10, ks = DEFAULT_KS, mode, rerank,
+ *   maxContextTokens  -> context token budget (default: derived from the answering model)
+ *   neighbours        -> neighbouring chunks per hit (default CONTEXT_NEIGHBOURS)
+ *   diversity         -> false, or { lambda, maxPerArticle } (default: DIVERSITY_ENABLED with the env settings)
+ *   retry = false     -> use the chat path's retrieveContext (retry with a larger top_k)
+ *   answers = false   -> also generate and score answers
+ *   provider          -> LLM provider for answers (default: the configured one)
+ * }
+ * -> { config, summary, questions }   (stable key and question order, so reports diff cleanly)
+ */
+export async function runEvaluation(items, config = {}) {
+  const ks = (config.ks || DEFAULT_KS).slice().sort((a, b) => a - b);
+  const topK = Number(config.topK) || Math.max(...ks);
+  const maxContextTokens = Number(config.maxContextTokens) > 0 ? Number(config.maxContextTokens) : undefined;
+  const neighbours = config.neighbours ?? CONTEXT_NEIGHBOURS;
+  // resolved here so the report shows the settings actually used
+  let diversity = false;
+  if (config.diversity !== false && (config.diversity || DIVERSITY_ENABLED)) {
+    diversity = { lambda: config.diversity?.lambda ?? MMR_LAMBDA, maxPerArticle: config.diversity?.maxPerArticle ?? MAX_CHUNKS_PER_ARTICLE };
+  }
+  const retrieval = { mode: config.mode, rerank: config.rerank, maxContextTokens, neighbours, diversity, provider: config.provider };
+
+  const questions = [];
+  let modeUsed = config.mode || null;
+  for (const item of items) {
+    let res;
+    if (config.retry) {
+      const r = await retrieveContext(item.question, { ...retrieval, topK });
+      res = { ...r, mode: r.retrieval_mode };
+    } else {
+      res = await getRetriever().getContextWithHits(item.question, topK, retrieval);
+    }
+
+    modeUsed = res.mode || modeUsed;
+    const ranked = rankedArticles(res.hits);
+    const row = {
+      id: item.id,
+      question: item.question,
+      expected: item.expected,
+      retrieved: ranked.slice(0, topK),
+      first_relevant_rank: ranked.findIndex((id) => item.expected.includes(id)) + 1 || null,
+      rr: round4(reciprocalRank(ranked, item.expected)),
+      recall: Object.fromEntries(ks.map((k) => [`@${k}`, round4(recallAtK(ranked, item.expected, k))])),
+      ndcg: Object.fromEntries(ks.map((k) => [`@${k}`, round4(ndcgAtK(ranked, item.expected, k))])),
+      context_chars: res.context.length,
+      context_tokens: res.context_report?.used_tokens ?? null,
+    };
+
+    if (config.answers) {
+      try {
+        const answer = res.context
+          ? await askGemini(item.question, res.context, { provider: config.provider })
+          : "";
+        const cites = scoreCitations(answer, res.passages || [], res.hits, item.expected);
+        row.answer = {
+          text: answer,
+          ...cites,
+          citation_validity: round4(cites.citation_validity),
+          citation_precision: round4(cites.citation_precision),
+          reference_f1: item.reference_answer ? round4(tokenF1(answer, item.reference_answer)) : null,
+        };
+      } catch (err) {
+        row.answer = { error: err?.code || "upstream", message: err?.message || String(err) };
+      }
+    }
+    questions.push(row);
+  }
+
+  const summary = {
+    questions: questions.length,
+    mrr: round4(mean(questions.map((q) => q.rr))),
+    recall: Object.fromEntries(ks.map((k) => [`@${k}`, round4(mean(questions.map((q) => q.recall[`@${k}`])))])),
+    ndcg: Object.fromEntries(ks.map((k) => [`@${k}`, round4(mean(questions.map((q) => q.ndcg[`@${k}`])))])),
+    misses: questions.filter((q) => q.first_relevant_rank === null).map((q) => q.id),
+  };
+  if (config.answers) {
+    const answered = questions.map((q) => q.answer).filter((a) => a && !a.error);
+    summary.answers = {
+      answered: answered.length,
+      failed: questions.length - answered.length,
+      citation_validity: round4(mean(answered.map((a) => a.citation_validity))),
+      citation_precision: round4(mean(answered.map((a) => a.citation_precision))),
+      reference_f1: round4(mean(answered.map((a) => a.reference_f1))),
+    };
+  }
+
+  const embedder = getEmbedder();
+  return {
+    config: {
+      topK,
+      ks,
+      mode: modeUsed,
+      rerank: Boolean(config.rerank),
+      retry: Boolean(config.retry),
+      maxContextTokens: maxContextTokens ?? null,
+      neighbours,
+      diversity: diversity ? `lambda=${diversity.lambda} max_per_article=${diversity.maxPerArticle}` : "off",
+      answers: Boolean(config.answers),
+      llm: config.answers ? config.provider?.name || process.env.LLM_PROVIDER || "gemini" : null,
+      embedding: `${embedder.name}/${embedder.model}`,
+    },
+    summary,
+    questions,
+  };
+}
+
+/* -------------------------
+   Markdown report
+   ------------------------- */
+
+function fmt(n) {
+  return n === null || n === undefined ? "–" : Number(n).toFixed(3);
+}
+
+export function toMarkdown(report, title = "Evaluation report") {
+  const { config, summary, questions } = report;
+  const ks = config.ks.map((k) => `@${k}`);
+  const lines = [];
+  lines.push(`# ${title}`, "");
+  lines.push("## Config", "");
+  for (const [k, v] of Object.entries(config)) lines.push(`- ${k}: ${Array.isArray(v) ? v.join(", ") : v}`);
+  lines.push("", "## Summary", "");
+  lines.push(`| questions | MRR | ${ks.map((k) => `recall${k}`).join(" | ")} | ${ks.map((k) => `nDCG${k}`).join(" | ")} |`);
+  lines.push(`|---|---|${ks.map(() => "---").join("|")}|${ks.map(() => "---").join("|")}|`);
+  lines.push(
+    `| ${summary.questions} | ${fmt(summary.mrr)} | ${ks.map((k) => fmt(summary.recall[k])).join(" | ")} | ${ks.map((k) => fmt(summary.ndcg[k])).join(" | ")} |`
+  );
+  if (summary.answers) {
+    const a = summary.answers;
+    lines.push("", "| answered | failed | citation validity | citation precision | reference F1 |", "|---|---|---|---|---|");
+    lines.push(`| ${a.answered} | ${a.failed} | ${fmt(a.citation_validity)} | ${fmt(a.citation_precision)} | ${fmt(a.reference_f1)} |`);
+  }
+  lines.push("", `Misses (no expected article retrieved): ${summary.misses.length ? summary.misses.join(", ") : "none"}`);
+  lines.push("", "## Questions", "");
+  lines.push(`| id | first relevant | RR | ${ks.map((k) => `recall${k}`).join(" | ")} |${summary.answers ? " citation precision | reference F1 |" : ""}`);
+  lines.push(`|---|---|---|${ks.map(() => "---").join("|")}|${summary.answers ? "---|---|" : ""}`);
+  for (const q of questions) {
+    const answerCols = summary.answers ? ` ${fmt(q.answer?.citation_precision)} | ${fmt(q.answer?.reference_f1)} |` : "";
+    lines.push(`| ${q.id} | ${q.first_relevant_rank ?? "–"} | ${fmt(q.rr)} | ${ks.map((k) => fmt(q.recall[k])).join(" | ")} |${answerCols}`);
+  }
+  lines.push("");
+  return lines.join("\n");
+}
+
+export default {
+  parseDataset,
+  runEvaluation,
+  toMarkdown,
+  extractiveStub,
+};
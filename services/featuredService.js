@@ -1,5 +1,5 @@
 // services/featuredService.js
-import { getContextWithHits } from "../services/ragService.js";
+import { getRetriever } from "../services/ragService.js";
 
 
 // server-side safe truncate (kept in service so route stays thin)
@@ -36,11 +36,13 @@ export function safeTruncate(text, maxChars = 200) {
 
 /**
 * Fetches context/hits using ragService and normalizes a featured array.
+* `retrieval` is passed through to getContextWithHits (e.g. { mode: "hybrid", rerank: true }).
 * Returns: { featured: Array, raw: <original response>, meta: { elapsed, hitsCount, top_k_used } }
 */
-export async function fetchFeatured(q = "latest news", k = 3) {
+export async function fetchFeatured(q = "latest news", k = 3, retrieval = {}) {
     const start = Date.now();
-    const response = await getContextWithHits(q, k);
+    // only the hits are listed, the context is never sent to a model: no provider token count
+    const response = await getRetriever().getContextWithHits(q, k, { ...retrieval, countTokens: false });
     const elapsed = Date.now() - start;
 
 
@@ -56,6 +58,7 @@ export async function fetchFeatured(q = "latest news", k = 3) {
             return {
                 id: top.id ?? null,
                 score: top.score ?? null,
+                rerank_score: top.rerank_score ?? null,
                 headline,
                 excerpt,
                 source: payload.url || payload.source || payload.link || null,
@@ -0,0 +1,223 @@
+// services/feedbackService.js
+/**
+ * Answer feedback: users rate a stored chat message (see message_id in
+ * redisService.appendEntry); the report aggregates ratings over time and surfaces
+ * the worst-rated questions with the sources that were retrieved for them.
+ *
+ * Each feedback record copies the query, answer and retrieval info of its message,
+ * so reports keep working after the chat history expires or is cleared.
+ *
+ * Redis keys (process memory when Redis is not ready):
+ *   feedback:<messageId>   - JSON record (one per message; sending again replaces it)
+ *   feedback:index         - sorted set of messageIds scored by feedback time
+ */
+
+import { redis, isRedisReady } from "./redisClient.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("feedback");
+
+export const RATING_MIN = 1;
+export const RATING_MAX = 5;
+export const REASONS = [
+  "incorrect",
+  "incomplete",
+  "outdated",
+  "irrelevant_sources",
+  "bad_citation",
+  "unclear",
+  "helpful",
+  "other",
+];
+const MAX_COMMENT_LENGTH = 1000;
+const INDEX_KEY = "feedback:index";
+
+const memFeedback = new Map(); // messageId -> record
+
+/**
+ * validateFeedback(body) -> { feedback: { rating, reason, comment } } | { error }
+ */
+export function validateFeedback(body = {}) {
+  const rating = Number(body.rating);
+  if (!Number.isInteger(rating) || rating < RATING_MIN || rating > RATING_MAX) {
+    return { error: `rating must be an integer between ${RATING_MIN} and ${RATING_MAX}` };
+  }
+  const reason = body.reason === undefined || body.reason === null ? null : String(body.reason);
+  if (reason !== null && !REASONS.includes(reason)) {
+    return { error: `reason must be one of: ${REASONS.join(", ")}` };
+  }
+  let comment = null;
+  if (body.comment !== undefined && body.comment !== null && body.comment !== "") {
+    if (typeof body.comment !== "string" || body.comment.length > MAX_COMMENT_LENGTH) {
+      return { error: `comment must be a string of at most ${MAX_COMMENT_LENGTH} characters` };
+    }
+    comment = body.comment.trim();
+  }
+  return { feedback: { rating, reason, comment } };
+}
+
+/**
+ * saveFeedback(sessionId, message, feedback, auth) -> record
+ * `message` is the stored chat entry (redisService.getMessage), `feedback` is validated.
+ * Throws when Redis fails to store it, so the caller never reports feedback that was lost.
+ */
+export async function saveFeedback(sessionId, message, feedback, auth = null) {
+  const now = new Date().toISOString();
+  const previous = await getFeedback(message.message_id);
+  const record = {
+    message_id: message.message_id,
+    session_id: sessionId,
+    principal: auth?.principal || null,
+    ...feedback,
+    query: message.query,
+    rewritten_query: message.rewritten_query || message.query,
+    answer: message.answer,
+    hit_ids: message.hit_ids || [],
+    sources: message.sources || [],
+    retrieval_mode: message.retrieval_mode || null,
+    cached: Boolean(message.cached),
+    answered_at: message.timestamp ? new Date(message.timestamp).toISOString() : null,
+    created_at: previous?.created_at || now,
+    updated_at: now,
+  };
+
+  if (isRedisReady()) {
+    const results = await redis.multi()
+      .set(`feedback:${record.message_id}`, JSON.stringify(record))
+      .zadd(INDEX_KEY, Date.parse(record.created_at), record.message_id)
+      .exec();
+    // exec() resolves with per-command errors instead of rejecting
+    const failed = results?.find(([err]) => err);
+    if (failed) throw failed[0];
+  } else {
+    memFeedback.set(record.message_id, record);
+  }
+  log.info(`${record.message_id} rated ${record.rating}${record.reason ? ` (${record.reason})` : ""}`);
+  return record;
+}
+
+export async function getFeedback(messageId) {
+  if (isRedisReady()) {
+    try {
+      const raw = await redis.get(`feedback:${messageId}`);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      log.warn("get failed", e);
+      return null;
+    }
+  }
+  return memFeedback.get(messageId) || null;
+}
+
+/* records created within [from, to] (ISO strings, both optional) */
+async function loadFeedback(from, to) {
+  const min = from ? Date.parse(from) : "-inf";
+  const max = to ? Date.parse(to) : "+inf";
+  if (isRedisReady()) {
+    try {
+      const ids = await redis.zrangebyscore(INDEX_KEY, min, max);
+      if (!ids.length) return [];
+      const raws = await redis.mget(ids.map((id) => `feedback:${id}`));
+      return raws.filter(Boolean).map((r) => JSON.parse(r));
+    } catch (e) {
+      log.warn("load failed", e);
+      return [];
+    }
+  }
+  return [...memFeedback.values()].filter((r) => {
+    const t = Date.parse(r.created_at);
+    return (min === "-inf" || t >= min) && (max === "+inf" || t <= max);
+  });
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/* "2026-10-19T08:00:00Z" -> "2026-10-19" (day) or the Monday of its ISO week (week) */
+function periodOf(iso, bucket) {
+  const d = new Date(iso);
+  if (bucket === "week") {
+    const monday = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - ((d.getUTCDay() + 6) % 7)));
+    return monday.toISOString().slice(0, 10);
+  }
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * feedbackReport({ from, to, bucket = "day", worst = 10, minCount = 1 })
+ * -> {
+ *   total, average, distribution: { 1..5: n }, reasons: { reason: n },
+ *   series: [{ period, count, average }],                      // oldest first
+ *   worst: [{ query, count, average, reasons, sources: [{ id, title, url, count }], last_feedback_at }]
+ * }
+ * `worst` groups feedback by the (rewritten) query and lists the lowest averages first.
+ */
+export async function feedbackReport({ from = null, to = null, bucket = "day", worst = 10, minCount = 1 } = {}) {
+  const records = await loadFeedback(from, to);
+
+  const distribution = {};
+  for (let r = RATING_MIN; r <= RATING_MAX; r++) distribution[r] = 0;
+  const reasons = {};
+  const periods = new Map();
+  const queries = new Map();
+
+  for (const f of records) {
+    distribution[f.rating] = (distribution[f.rating] || 0) + 1;
+    if (f.reason) reasons[f.reason] = (reasons[f.reason] || 0) + 1;
+
+    const period = periodOf(f.created_at, bucket);
+    const p = periods.get(period) || { period, count: 0, sum: 0 };
+    p.count += 1;
+    p.sum += f.rating;
+    periods.set(period, p);
+
+    const key = String(f.rewritten_query || f.query || "").trim().toLowerCase();
+    const q = queries.get(key) || { query: f.rewritten_query || f.query, count: 0, sum: 0, reasons: {}, sources: new Map(), last: f.created_at };
+    q.count += 1;
+    q.sum += f.rating;
+    if (f.reason) q.reasons[f.reason] = (q.reasons[f.reason] || 0) + 1;
+    for (const s of f.sources || []) {
+      const src = q.sources.get(s.id) || { ...s, count: 0 };
+      src.count += 1;
+      q.sources.set(s.id, src);
+    }
+    if (f.created_at > q.last) q.last = f.created_at;
+    queries.set(key, q);
+  }
+
+  const total = records.length;
+  const sum = records.reduce((n, f) => n + f.rating, 0);
+
+  return {
+    from,
+    to,
+    bucket,
+    total,
+    average: total ? round2(sum / total) : null,
+    distribution,
+    reasons,
+    series: [...periods.values()]
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map((p) => ({ period: p.period, count: p.count, average: round2(p.sum / p.count) })),
+    worst: [...queries.values()]
+      .filter((q) => q.count >= minCount)
+      .map((q) => ({
+        query: q.query,
+        count: q.count,
+        average: round2(q.sum / q.count),
+        reasons: q.reasons,
+        sources: [...q.sources.values()].sort((a, b) => b.count - a.count),
+        last_feedback_at: q.last,
+      }))
+      .sort((a, b) => a.average - b.average || b.count - a.count)
+      .slice(0, worst),
+  };
+}
+
+export default {
+  validateFeedback,
+  saveFeedback,
+  getFeedback,
+  feedbackReport,
+};
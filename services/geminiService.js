@@ -1,220 +1,198 @@
-// // services/geminiService.js
-// import { GoogleGenerativeAI } from "@google/generative-ai";
-
-// const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-// const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" }); // match Python
-
-// export async function askGemini(query, context) {
-//   const prompt = `Answer the following query using ONLY the context provided. Include sources.\n\nContext:\n${context}\n\nQuestion: ${query}`;
-
-//   console.log("[GEMINI] prompt length:", prompt.length);
-//   console.log("[GEMINI] prompt preview:", (prompt || "").slice(0, 1200));
-
-//   try {
-//     // adapt to your installed library shape:
-//     const result = await model.generateContent(prompt);
-
-//     // Many client versions: result.response.text , or result.text
-//     if (result?.response?.text) return result.response.text;
-//     if (result?.text) return result.text;
-
-//     // fallback: stringify the entire response
-//     return JSON.stringify(result);
-//   } catch (err) {
-//     console.error("[GEMINI] error:", err);
-//     return "Sorry, I couldn't generate a response.";
-//   }
-// }
-
 // services/geminiService.js
-// Robust Gemini wrapper: tries additional call signatures, streaming shapes,
-// and logs raw response automatically when extraction fails.
-
-
+// Prompting for the chat flow and topic digests: builds the answer / rewrite /
+// summary prompts and runs them through the configured LLM provider
+// (services/llmService.js, Gemini by default).
+// Errors are LLMError instances with a `code` (blocked, empty, upstream, config);
+// callers decide what the user sees. Retrieved text and the question are fenced in
+// <articles> / <question> tags and every system prompt carries the guardrail
+// instruction (services/guardrailService.js).
+
+import { getLLM } from "./llmService.js";
+import { fence, withGuardrailInstruction } from "./guardrailService.js";
+import { createLogger, getRequestContext } from "./logger.js";
+import { timeStage, llmRequests, llmErrors } from "./metricsService.js";
+
+const log = createLogger("llm");
+
+const DEFAULT_SYSTEM_PROMPT =
+  process.env.LLM_SYSTEM_PROMPT ||
+  "You are VooshNews, a news assistant. Answer the user's question using ONLY the context provided. " +
+    "Cite your sources by passage number. If the context does not contain the answer, say so.";
+
+/* conversation turns are [{ query, answer }], oldest first, already trimmed by the caller */
+function formatConversation(history = []) {
+  return history
+    .map((t) => `User: ${t.query}\nAssistant: ${t.answer}`)
+    .join("\n\n");
+}
 
-import { GoogleGenerativeAI } from "@google/generative-ai";
+function buildPrompt(query, context, history = []) {
+  const conversation = history.length
+    ? `Conversation so far (for reference only, do not answer it again):\n${formatConversation(history)}\n\n`
+    : "";
+  const citing =
+    "Each context passage starts with its number in square brackets. Cite the passages you use " +
+    "inline with those numbers, e.g. [1] or [2, 3]. Only use numbers that appear in the context.";
+  return `${conversation}Context:\n${fence("articles", context)}\n\n${citing}\n\nQuestion:\n${fence("question", query)}`;
+}
 
-let genAI = null;
-let model = null;
+/* system prompt of an answer: the per-request one or the default, plus the guardrail instruction */
+export function answerSystemPrompt(llmOptions = {}) {
+  return withGuardrailInstruction(llmOptions.system || DEFAULT_SYSTEM_PROMPT);
+}
 
-function initClient() {
-  if (model) return model;
-  genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-  model = genAI.getGenerativeModel({ model: process.env.GEMINI_MODEL || "gemini-2.5-flash-lite" });
-  return model;
+/*
+ * llmOptions (all optional, per request):
+ *   { model, temperature, maxOutputTokens, system }
+ * `system` replaces the default system prompt (the guardrail instruction is kept).
+ */
+function toRequest(prompt, llmOptions = {}) {
+  return {
+    prompt,
+    system: answerSystemPrompt(llmOptions),
+    model: llmOptions.model,
+    temperature: llmOptions.temperature,
+    maxOutputTokens: llmOptions.maxOutputTokens,
+  };
 }
 
-function safeStringify(o, max = 20000) {
+/*
+ * counts the call (llm_requests_total / llm_errors_total) and times it as `stage`; the request's
+ * onLlmCall hook charges the daily LLM quota (middleware/rateLimit.js)
+ */
+async function instrumented(operation, stage, fn) {
+  llmRequests.inc({ operation });
+  getRequestContext()?.onLlmCall?.();
   try {
-    const s = JSON.stringify(o, (_k, v) => (typeof v === "bigint" ? String(v) : v));
-    return s.length > max ? s.slice(0, max) + `... (truncated ${s.length - max} chars)` : s;
-  } catch (e) {
-    try {
-      const s = String(o);
-      return s.length > max ? s.slice(0, max) + "...(truncated)" : s;
-    } catch {
-      return "<unserializable>";
-    }
+    return await timeStage(stage, fn);
+  } catch (err) {
+    llmErrors.inc({ operation, code: err?.code || "upstream" });
+    throw err;
   }
 }
 
-/** Try to extract human text from many possible response shapes */
-function extractTextFromResponse(res) {
-  if (!res) return null;
-
-  if (res.response) {
-    if (typeof res.response.text === "string" && res.response.text.trim()) return res.response.text;
-    if (typeof res.response.message === "string" && res.response.message.trim()) return res.response.message;
-    if (Array.isArray(res.response.candidates) && res.response.candidates.length > 0) {
-      const c = res.response.candidates[0];
-      if (typeof c.content === "string" && c.content.trim()) return c.content;
-      if (typeof c.message === "string" && c.message.trim()) return c.message;
-      if (typeof c.output === "string" && c.output.trim()) return c.output;
-      if (c.output && Array.isArray(c.output) && typeof c.output[0]?.content === "string" && c.output[0].content.trim()) {
-        return c.output[0].content;
-      }
-    }
-  }
-
-  if (typeof res.text === "string" && res.text.trim()) return res.text;
-  if (typeof res.output === "string" && res.output.trim()) return res.output;
-
-  if (Array.isArray(res.candidates) && res.candidates.length > 0) {
-    const cand = res.candidates[0];
-    if (typeof cand.content === "string" && cand.content.trim()) return cand.content;
-    if (typeof cand.message?.content === "string" && cand.message.content.trim()) return cand.message.content;
-    if (typeof cand.text === "string" && cand.text.trim()) return cand.text;
-  }
-
-  if (Array.isArray(res.answers) && res.answers.length > 0 && typeof res.answers[0].text === "string") return res.answers[0].text;
-  if (Array.isArray(res.outputs) && res.outputs.length > 0) {
-    if (typeof res.outputs[0].content === "string" && res.outputs[0].content.trim()) return res.outputs[0].content;
-    if (typeof res.outputs[0].text === "string" && res.outputs[0].text.trim()) return res.outputs[0].text;
-  }
-
-  const searchPaths = (obj) => {
-    if (!obj || typeof obj !== "object") return null;
-    for (const k of Object.keys(obj)) {
-      try {
-        const v = obj[k];
-        if (typeof v === "string" && v.trim()) return v;
-        if (Array.isArray(v)) {
-          for (const item of v) {
-            if (!item) continue;
-            if (typeof item === "string" && item.trim()) return item;
-            if (typeof item.content === "string" && item.content.trim()) return item.content;
-            if (typeof item.text === "string" && item.text.trim()) return item.text;
-            if (item.message && typeof item.message.content === "string" && item.message.content.trim()) return item.message.content;
-            if (Array.isArray(item.candidates) && item.candidates[0] && typeof item.candidates[0].content === "string")
-              return item.candidates[0].content;
-          }
-        }
-        if (typeof v === "object") {
-          const nested = searchPaths(v);
-          if (nested) return nested;
-        }
-      } catch (e) {
-        // ignore
-      }
-    }
-    return null;
-  };
-
-  const found = searchPaths(res);
-  if (found && typeof found === "string" && found.trim()) return found;
-
-  return null;
-}
+/**
+ * rewriteQuery(query, history, llmOptions)
+ * Turns a follow-up ("what did he say after that?") into a standalone search query
+ * using the previous turns. Returns the original query when there is no history
+ * or the model call fails — retrieval must never be blocked by the rewrite.
+ */
+export async function rewriteQuery(query, history = [], llmOptions = {}) {
+  if (!history.length) return query;
+  const prompt =
+    `Conversation:\n${formatConversation(history)}\n\nLast message: ${query}\n\nStandalone query:`;
 
-/** Try many likely call signatures for different SDK versions */
-async function callModelWithManySignatures(model, prompt) {
-  const calls = [
-    async () => typeof model.generateContent === "function" ? await model.generateContent(prompt) : null,
-    async () => typeof model.generateContent === "function" ? await model.generateContent({ input: prompt }) : null,
-    async () => typeof model.generateContent === "function" ? await model.generateContent({ prompt: prompt }) : null,
-    async () => typeof model.generate === "function" ? await model.generate(prompt) : null,
-    async () => typeof model.generate === "function" ? await model.generate({ prompt }) : null,
-    async () => typeof model.generate === "function" ? await model.generate({ input: prompt }) : null,
-    async () => typeof model.generateText === "function" ? await model.generateText(prompt) : null,
-    async () => typeof model.generateText === "function" ? await model.generateText({ prompt }) : null,
-    async () => typeof model.chat === "function" ? await model.chat([{ role: "user", content: prompt }]) : null,
-    async () => typeof model.chat === "function" ? await model.chat({ messages: [{ role: "user", content: prompt }] }) : null,
-    async () => typeof model.generate === "function" ? await model.generate({ instances: [{ input: prompt }] }) : null,
-  ];
-
-  for (const fn of calls) {
-    try {
-      const r = await fn();
-      if (r != null) return r;
-    } catch (e) {
-      console.warn("[GEMINI] model method attempt failed:", e?.message ?? e);
-    }
+  try {
+    const { text } = await instrumented("rewrite", "rewrite", () => getLLM().generate({
+      prompt,
+      system:
+        "Rewrite the user's last message as a standalone news search query. " +
+        "Resolve pronouns and references using the conversation. " +
+        "Reply with the query only, no quotes or explanations.",
+      model: llmOptions.model,
+      temperature: 0,
+      maxOutputTokens: 64,
+    }));
+    const rewritten = text.split("\n")[0].replace(/^["'\s]+|["'\s]+$/g, "");
+    if (rewritten) return rewritten;
+  } catch (err) {
+    log.warn("rewriteQuery failed", err);
   }
-
-  return null;
+  return query;
 }
 
 /**
  * askGemini(query, context, options)
- * options.debug = true  -> prints full prompt and extracted text to console and returns an object { prompt, text, raw }
- * otherwise returns extracted text (or JSON fallback / error string)
+ * options.history       -> previous turns [{ query, answer }] added to the prompt
+ * options.llm           -> per-request { model, temperature, maxOutputTokens, system }
+ * options.provider      -> LLM provider to use instead of getLLM() (e.g. a stub in evaluation runs)
+ * options.debug = true  -> returns { prompt, text, finishReason, usage, model } instead of the text
+ * Resolves to the answer text; throws LLMError on blocked/empty/failed generations.
  */
 export async function askGemini(query, context, options = {}) {
-  const debug = options.debug === true;
-  const model = initClient();
-  const prompt = `Answer the following query using ONLY the context provided. Include sources.\n\nContext:\n${context}\n\nQuestion: ${query}`;
-
-  // console.log("[GEMINI] prompt length:", prompt.length);
-  // console.log("[GEMINI] prompt preview:", (prompt || "").slice(0, 1200));
-
-  try {
-    const raw = await callModelWithManySignatures(model, prompt);
-
-    if (raw == null) {
-      const msg = "[GEMINI] no supported model method returned a value (checked many signatures)";
-      console.error(msg);
-      if (debug) {
-        // console.log("FULL PROMPT (debug):\n", prompt);
-        // console.log("RAW MODEL RESPONSE: null");
-        return { error: msg, prompt, raw: null };
-      }
-      return "Sorry — the model client did not return a response (no supported method).";
-    }
-
-    const text = extractTextFromResponse(raw);
-    // console.log("[GEMINI] extracted response length:", text ? text.length : 0);
+  const prompt = buildPrompt(query, context, options.history);
+  const result = await instrumented("answer", "llm", () => (options.provider || getLLM()).generate(toRequest(prompt, options.llm)));
+  if (options.debug === true) return { prompt, ...result };
+  return result.text;
+}
 
-    if (text) {
-      // console.log("========= GEMINI RESPONSE =========\n", text, "\n==================================");
+/**
+ * streamGemini(query, context, options)
+ * Streams the answer through the provider's stream().
+ * options.onDelta(text) -> called for every non-empty text chunk
+ * options.signal        -> AbortSignal; once aborted the provider stops and we resolve
+ * options.history       -> previous turns, same as askGemini
+ * options.llm           -> per-request model settings, same as askGemini
+ * Resolves to { text, aborted } where text is the concatenation of all deltas;
+ * throws LLMError like askGemini.
+ */
+export async function streamGemini(query, context, options = {}) {
+  const { onDelta, signal, history } = options;
+  const prompt = buildPrompt(query, context, history);
+
+  let text = "";
+  await instrumented("stream", "llm", async () => {
+    for await (const delta of getLLM().stream(toRequest(prompt, options.llm), { signal })) {
+      text += delta;
+      if (onDelta) onDelta(delta);
     }
+  });
+  if (signal?.aborted) log.info("stream aborted by caller");
 
-    if (debug) {
-      // print full prompt and the extracted text (or raw fallback)
-      // console.log("========== GEMINI DEBUG OUTPUT ==========");
-      // console.log("FULL PROMPT SENT TO GEMINI:\n", prompt);
-      if (text && text.trim()) {
-        // console.log("\nEXTRACTED TEXT RESPONSE:\n", text);
-      } else {
-        // console.log("\nCOULD NOT EXTRACT TEXT - RAW RESPONSE FOLLOWS:\n", safeStringify(raw, 200000));
-      }
-      // console.log("=========================================");
-      return { prompt, text: text ?? null, raw };
-    }
+  return { text, aborted: Boolean(signal?.aborted) };
+}
 
-    if (text && text.trim().length > 0) return text;
+/* fixed system prompts of the digest steps; digestService screens the output against them */
+export const SUMMARY_SYSTEM_PROMPT =
+  "Summarize the news article in two or three sentences: who, what, when, and why it matters. " +
+  "Use only facts stated in the article. No opinions, no preamble.";
+export const BRIEFING_SYSTEM_PROMPT =
+  "You are VooshNews, writing a concise, neutral news briefing from article summaries. Use only the summaries.";
 
-    console.error("[GEMINI] unable to extract text; raw response follows (full):");
-    console.error(safeStringify(raw, 200000));
+/**
+ * summarizeArticle({ title, text, published }, topic, options)
+ * Map step of a digest (services/digestService.js): a few factual sentences about one article,
+ * focused on `topic` when given. options.provider / options.llm as in askGemini.
+ * Resolves to the summary text; throws LLMError.
+ */
+export async function summarizeArticle(article, topic = "", options = {}) {
+  const focus = topic ? `Focus on what matters for a briefing about this topic:\n${fence("question", topic)}\n\n` : "";
+  const prompt = `${focus}Article: ${article.title || "(untitled)"}${article.published ? ` (${article.published})` : ""}\n${fence("articles", article.text)}\n\nSummary:`;
+  const { text } = await instrumented("digest_summary", "digest_summary", () => (options.provider || getLLM()).generate({
+    prompt,
+    system: withGuardrailInstruction(SUMMARY_SYSTEM_PROMPT),
+    model: options.llm?.model,
+    temperature: 0.2,
+    maxOutputTokens: 200,
+  }));
+  return text.trim();
+}
 
-    return safeStringify(raw, 16000);
-  } catch (err) {
-    console.error("[GEMINI] call error:", err?.response ?? err?.message ?? err);
-    if (debug) {
-      // console.log("FULL PROMPT (debug):\n", prompt);
-      return { error: "internal error", err: String(err), prompt };
-    }
-    return "Sorry, I couldn't generate a response due to an internal error.";
-  }
+/**
+ * composeBriefing(topic, summaries, options)
+ * Reduce step of a digest: summaries are [{ marker, title, published, summary }]; the model is asked
+ * for JSON { title, sections: [{ heading, bullets: [{ text, sources: [marker] }] }] }. The summaries are
+ * fenced like retrieved articles and the topic like a question: both come from outside.
+ * Resolves to the raw model text (digestService parses and validates it); throws LLMError.
+ */
+export async function composeBriefing(topic, summaries, options = {}) {
+  const numbered = summaries
+    .map((s) => `[${s.marker}] ${s.title || "(untitled)"}${s.published ? ` (${s.published})` : ""}\n${s.summary}`)
+    .join("\n\n");
+  const prompt =
+    `${topic ? `Topic:\n${fence("question", topic)}\n\n` : ""}Article summaries:\n${fence("articles", numbered)}\n\n` +
+    "Write a briefing as JSON: " +
+    '{"title": string, "sections": [{"heading": string, "bullets": [{"text": string, "sources": [number]}]}]}. ' +
+    "Group related stories into 2-5 sections. Every bullet states one point and lists the numbers of the " +
+    "summaries it is based on in `sources`. Only use numbers from the list above. Reply with the JSON only.";
+  const { text } = await instrumented("digest_briefing", "digest_briefing", () => (options.provider || getLLM()).generate({
+    prompt,
+    system: withGuardrailInstruction(BRIEFING_SYSTEM_PROMPT),
+    model: options.llm?.model,
+    temperature: 0.2,
+    maxOutputTokens: options.llm?.maxOutputTokens || 1024,
+  }));
+  return text;
 }
 
 /*
@@ -226,7 +204,7 @@ Quick test / usage example
   const question = "Summarize the context and answer briefly.";
   const context = "Short context goes here. Replace with your RAG passages.";
   const result = await askGemini(question, context, { debug: true });
-  // result contains { prompt, text, raw } and has already been printed to console.
+  console.log(result); // { prompt, text, finishReason, usage, model }
 })();
 ==========================
 */
@@ -0,0 +1,126 @@
+// services/healthService.js
+/**
+ * Liveness and readiness checks behind GET /health/live and GET /health/ready.
+ *
+ * Readiness checks every dependency in parallel (each bounded by HEALTH_TIMEOUT_MS)
+ * and reports per dependency { status, critical, latency_ms, ...details, error? }:
+ *   redis      - PING; critical when REDIS_URL is set (without Redis, chat history is
+ *                silently not stored), "disabled" when it is not
+ *   qdrant     - the collection exists and is not red, its vector size matches the embedding
+ *                provider, point count (an empty collection is a warning: nothing to retrieve yet)
+ *   history    - the configured history store can keep messages (HISTORY_STORE=redis needs REDIS_URL)
+ *   embedding  - provider credentials configured
+ *   llm        - provider credentials configured
+ * Statuses: ok | warn | fail | disabled. Overall status is "fail" (HTTP 503) when a
+ * critical dependency fails, "degraded" when anything else is off, "ok" otherwise.
+ *
+ * Environment variables:
+ *   HEALTH_TIMEOUT_MS  - optional (default 2000), per-check timeout
+ */
+
+import { redis } from "./redisClient.js";
+import { getCollectionStatus } from "./ragService.js";
+import { getEmbedder } from "./embeddingService.js";
+import { getLLM } from "./llmService.js";
+import { getHistoryStore } from "./historyStore.js";
+
+const TIMEOUT_MS = Number(process.env.HEALTH_TIMEOUT_MS || 2000);
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/* runs one check, adding latency_ms and turning exceptions into status "fail" */
+async function timed(critical, fn) {
+  const start = Date.now();
+  let result;
+  try {
+    result = await fn();
+  } catch (err) {
+    result = { status: "fail", error: err?.message || String(err) };
+  }
+  return { critical, ...result, latency_ms: Date.now() - start };
+}
+
+/* -------------------------
+   Checks
+   ------------------------- */
+async function checkRedis() {
+  if (!redis) return { status: "disabled", detail: "REDIS_URL not set — answer cache, sessions and limits are per process" };
+  // ioredis queues commands while disconnected, so report the connection state instead of waiting
+  if (redis.status !== "ready") return { status: "fail", error: `connection ${redis.status}` };
+  const reply = await withTimeout(redis.ping(), TIMEOUT_MS, "redis PING");
+  return reply === "PONG" ? { status: "ok" } : { status: "fail", error: `unexpected PING reply ${reply}` };
+}
+
+async function checkQdrant() {
+  const info = await getCollectionStatus(TIMEOUT_MS);
+  if (!info.exists) return { status: "fail", collection: info.collection, error: `collection "${info.collection}" not found` };
+
+  const expected = getEmbedder().dimension ?? null;
+  const { status: collectionStatus, ...details } = info;
+  const result = { status: "ok", ...details, collection_status: collectionStatus, expected_vector_size: expected };
+  if (collectionStatus === "red") return { ...result, status: "fail", error: "collection status is red" };
+  if (expected != null && info.vector_size != null && expected !== info.vector_size) {
+    return { ...result, status: "fail", error: `collection expects ${info.vector_size}-d vectors, the embedding provider produces ${expected}` };
+  }
+  if (!info.points_count) return { ...result, status: "warn", error: "collection is empty — run ingestion" };
+  return result;
+}
+
+async function checkHistory() {
+  const store = getHistoryStore();
+  if (store.name === "redis" && !redis) return { status: "fail", store: store.name, error: "HISTORY_STORE=redis but REDIS_URL is not set — messages are dropped" };
+  return { status: "ok", store: store.name };
+}
+
+async function checkEmbedding() {
+  const embedder = getEmbedder();
+  const result = { provider: embedder.name, model: embedder.model, configured: embedder.configured !== false };
+  return result.configured ? { status: "ok", ...result } : { status: "fail", ...result, error: "API key not configured" };
+}
+
+async function checkLLM() {
+  const llm = getLLM();
+  const result = { provider: llm.name, model: llm.defaultModel, configured: llm.configured !== false };
+  return result.configured ? { status: "ok", ...result } : { status: "fail", ...result, error: "API key not configured" };
+}
+
+/* -------------------------
+   Public
+   ------------------------- */
+
+/* the process is up and the event loop responds */
+export function liveness() {
+  return { status: "ok", uptime_seconds: Math.round(process.uptime()) };
+}
+
+/**
+ * readiness() -> { status: "ok" | "degraded" | "fail", checks: { redis, qdrant, history, embedding, llm }, checked_at }
+ */
+export async function readiness() {
+  const [redisCheck, qdrant, history, embedding, llm] = await Promise.all([
+    timed(Boolean(redis), checkRedis),
+    timed(true, checkQdrant),
+    timed(true, checkHistory),
+    timed(true, checkEmbedding),
+    timed(true, checkLLM),
+  ]);
+  const checks = { redis: redisCheck, qdrant, history, embedding, llm };
+
+  const values = Object.values(checks);
+  let status = "ok";
+  if (values.some((c) => c.critical && c.status === "fail")) status = "fail";
+  else if (values.some((c) => c.status === "fail" || c.status === "warn")) status = "degraded";
+
+  return { status, checks, checked_at: new Date().toISOString() };
+}
+
+export default {
+  liveness,
+  readiness,
+};
@@ -0,0 +1,284 @@
+// services/historyStore.js
+/**
+ * Chat history storage behind one interface, selected by HISTORY_STORE.
+ *
+ * Every store looks like:
+ *   {
+ *     name,                                  // "redis" | "memory" | "file"
+ *     append(sessionId, entry)   -> Promise<void>      // keeps the last maxLength entries, refreshes the TTL
+ *     list(sessionId, start, stop) -> Promise<entry[]> // LRANGE semantics: inclusive, negative = from the end
+ *     count(sessionId)           -> Promise<number>
+ *     clear(sessionId)           -> Promise<void>
+ *   }
+ * Entries are the plain objects built by redisService.appendEntry. A session's
+ * history expires ttlSeconds after its last append.
+ *
+ * Stores:
+ *   redis   list `chat:<sessionId>` (RPUSH + LTRIM + EXPIRE); shared by all instances
+ *   memory  LRU of sessions with TTL, in process memory (local development, tests, single instance)
+ *   file    one JSONL file per session under HISTORY_FILE_DIR; survives restarts without Redis.
+ *           Writes to a session are serialised within the process and replace the file
+ *           through a temp file + rename, so concurrent messages lose no entry and a crash
+ *           never leaves a half-written file (one instance per directory)
+ *
+ * Environment variables:
+ *   HISTORY_STORE                - optional: redis | memory | file (default redis when REDIS_URL is set, memory otherwise)
+ *   CHAT_TTL_SECONDS             - optional (default 2592000 = 30 days)
+ *   CHAT_MAX_LENGTH              - optional (default 1000 entries per session)
+ *   HISTORY_MEMORY_MAX_SESSIONS  - optional (default 1000), memory store: least recently used sessions are evicted
+ *   HISTORY_FILE_DIR             - optional (default data/history), file store
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { redis } from "./redisClient.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("history");
+
+const TTL_SECONDS = Number(process.env.CHAT_TTL_SECONDS || 60 * 60 * 24 * 30);
+const MAX_LENGTH = Number(process.env.CHAT_MAX_LENGTH || 1000);
+const MEMORY_MAX_SESSIONS = Number(process.env.HISTORY_MEMORY_MAX_SESSIONS || 1000);
+const FILE_DIR = path.resolve(process.cwd(), process.env.HISTORY_FILE_DIR || "data/history");
+
+/* LRANGE-style slice: inclusive stop, negative indexes count from the end */
+function range(list, start = 0, stop = -1) {
+  const n = list.length;
+  const from = Math.max(0, start < 0 ? n + start : start);
+  const to = Math.min(n - 1, stop < 0 ? n + stop : stop);
+  return from > to ? [] : list.slice(from, to + 1);
+}
+
+function parseEntry(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return { raw };
+  }
+}
+
+/* -------------------------
+   Redis
+   ------------------------- */
+export function createRedisHistoryStore({ client = redis, maxLength = MAX_LENGTH, ttlSeconds = TTL_SECONDS } = {}) {
+  const key = (sessionId) => `chat:${sessionId}`;
+
+  return {
+    name: "redis",
+
+    async append(sessionId, entry) {
+      if (!client) {
+        log.warn("append skipped (no redis client) for session:", sessionId);
+        return;
+      }
+      try {
+        // rpush, keep only last maxLength and set TTL
+        await client.multi()
+          .rpush(key(sessionId), JSON.stringify(entry))
+          .ltrim(key(sessionId), -maxLength, -1)
+          .expire(key(sessionId), ttlSeconds)
+          .exec();
+      } catch (e) {
+        log.warn("append failed", e);
+      }
+    },
+
+    async list(sessionId, start = 0, stop = -1) {
+      if (!client) return [];
+      try {
+        return (await client.lrange(key(sessionId), start, stop)).map(parseEntry);
+      } catch (e) {
+        log.warn("lrange failed", e);
+        return [];
+      }
+    },
+
+    async count(sessionId) {
+      if (!client) return 0;
+      try {
+        return await client.llen(key(sessionId));
+      } catch (e) {
+        log.warn("llen failed", e);
+        return 0;
+      }
+    },
+
+    async clear(sessionId) {
+      if (!client) return;
+      try {
+        await client.del(key(sessionId));
+      } catch (e) {
+        log.warn("del failed", e);
+      }
+    },
+  };
+}
+
+/* -------------------------
+   Memory (LRU + TTL)
+   ------------------------- */
+export function createMemoryHistoryStore({ maxLength = MAX_LENGTH, ttlSeconds = TTL_SECONDS, maxSessions = MEMORY_MAX_SESSIONS } = {}) {
+  const sessions = new Map(); // sessionId -> { entries, expiresAt }; Map order = least recently used first
+
+  function get(sessionId) {
+    const s = sessions.get(sessionId);
+    if (!s) return null;
+    if (s.expiresAt <= Date.now()) {
+      sessions.delete(sessionId);
+      return null;
+    }
+    // move to the most recently used end
+    sessions.delete(sessionId);
+    sessions.set(sessionId, s);
+    return s;
+  }
+
+  return {
+    name: "memory",
+
+    async append(sessionId, entry) {
+      const s = get(sessionId) || { entries: [], expiresAt: 0 };
+      // stored as JSON so callers can't mutate history through the returned objects
+      s.entries.push(JSON.stringify(entry));
+      if (s.entries.length > maxLength) s.entries.splice(0, s.entries.length - maxLength);
+      s.expiresAt = Date.now() + ttlSeconds * 1000;
+      sessions.delete(sessionId);
+      sessions.set(sessionId, s);
+      while (sessions.size > maxSessions) sessions.delete(sessions.keys().next().value);
+    },
+
+    async list(sessionId, start = 0, stop = -1) {
+      const s = get(sessionId);
+      return s ? range(s.entries, start, stop).map(parseEntry) : [];
+    },
+
+    async count(sessionId) {
+      return get(sessionId)?.entries.length || 0;
+    },
+
+    async clear(sessionId) {
+      sessions.delete(sessionId);
+    },
+  };
+}
+
+/* -------------------------
+   File (one JSONL file per session)
+   ------------------------- */
+export function createFileHistoryStore({ dir = FILE_DIR, maxLength = MAX_LENGTH, ttlSeconds = TTL_SECONDS } = {}) {
+  // session ids come from URLs: keep file names to a safe alphabet
+  const fileFor = (sessionId) => path.join(dir, `${encodeURIComponent(String(sessionId)).replace(/%/g, "_")}.jsonl`);
+
+  // per-session promise chains: a write starts after the previous one on that session settled
+  const queues = new Map();
+  function exclusive(sessionId, fn) {
+    const key = String(sessionId);
+    const run = (queues.get(key) || Promise.resolve()).then(fn);
+    const settled = run.catch(() => {});
+    queues.set(key, settled);
+    settled.then(() => {
+      if (queues.get(key) === settled) queues.delete(key);
+    });
+    return run;
+  }
+
+  /* replaces the session file in one step (the new file also resets the mtime the TTL is measured from) */
+  async function writeLines(sessionId, lines) {
+    const file = fileFor(sessionId);
+    const tmp = `${file}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.writeFile(tmp, lines.join("\n") + "\n");
+      await fs.rename(tmp, file);
+    } catch (e) {
+      await fs.rm(tmp, { force: true });
+      throw e;
+    }
+  }
+
+  /* lines of a live session file, [] when missing or expired (expired files are removed) */
+  async function readLines(sessionId) {
+    const file = fileFor(sessionId);
+    try {
+      const stat = await fs.stat(file);
+      if (stat.mtimeMs + ttlSeconds * 1000 <= Date.now()) {
+        await fs.rm(file, { force: true });
+        return [];
+      }
+      return (await fs.readFile(file, "utf8")).split("\n").filter(Boolean);
+    } catch (e) {
+      if (e.code !== "ENOENT") log.warn("read failed", e);
+      return [];
+    }
+  }
+
+  return {
+    name: "file",
+
+    async append(sessionId, entry) {
+      try {
+        await exclusive(sessionId, async () => {
+          await fs.mkdir(dir, { recursive: true });
+          const lines = await readLines(sessionId);
+          lines.push(JSON.stringify(entry));
+          await writeLines(sessionId, lines.slice(-maxLength));
+        });
+      } catch (e) {
+        log.warn("append failed", e);
+      }
+    },
+
+    async list(sessionId, start = 0, stop = -1) {
+      return range(await readLines(sessionId), start, stop).map(parseEntry);
+    },
+
+    async count(sessionId) {
+      return (await readLines(sessionId)).length;
+    },
+
+    async clear(sessionId) {
+      try {
+        await exclusive(sessionId, () => fs.rm(fileFor(sessionId), { force: true }));
+      } catch (e) {
+        log.warn("clear failed", e);
+      }
+    },
+  };
+}
+
+/* -------------------------
+   Store selection
+   ------------------------- */
+const STORES = {
+  redis: () => createRedisHistoryStore(),
+  memory: () => createMemoryHistoryStore(),
+  file: () => createFileHistoryStore(),
+};
+export const HISTORY_STORES = Object.keys(STORES);
+
+let store = null;
+
+export function getHistoryStore() {
+  if (store) return store;
+  const name = (process.env.HISTORY_STORE || (redis ? "redis" : "memory")).toLowerCase();
+  const factory = STORES[name];
+  if (!factory) {
+    throw new Error(`Unknown HISTORY_STORE "${name}" (expected one of: ${Object.keys(STORES).join(", ")})`);
+  }
+  store = factory();
+  log.info(`store=${store.name} ttl=${TTL_SECONDS}s max_length=${MAX_LENGTH}`);
+  return store;
+}
+
+/* replaces the configured store (tests, embedding the app with a custom store) */
+export function setHistoryStore(custom) {
+  store = custom;
+}
+
+export default {
+  getHistoryStore,
+  setHistoryStore,
+  createRedisHistoryStore,
+  createMemoryHistoryStore,
+  createFileHistoryStore,
+};
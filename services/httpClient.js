@@ -0,0 +1,41 @@
+// services/httpClient.js
+// Small fetch wrapper shared by the Qdrant, Jina and other HTTP-backed services:
+// JSON in/out, a timeout, and errors that keep the raw response around.
+
+export async function httpRequest(method, url, bodyObj, headers = {}, timeoutMs = 30_000) {
+  const opts = {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...headers,
+    },
+    body: bodyObj === undefined ? undefined : JSON.stringify(bodyObj),
+  };
+
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { ...opts, signal: controller.signal });
+    clearTimeout(id);
+    const text = await res.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch (e) {
+      // not JSON
+    }
+    if (!res.ok) {
+      const errMsg = `HTTP ${res.status} ${res.statusText} from ${url} - body: ${text}`;
+      const err = new Error(errMsg);
+      err.__raw = { status: res.status, body: text, parsed: json };
+      throw err;
+    }
+    return json;
+  } finally {
+    clearTimeout(id);
+  }
+}
+
+export function httpPost(url, bodyObj, headers = {}, timeoutMs = 30_000) {
+  return httpRequest("POST", url, bodyObj, headers, timeoutMs);
+}
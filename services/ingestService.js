@@ -0,0 +1,559 @@
+// services/ingestService.js
+/**
+ * Ingestion pipeline — articles in, Qdrant points out.
+ *
+ * Sources:
+ *   - RSS / Atom feeds      -> ingestFeed(feedUrl)
+ *   - raw HTML pages        -> ingestUrl(pageUrl)
+ *   - JSONL uploads         -> ingestJsonl(text)  (one { title, text|body|content, url, published, source?, category? } per line)
+ *
+ * Every article is normalized to { article_id, title, text, url, source, published, category },
+ * chunked with overlap, embedded in batches with the configured embedding provider
+ * (document-side vectors, Jina by default) and upserted into
+ * COLLECTION_NAME. Point ids are derived from (article_id, chunk_index), so
+ * re-ingesting an article overwrites its points; chunks left over from a longer
+ * previous version are deleted. The local keyword index (hybrid retrieval) is
+ * updated with the same chunks and the semantic answer cache is invalidated.
+ *
+ * Environment variables:
+ *   INGEST_CHUNK_SIZE     - optional (default 1000 characters)
+ *   INGEST_CHUNK_OVERLAP  - optional (default 200 characters)
+ *   INGEST_BATCH_SIZE     - optional (default 16 chunks per embedding call)
+ *   INGEST_FETCH_TIMEOUT  - optional (default 15000 ms per page/feed)
+ *   INGEST_MAX_BYTES      - optional (default 5000000); a feed or page body larger than this is aborted
+ *   INGEST_MAX_FEED_ITEMS - optional (default 50); items after the first N of a feed are skipped
+ *   INGEST_ALLOW_PRIVATE_URLS - optional (default false); true lets feeds/pages on private,
+ *                           loopback and link-local addresses be fetched (local development)
+ *
+ * Feed and page URLs come from callers (and from inside feeds), so fetchText only fetches
+ * http(s) URLs whose host resolves to public addresses, and checks every redirect hop again.
+ */
+
+import crypto from "crypto";
+import dns from "dns/promises";
+import net from "net";
+import { qdrantUpsertPoints, qdrantDeleteByFilter, ensureKeywordIndex, ensurePayloadIndexes } from "./ragService.js";
+import { normalizeSource } from "./searchFilters.js";
+import keywordIndex from "./keywordIndex.js";
+import { getEmbedder } from "./embeddingService.js";
+import { invalidateCache } from "./cacheService.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("ingest");
+
+const CHUNK_SIZE = Number(process.env.INGEST_CHUNK_SIZE || 1000);
+const CHUNK_OVERLAP = Number(process.env.INGEST_CHUNK_OVERLAP || 200);
+const BATCH_SIZE = Number(process.env.INGEST_BATCH_SIZE || 16);
+const FETCH_TIMEOUT = Number(process.env.INGEST_FETCH_TIMEOUT || 15_000);
+const ALLOW_PRIVATE_URLS = /^(1|true|yes|on)$/i.test(process.env.INGEST_ALLOW_PRIVATE_URLS || "");
+const MAX_BYTES = Number(process.env.INGEST_MAX_BYTES || 5_000_000);
+const MAX_FEED_ITEMS = Number(process.env.INGEST_MAX_FEED_ITEMS || 50);
+const MAX_REDIRECTS = 5;
+
+/* -------------------------
+   Fetching
+   ------------------------- */
+/* private, loopback, link-local, CGNAT, unspecified and multicast ranges */
+const BLOCKED_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) BLOCKED_RANGES.addSubnet(address, prefix, "ipv4");
+for (const [address, prefix] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  BLOCKED_RANGES.addSubnet(address, prefix, "ipv6");
+}
+
+function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_RANGES.check(mapped[1], "ipv4");
+  return BLOCKED_RANGES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+/* throws unless `url` is http(s) and every address its host resolves to is public */
+export async function assertFetchableUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) throw new Error(`Only http(s) URLs can be ingested (got ${parsed.protocol})`);
+  if (ALLOW_PRIVATE_URLS) return parsed;
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host) ? [host] : (await dns.lookup(host, { all: true })).map((a) => a.address);
+  if (!addresses.length || addresses.some(isBlockedAddress)) {
+    throw new Error(`Refusing to fetch ${parsed.origin}: it resolves to a private or local address`);
+  }
+  return parsed;
+}
+
+/* the response body as text, aborting the transfer once it passes MAX_BYTES */
+async function readLimited(res, url) {
+  const declared = Number(res.headers.get("content-length"));
+  if (declared > MAX_BYTES) {
+    await res.body?.cancel();
+    throw new Error(`Response from ${url} is larger than ${MAX_BYTES} bytes`);
+  }
+  if (!res.body) return "";
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body) {
+    size += chunk.length;
+    if (size > MAX_BYTES) throw new Error(`Response from ${url} is larger than ${MAX_BYTES} bytes`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/*
+ * Redirects are followed by hand so each hop is checked. The host is resolved again by
+ * fetch itself, so a DNS answer that changes between the check and the request is not covered.
+ */
+async function fetchText(url) {
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+  try {
+    let target = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      await assertFetchableUrl(target);
+      const res = await fetch(target, {
+        signal: controller.signal,
+        redirect: "manual",
+        headers: { "User-Agent": "VooshNewsIngest/1.0 (+https://voosh-news-frontend.vercel.app)" },
+      });
+      const location = res.status >= 300 && res.status < 400 ? res.headers.get("location") : null;
+      if (location) {
+        target = new URL(location, target).href;
+        continue;
+      }
+      if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText} from ${target}`);
+      return await readLimited(res, target);
+    }
+    throw new Error(`Too many redirects from ${url}`);
+  } finally {
+    // also cancels a body left unread (oversized, redirect or error responses)
+    controller.abort();
+    clearTimeout(id);
+  }
+}
+
+/* -------------------------
+   Text helpers
+   ------------------------- */
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", mdash: "—", ndash: "–", hellip: "…", rsquo: "’", lsquo: "‘", rdquo: "”", ldquo: "“" };
+
+function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] === "#") {
+      const n = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+    }
+    return ENTITIES[code.toLowerCase()] ?? m;
+  });
+}
+
+function stripCdata(text) {
+  return String(text).replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1");
+}
+
+function htmlToText(html) {
+  const withBreaks = String(html)
+    .replace(/<(script|style|noscript|template)[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|h[1-6]|li|blockquote)>/gi, "\n");
+  return decodeEntities(withBreaks.replace(/<[^>]+>/g, " "))
+    .replace(/[ \t\f\v]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .replace(/\n{2,}/g, "\n")
+    .trim();
+}
+
+function normalizeDate(value) {
+  if (!value) return null;
+  const d = new Date(String(value).trim());
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
+
+/* "Sports, World" | ["Sports"] -> ["sports", "world"] */
+function normalizeCategories(value) {
+  const list = Array.isArray(value) ? value : value ? String(value).split(",") : [];
+  return [...new Set(list.map((c) => String(c).trim().toLowerCase()).filter(Boolean))];
+}
+
+/* -------------------------
+   Feed parsing (RSS 2.0 <item> and Atom <entry>)
+   ------------------------- */
+function tagValue(xml, names) {
+  for (const name of names) {
+    const m = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, "i"));
+    if (m && m[1].trim()) return decodeEntities(stripCdata(m[1]).trim());
+  }
+  return null;
+}
+
+function atomLink(xml) {
+  const links = [...xml.matchAll(/<link\b([^>]*?)\/?>/gi)].map((m) => m[1]);
+  const attr = (attrs, name) => attrs.match(new RegExp(`${name}\\s*=\\s*["']([^"']+)["']`, "i"))?.[1] ?? null;
+  const alternate = links.find((a) => !/rel\s*=/i.test(a) || /rel\s*=\s*["']alternate["']/i.test(a));
+  return alternate ? attr(alternate, "href") : null;
+}
+
+export function parseFeed(xml) {
+  const blocks = [
+    ...[...String(xml).matchAll(/<item\b[\s\S]*?<\/item>/gi)].map((m) => m[0]),
+    ...[...String(xml).matchAll(/<entry\b[\s\S]*?<\/entry>/gi)].map((m) => m[0]),
+  ];
+
+  return blocks.map((block) => {
+    const url = tagValue(block, ["link"]) || atomLink(block) || tagValue(block, ["guid", "id"]);
+    const body = tagValue(block, ["content:encoded", "content", "description", "summary"]);
+    // RSS: <category>Sports</category>, Atom: <category term="sports"/>
+    const categories = [
+      ...[...block.matchAll(/<category(?:\s[^>]*)?>([\s\S]*?)<\/category>/gi)].map((m) => decodeEntities(stripCdata(m[1]))),
+      ...[...block.matchAll(/<category\b[^>]*term\s*=\s*["']([^"']+)["']/gi)].map((m) => m[1]),
+    ];
+    return {
+      title: htmlToText(tagValue(block, ["title"]) || ""),
+      text: body ? htmlToText(body) : "",
+      url: url ? url.trim() : null,
+      published: normalizeDate(tagValue(block, ["pubDate", "published", "updated", "dc:date"])),
+      category: normalizeCategories(categories),
+    };
+  });
+}
+
+/* -------------------------
+   HTML article extraction
+   ------------------------- */
+function metaContent(html, keys) {
+  for (const key of keys) {
+    const re = new RegExp(`<meta[^>]+(?:property|name|itemprop)\\s*=\\s*["']${key}["'][^>]*>`, "i");
+    const tag = html.match(re)?.[0];
+    const content = tag?.match(/content\s*=\s*["']([^"']*)["']/i)?.[1];
+    if (content && content.trim()) return decodeEntities(content.trim());
+  }
+  return null;
+}
+
+export function extractArticleFromHtml(html, url = null) {
+  html = String(html || "");
+
+  const h1 = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i)?.[1];
+  const docTitle = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+  const title =
+    metaContent(html, ["og:title", "twitter:title"]) ||
+    (h1 ? htmlToText(h1) : null) ||
+    (docTitle ? htmlToText(docTitle) : "");
+
+  const published = normalizeDate(
+    metaContent(html, ["article:published_time", "og:published_time", "datePublished", "pubdate", "date", "dc.date"]) ||
+      html.match(/"datePublished"\s*:\s*"([^"]+)"/i)?.[1] ||
+      html.match(/<time[^>]+datetime\s*=\s*["']([^"']+)["']/i)?.[1]
+  );
+
+  // narrow down to the article body: <article>, then <main>, then <body>
+  const cleaned = html.replace(/<(script|style|noscript|template|nav|header|footer|aside|form)\b[\s\S]*?<\/\1>/gi, " ");
+  const scope =
+    cleaned.match(/<article\b[\s\S]*<\/article>/i)?.[0] ||
+    cleaned.match(/<main\b[\s\S]*<\/main>/i)?.[0] ||
+    cleaned.match(/<body\b[\s\S]*<\/body>/i)?.[0] ||
+    cleaned;
+
+  // paragraphs carry the story; fall back to all text when a page has none
+  const paragraphs = [...scope.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)]
+    .map((m) => htmlToText(m[1]))
+    .filter((p) => p.length > 40);
+  const text = paragraphs.length ? paragraphs.join("\n") : htmlToText(scope);
+
+  const canonical = html.match(/<link[^>]+rel\s*=\s*["']canonical["'][^>]*>/i)?.[0]?.match(/href\s*=\s*["']([^"']+)["']/i)?.[1];
+  const category = normalizeCategories(metaContent(html, ["article:section", "category"]));
+
+  return { title: title || "", text, url: canonical || url, published, category };
+}
+
+/* -------------------------
+   JSONL parsing
+   ------------------------- */
+function normalizeArticle(o) {
+  return {
+    id: o.id ?? o.article_id ?? null,
+    title: String(o.title || o.headline || ""),
+    text: String(o.text || o.body || o.content || ""),
+    url: o.url || o.link || null,
+    published: normalizeDate(o.published || o.date || o.published_at),
+    source: o.source || null,
+    category: normalizeCategories(o.category ?? o.categories),
+  };
+}
+
+export function parseJsonl(text) {
+  const articles = [];
+  const errors = [];
+  String(text || "")
+    .split(/\r?\n/)
+    .forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        articles.push(normalizeArticle(JSON.parse(line)));
+      } catch (e) {
+        errors.push({ line: i + 1, error: e.message });
+      }
+    });
+  return { articles, errors };
+}
+
+/* -------------------------
+   Chunking with overlap
+   - windows of CHUNK_SIZE chars, each starting CHUNK_SIZE - CHUNK_OVERLAP after the previous
+   - window ends are pulled back to a sentence end or whitespace when one is close
+   ------------------------- */
+export function chunkText(text, size = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
+  text = String(text || "").replace(/\s+/g, " ").trim();
+  if (!text) return [];
+  if (text.length <= size) return [text];
+  overlap = Math.max(0, Math.min(overlap, Math.floor(size / 2)));
+
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(text.length, start + size);
+    if (end < text.length) {
+      const window = text.slice(start, end);
+      const sentenceEnd = Math.max(window.lastIndexOf(". "), window.lastIndexOf("! "), window.lastIndexOf("? "));
+      const space = window.lastIndexOf(" ");
+      if (sentenceEnd > size * 0.6) end = start + sentenceEnd + 1;
+      else if (space > size * 0.6) end = start + space;
+    }
+    chunks.push(text.slice(start, end).trim());
+    if (end >= text.length) break;
+
+    // next window starts `overlap` chars back, aligned to a word start
+    let next = Math.max(start + 1, end - overlap);
+    const wordStart = text.indexOf(" ", next);
+    if (wordStart !== -1 && wordStart < end) next = wordStart + 1;
+    start = next;
+  }
+  return chunks.filter(Boolean);
+}
+
+/* -------------------------
+   Deterministic ids
+   - article_id: sha1 of the explicit id, else the url (minus hash/trailing slash), else title+published
+   - point id:   UUID built from sha1(article_id:chunk_index) (Qdrant accepts uint or UUID ids)
+   ------------------------- */
+export function articleIdFor(article) {
+  let key;
+  if (article.id) key = `id:${article.id}`;
+  else if (article.url) key = `url:${String(article.url).split("#")[0].replace(/\/$/, "")}`;
+  else key = `title:${article.title}|${article.published || ""}`;
+  return crypto.createHash("sha1").update(key).digest("hex").slice(0, 32);
+}
+
+export function pointIdFor(articleId, chunkIndex) {
+  const h = crypto.createHash("sha1").update(`${articleId}:${chunkIndex}`).digest("hex");
+  // shape as RFC 4122 version 5 UUID
+  const variant = ((parseInt(h[16], 16) & 0x3) | 0x8).toString(16);
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-5${h.slice(13, 16)}-${variant}${h.slice(17, 20)}-${h.slice(20, 32)}`;
+}
+
+/* -------------------------
+   Keyword index upkeep (for hybrid retrieval)
+   The index is loaded (or bootstrapped from Qdrant) before adding to it, so a
+   fresh index file never shadows the chunks already in the collection.
+   ------------------------- */
+async function updateKeywordIndex(prepared, points) {
+  try {
+    await ensureKeywordIndex();
+    keywordIndex.upsertDocuments(
+      points.map((p) => ({
+        id: p.id,
+        text: `${p.payload.title}\n${p.payload.text}`,
+        articleId: p.payload.article_id,
+        chunkIndex: p.payload.chunk_index,
+      }))
+    );
+    for (const p of prepared) keywordIndex.pruneArticle(p.article_id, p.chunks.length);
+    keywordIndex.save();
+  } catch (err) {
+    log.warn("keyword index update failed", err);
+  }
+}
+
+/* -------------------------
+   Core: ingestArticles(articles)
+   Returns { articles, chunks, skipped: [{ url, title, reason }] }
+   ------------------------- */
+let payloadIndexesReady = null;
+
+export async function ingestArticles(articles = []) {
+  // filters (source/published/category) need payload indexes; create them once per process
+  if (!payloadIndexesReady) payloadIndexesReady = ensurePayloadIndexes();
+  await payloadIndexesReady;
+
+  const prepared = [];
+  const skipped = [];
+
+  for (const a of articles) {
+    const text = String(a.text || "").trim();
+    if (!text) {
+      skipped.push({ url: a.url ?? null, title: a.title ?? null, reason: "empty body" });
+      continue;
+    }
+    const article_id = articleIdFor(a);
+    const chunks = chunkText(text);
+    prepared.push({
+      article_id,
+      chunks,
+      payload: {
+        article_id,
+        title: String(a.title || "").trim(),
+        url: a.url || null,
+        source: a.source ? normalizeSource(a.source) : hostnameOf(a.url),
+        published: normalizeDate(a.published),
+        category: normalizeCategories(a.category),
+      },
+    });
+  }
+
+  const points = prepared.flatMap((p) =>
+    p.chunks.map((text, chunk_index) => ({
+      id: pointIdFor(p.article_id, chunk_index),
+      payload: { ...p.payload, text, chunk_index, chunk_count: p.chunks.length, ingested_at: new Date().toISOString() },
+    }))
+  );
+
+  for (let i = 0; i < points.length; i += BATCH_SIZE) {
+    const batch = points.slice(i, i + BATCH_SIZE);
+    const vectors = await getEmbedder().embedDocuments(batch.map((p) => p.payload.text));
+    if (vectors.length !== batch.length) {
+      throw new Error(`Embedding count mismatch: got ${vectors.length} for ${batch.length} chunks`);
+    }
+    await qdrantUpsertPoints(batch.map((p, j) => ({ ...p, vector: vectors[j] })));
+    log.info(`upserted ${Math.min(i + BATCH_SIZE, points.length)}/${points.length} chunks`);
+  }
+
+  await updateKeywordIndex(prepared, points);
+  // cached answers were built from the previous corpus
+  if (points.length) await invalidateCache(`ingested ${prepared.length} articles`);
+
+  // drop chunks from older, longer versions of the same articles
+  for (const p of prepared) {
+    try {
+      await qdrantDeleteByFilter({
+        must: [
+          { key: "article_id", match: { value: p.article_id } },
+          { key: "chunk_index", range: { gte: p.chunks.length } },
+        ],
+      });
+    } catch (err) {
+      log.warn("stale chunk cleanup failed", { article_id: p.article_id }, err);
+    }
+  }
+
+  return { articles: prepared.length, chunks: points.length, skipped };
+}
+
+/* -------------------------
+   Source-specific entry points
+   ------------------------- */
+export async function ingestUrl(url) {
+  const html = await fetchText(url);
+  const article = extractArticleFromHtml(html, url);
+  return ingestArticles([article]);
+}
+
+/**
+ * ingestFeed(feedUrl, { fullText = true })
+ * Feed items usually carry only a teaser; with fullText the linked page is fetched
+ * and extracted, falling back to the feed description when that fails. Only the
+ * first MAX_FEED_ITEMS items are taken, so one feed cannot trigger unbounded fetches.
+ */
+export async function ingestFeed(feedUrl, options = {}) {
+  const fullText = options.fullText !== false;
+  const xml = await fetchText(feedUrl);
+  const parsed = parseFeed(xml);
+  const items = parsed.slice(0, MAX_FEED_ITEMS);
+  log.info(`feed ${feedUrl}: ${parsed.length} items${parsed.length > items.length ? `, first ${items.length} ingested (INGEST_MAX_FEED_ITEMS)` : ""}`);
+
+  const articles = [];
+  for (const item of items) {
+    if (fullText && item.url) {
+      try {
+        const page = extractArticleFromHtml(await fetchText(item.url), item.url);
+        if (page.text && page.text.length > item.text.length) {
+          articles.push({
+            ...item,
+            title: item.title || page.title,
+            text: page.text,
+            published: item.published || page.published,
+            category: item.category.length ? item.category : page.category,
+          });
+          continue;
+        }
+      } catch (err) {
+        log.warn("full-text fetch failed", { url: item.url }, err);
+      }
+    }
+    articles.push(item);
+  }
+
+  return ingestArticles(articles);
+}
+
+export async function ingestJsonl(text) {
+  const { articles, errors } = parseJsonl(text);
+  const result = await ingestArticles(articles);
+  return { ...result, errors };
+}
+
+/**
+ * ingest({ feeds, urls, articles, jsonl })
+ * Runs every provided source and sums the results. One failing feed/url does not
+ * stop the others; its error is reported in `failed`.
+ */
+export async function ingest({ feeds = [], urls = [], articles = [], jsonl = "" } = {}) {
+  const summary = { articles: 0, chunks: 0, skipped: [], failed: [], errors: [] };
+  const add = (r) => {
+    summary.articles += r.articles;
+    summary.chunks += r.chunks;
+    summary.skipped.push(...r.skipped);
+    if (r.errors) summary.errors.push(...r.errors);
+  };
+
+  for (const feed of feeds) {
+    try {
+      add(await ingestFeed(feed));
+    } catch (err) {
+      summary.failed.push({ source: feed, error: err?.message || String(err) });
+    }
+  }
+  for (const url of urls) {
+    try {
+      add(await ingestUrl(url));
+    } catch (err) {
+      summary.failed.push({ source: url, error: err?.message || String(err) });
+    }
+  }
+  if (articles.length) add(await ingestArticles(articles.map(normalizeArticle)));
+  if (jsonl) add(await ingestJsonl(jsonl));
+
+  return summary;
+}
+
+export default {
+  ingest,
+  ingestArticles,
+  ingestFeed,
+  ingestUrl,
+  ingestJsonl,
+};
@@ -0,0 +1,170 @@
+// services/intentService.js
+/**
+ * Query understanding before retrieval: decides which path a chat message takes, so
+ * "hi", "thanks" or "what can you do?" don't cost an embedding, two searches and an LLM call.
+ *
+ * Intents (classifyQuery):
+ *   chit_chat  greetings, thanks, goodbyes, acknowledgements  -> canned reply
+ *   meta       questions about the assistant itself           -> canned description
+ *   headlines  "latest news", "top stories today" with no topic -> featured stories (no LLM)
+ *   news       everything else                                -> full RAG
+ * Classification is rule based (no model call) and errs towards `news`: a message with
+ * any topical word left after removing greetings, headline cues and time expressions is a
+ * news question, so a misrouted message still gets a real answer.
+ *
+ * Relative time expressions ("yesterday", "this week", "past 3 days") become a date
+ * window { from, to } (UTC, `to` null = up to now) that retrieval uses as its published
+ * date filter unless the request sets from/to itself.
+ *
+ * Environment variables:
+ *   INTENT_ROUTING_ENABLED  - optional (default true); false sends every message through RAG
+ *   HEADLINES_WINDOW        - optional (default 48h), window of a headlines request without a time expression
+ *   HEADLINES_COUNT         - optional (default 5)
+ */
+
+export const ROUTING_ENABLED = !/^(0|false|no|off)$/i.test(process.env.INTENT_ROUTING_ENABLED || "");
+export const HEADLINES_WINDOW = process.env.HEADLINES_WINDOW || "48h";
+export const HEADLINES_COUNT = Number(process.env.HEADLINES_COUNT || 5);
+
+const DAY_MS = 86_400_000;
+const UNIT_MS = { hour: 3_600_000, day: DAY_MS, week: 7 * DAY_MS };
+
+/* -------------------------
+   Canned replies
+   ------------------------- */
+const REPLIES = {
+  greeting:
+    "Hi! I'm VooshNews. Ask me about the news — for example \"What's the latest on interest rates?\" — or ask for today's headlines.",
+  thanks: "You're welcome! Anything else you'd like to know about the news?",
+  goodbye: "Goodbye! Come back any time for the latest news.",
+  ack: "Anything else you'd like to know about the news?",
+  meta:
+    "I'm VooshNews, a news assistant. I answer questions from the news articles in my index and cite the articles " +
+    "I used with numbers like [1]. You can ask about a topic (\"What happened in the cup final?\"), narrow it in time " +
+    "(\"... this week\", \"... yesterday\") or ask for the latest headlines.",
+};
+
+const CHIT_CHAT = [
+  ["greeting", /^(hi|hello|hey|hiya|yo|greetings|good (morning|afternoon|evening))( there)?( voosh(news)?)?$/],
+  ["thanks", /^(thanks?( you)?|thank you( so much| very much)?|thx|ty|cheers|much appreciated)( a lot)?$/],
+  ["goodbye", /^(bye|goodbye|see (you|ya)|good night|later|cya)( for now)?$/],
+  ["ack", /^(ok(ay)?|cool|great|nice|got it|alright|sure|awesome|perfect|i see)$/],
+];
+
+const META = [
+  /^(what|who) are you$/,
+  /^what can you do$/,
+  /^what (do|can) you (know|help with)$/,
+  /^how (do|does) (you|this|voosh(news)?) work$/,
+  /^(help|what is this|what is voosh(news)?)$/,
+  /^(where|what sources) do you get (your )?(news|information|data)( from)?$/,
+  /^how can you help( me)?$/,
+];
+
+/* words that ask for news in general rather than about something */
+const HEADLINE_CUES = /\b(news|headlines?|top stories|stories|happening|happened|going on|what'?s new|breaking)\b/;
+const GENERIC_WORDS = new Set([
+  "what", "whats", "what's", "is", "are", "was", "were", "the", "a", "an", "any", "me", "show", "give", "tell", "get",
+  "latest", "top", "main", "biggest", "big", "recent", "current", "new", "news", "headline", "headlines", "story",
+  "stories", "breaking", "happening", "happened", "going", "on", "of", "in", "for", "there", "please", "some", "today's",
+  "todays", "so", "far", "from", "around", "world", "i", "missed", "did", "miss", "catch", "up", "can", "you", "could",
+  "about", "has", "have", "been",
+]);
+
+function normalize(query) {
+  return String(query || "")
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .replace(/[^\p{L}\p{N}'\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/* -------------------------
+   Time expressions
+   ------------------------- */
+function startOfDay(ms) {
+  const d = new Date(ms);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+/* Monday 00:00 UTC of the week containing ms */
+function startOfWeek(ms) {
+  const day = startOfDay(ms);
+  return day - ((new Date(day).getUTCDay() + 6) % 7) * DAY_MS;
+}
+
+/* Saturday 00:00 UTC to Monday 00:00 of the current weekend, or of the last one on weekdays */
+function weekend(now) {
+  const saturday = startOfWeek(now) + 5 * DAY_MS;
+  return now >= saturday ? [saturday, null] : [saturday - UNIT_MS.week, startOfWeek(now)];
+}
+
+function startOfMonth(ms, offset = 0) {
+  const d = new Date(ms);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + offset, 1);
+}
+
+const iso = (ms) => (ms == null ? null : new Date(ms).toISOString());
+
+/* [pattern, (match, now) -> [fromMs, toMs|null]] — first match wins */
+const TIME_EXPRESSIONS = [
+  [/\b(?:past|last)\s+(\d+)\s+(hour|day|week)s?\b/, (m, now) => [now - Number(m[1]) * UNIT_MS[m[2]], null]],
+  // "past week" is rolling, "last week" / "last month" the previous calendar week / month (below)
+  [/\b(?:past\s+(hour|day|week|month)|last\s+(hour|day))\b/, (m, now) => [now - ({ ...UNIT_MS, month: 30 * DAY_MS })[m[1] || m[2]], null]],
+  [/\b(?:yesterday|last night)(?:'s)?\b/, (m, now) => [startOfDay(now) - DAY_MS, startOfDay(now)]],
+  [/\b(?:today|tonight|this morning|this afternoon|this evening)(?:'s)?\b/, (m, now) => [startOfDay(now), null]],
+  [/\bthis week(?:'s)?\b/, (m, now) => [startOfWeek(now), null]],
+  [/\blast week(?:'s)?\b/, (m, now) => [startOfWeek(now) - UNIT_MS.week, startOfWeek(now)]],
+  // asked on a weekday, "this weekend" means the one that just passed (news is about the past)
+  [/\bthis weekend\b/, (m, now) => weekend(now)],
+  [/\bthis month(?:'s)?\b/, (m, now) => [startOfMonth(now), null]],
+  [/\blast month(?:'s)?\b/, (m, now) => [startOfMonth(now, -1), startOfMonth(now)]],
+];
+
+/**
+ * parseTimeWindow(query, now) -> { from, to, expression } | null
+ * from/to are ISO strings (to null = up to now); expression is the matched text.
+ */
+export function parseTimeWindow(query, now = Date.now()) {
+  const text = normalize(query);
+  for (const [pattern, toRange] of TIME_EXPRESSIONS) {
+    const m = text.match(pattern);
+    if (!m) continue;
+    const [from, to] = toRange(m, now);
+    return { from: iso(from), to: iso(to), expression: m[0] };
+  }
+  return null;
+}
+
+/* -------------------------
+   Classification
+   ------------------------- */
+
+/**
+ * classifyQuery(query, { now }) -> { intent, reason, window, reply? }
+ * intent: chit_chat | meta | headlines | news; reply is the canned answer of chit_chat / meta;
+ * window is the parsed time expression (see parseTimeWindow) or null.
+ */
+export function classifyQuery(query, { now = Date.now() } = {}) {
+  const text = normalize(query);
+  const window = parseTimeWindow(text, now);
+
+  for (const [kind, pattern] of CHIT_CHAT) {
+    if (pattern.test(text)) return { intent: "chit_chat", reason: kind, window: null, reply: REPLIES[kind] };
+  }
+  if (META.some((pattern) => pattern.test(text))) return { intent: "meta", reason: "about the assistant", window: null, reply: REPLIES.meta };
+
+  if (HEADLINE_CUES.test(text)) {
+    const rest = (window ? text.replace(window.expression, " ") : text)
+      .split(" ")
+      .filter((w) => w && !GENERIC_WORDS.has(w));
+    if (!rest.length) return { intent: "headlines", reason: "no topic besides a headlines request", window };
+  }
+  return { intent: "news", reason: "topical question", window };
+}
+
+export default {
+  classifyQuery,
+  parseTimeWindow,
+};
@@ -0,0 +1,185 @@
+// services/keywordIndex.js
+/**
+ * Local BM25 inverted index over the chunks stored in Qdrant.
+ *
+ * Keyed by Qdrant point id, so search results can be joined with dense hits and
+ * their payloads fetched from Qdrant. Filled at ingestion time and persisted to
+ * KEYWORD_INDEX_PATH; ragService rebuilds it from a Qdrant scroll when the file
+ * is missing (e.g. a collection populated by an older ingestion script).
+ *
+ * The file is shared with other processes (the ingest script, other instances on the same
+ * disk): load() re-reads it whenever its mtime differs from the copy this process last read
+ * or wrote, and save() replaces it through a rename so readers never see half a file.
+ *
+ * Environment variables:
+ *   KEYWORD_INDEX_PATH  - optional (default data/keyword-index.json)
+ */
+
+import fs from "fs";
+import path from "path";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("keyword");
+
+const INDEX_PATH = path.resolve(process.cwd(), process.env.KEYWORD_INDEX_PATH || "data/keyword-index.json");
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(
+  ("a an and are as at be but by for from has have he her his i in is it its of on or she that the their them " +
+    "they this to was were what when where which who will with you your about after before did do does how than " +
+    "then there these those into over out up more most new news latest today").split(" ")
+);
+
+export function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+// id -> { articleId, chunkIndex, len, tf: { term: count } }
+const docs = new Map();
+// term -> Map(id -> count)
+const postings = new Map();
+let totalLength = 0;
+// mtime of the file version held in memory (null until one was read or written)
+let loadedMtime = null;
+
+function removeDoc(id) {
+  const doc = docs.get(id);
+  if (!doc) return;
+  for (const term of Object.keys(doc.tf)) {
+    const list = postings.get(term);
+    if (!list) continue;
+    list.delete(id);
+    if (list.size === 0) postings.delete(term);
+  }
+  totalLength -= doc.len;
+  docs.delete(id);
+}
+
+function addDoc(id, doc) {
+  removeDoc(id);
+  docs.set(id, doc);
+  totalLength += doc.len;
+  for (const [term, count] of Object.entries(doc.tf)) {
+    if (!postings.has(term)) postings.set(term, new Map());
+    postings.get(term).set(id, count);
+  }
+}
+
+/**
+ * upsertDocuments([{ id, text, articleId?, chunkIndex? }])
+ * Re-adding an id replaces its previous terms.
+ */
+export function upsertDocuments(items = []) {
+  for (const item of items) {
+    const tokens = tokenize(item.text);
+    const tf = {};
+    for (const t of tokens) tf[t] = (tf[t] || 0) + 1;
+    addDoc(String(item.id), {
+      articleId: item.articleId ?? null,
+      chunkIndex: item.chunkIndex ?? null,
+      len: tokens.length,
+      tf,
+    });
+  }
+}
+
+/* drops chunks of `articleId` with chunk_index >= fromIndex (mirrors the Qdrant stale-chunk delete) */
+export function pruneArticle(articleId, fromIndex) {
+  for (const [id, doc] of docs) {
+    if (doc.articleId === articleId && doc.chunkIndex != null && doc.chunkIndex >= fromIndex) removeDoc(id);
+  }
+}
+
+export function clear() {
+  docs.clear();
+  postings.clear();
+  totalLength = 0;
+}
+
+export function size() {
+  return docs.size;
+}
+
+/**
+ * search(query, limit) -> [{ id, score }] ordered by BM25 score (only docs matching a term)
+ */
+export function search(query, limit = 10) {
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length || docs.size === 0) return [];
+
+  const N = docs.size;
+  const avgLen = totalLength / N || 1;
+  const scores = new Map();
+
+  for (const term of terms) {
+    const list = postings.get(term);
+    if (!list) continue;
+    const idf = Math.log(1 + (N - list.size + 0.5) / (list.size + 0.5));
+    for (const [id, tf] of list) {
+      const len = docs.get(id).len;
+      const s = idf * ((tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * len) / avgLen)));
+      scores.set(id, (scores.get(id) || 0) + s);
+    }
+  }
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, Math.max(1, limit))
+    .map(([id, score]) => ({ id, score }));
+}
+
+/* -------------------------
+   Persistence (JSON file)
+   ------------------------- */
+export function save() {
+  const out = {};
+  for (const [id, d] of docs) out[id] = [d.articleId, d.chunkIndex, d.len, d.tf];
+  fs.mkdirSync(path.dirname(INDEX_PATH), { recursive: true });
+  const tmp = `${INDEX_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ version: 1, docs: out }));
+  fs.renameSync(tmp, INDEX_PATH);
+  loadedMtime = fs.statSync(INDEX_PATH).mtimeMs;
+}
+
+/**
+ * load() -> true when the index holds chunks from the file
+ * Reads the file when it changed since this process last read or wrote it (a stat otherwise);
+ * a missing or unreadable file keeps what is in memory.
+ */
+export function load() {
+  let mtime;
+  try {
+    mtime = fs.statSync(INDEX_PATH).mtimeMs;
+  } catch {
+    return docs.size > 0;
+  }
+  if (mtime === loadedMtime) return true;
+  try {
+    const json = JSON.parse(fs.readFileSync(INDEX_PATH, "utf8"));
+    clear();
+    for (const [id, [articleId, chunkIndex, len, tf]] of Object.entries(json.docs || {})) {
+      addDoc(id, { articleId, chunkIndex, len, tf });
+    }
+    loadedMtime = mtime;
+    log.info(`loaded ${docs.size} chunks from ${INDEX_PATH}`);
+    return true;
+  } catch (err) {
+    log.warn("could not load index", err);
+    return docs.size > 0;
+  }
+}
+
+export default {
+  tokenize,
+  upsertDocuments,
+  pruneArticle,
+  search,
+  save,
+  load,
+  clear,
+  size,
+};
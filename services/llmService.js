@@ -0,0 +1,453 @@
+// services/llmService.js
+/**
+ * LLM provider layer, selected by LLM_PROVIDER.
+ *
+ * Providers:
+ *   - gemini  (default) @google/generative-ai (streaming over the REST API, so it can be aborted),
+ *             GEMINI_API_KEY / GEMINI_MODEL
+ *             (GEMINI_BASE_URL overrides https://generativelanguage.googleapis.com, e.g. a proxy or test stand-in)
+ *   - openai  any OpenAI-compatible /chat/completions endpoint, OPENAI_BASE_URL / OPENAI_API_KEY / OPENAI_MODEL
+ *   - mock    scripted responses for tests and offline runs (createMockProvider)
+ *
+ * Request-level defaults come from env and can be overridden per call:
+ *   LLM_TEMPERATURE        - optional (default 0.2)
+ *   LLM_MAX_OUTPUT_TOKENS  - optional (default 1024)
+ *   LLM_CONTEXT_WINDOW     - optional: input window in tokens for models not in CONTEXT_WINDOWS
+ *                            (default 8192), sizes the retrieval context (services/contextService.js)
+ *
+ * Failures are thrown as LLMError with a stable `code` instead of being
+ * stringified into the answer:
+ *   blocked   - prompt or candidate stopped by safety/recitation filters
+ *   empty     - the model finished without any text
+ *   upstream  - transport/API error from the provider
+ *   config    - missing key or unknown provider
+ */
+
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { httpPost } from "./httpClient.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("llm");
+
+/**
+ * @typedef {Object} LLMRequest
+ * @property {string} prompt                 user turn
+ * @property {string} [system]               system instruction
+ * @property {string} [model]                provider model id (defaults per provider)
+ * @property {number} [temperature]
+ * @property {number} [maxOutputTokens]
+ */
+
+/**
+ * @typedef {Object} LLMResult
+ * @property {string} text
+ * @property {string} model
+ * @property {string|null} finishReason     provider finish reason, e.g. STOP, MAX_TOKENS, length
+ * @property {{ promptTokens: number|null, outputTokens: number|null }|null} usage
+ */
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} name
+ * @property {string} defaultModel
+ * @property {boolean} configured            credentials present (reported by GET /health/ready)
+ * @property {(model?: string) => number} contextWindow   input window in tokens (default model when omitted)
+ * @property {(req: LLMRequest) => Promise<LLMResult>} generate
+ * @property {(req: LLMRequest, opts?: { signal?: AbortSignal }) => AsyncGenerator<string>} stream
+ *           yields text deltas; returns early (no error) once `signal` is aborted
+ * @property {(text: string, opts?: { model?: string }) => Promise<number>} countTokens
+ */
+
+export class LLMError extends Error {
+  /**
+   * @param {"blocked"|"empty"|"upstream"|"config"} code
+   * @param {string} message
+   * @param {Object} [details]  provider specifics (finishReason, blockReason, status, ...)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "LLMError";
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, details: this.details };
+  }
+}
+
+const DEFAULT_TEMPERATURE = Number(process.env.LLM_TEMPERATURE ?? 0.2);
+export const DEFAULT_MAX_OUTPUT_TOKENS = Number(process.env.LLM_MAX_OUTPUT_TOKENS || 1024);
+
+function withDefaults(req, defaultModel) {
+  return {
+    prompt: String(req.prompt ?? ""),
+    system: req.system || undefined,
+    model: req.model || defaultModel,
+    temperature: req.temperature ?? DEFAULT_TEMPERATURE,
+    maxOutputTokens: req.maxOutputTokens ?? DEFAULT_MAX_OUTPUT_TOKENS,
+  };
+}
+
+// rough size estimate (~4 chars per token) for providers without a token-count endpoint
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+/* input windows (tokens) of common models; versioned ids ("gemini-1.5-flash-002") match by prefix */
+const CONTEXT_WINDOWS = {
+  "gemini-2.5-flash-lite": 1_048_576,
+  "gemini-2.5-flash": 1_048_576,
+  "gemini-2.5-pro": 1_048_576,
+  "gemini-2.0-flash-lite": 1_048_576,
+  "gemini-2.0-flash": 1_048_576,
+  "gemini-1.5-flash": 1_048_576,
+  "gemini-1.5-pro": 2_097_152,
+  "gpt-4.1-mini": 1_047_576,
+  "gpt-4.1": 1_047_576,
+  "gpt-4o-mini": 128_000,
+  "gpt-4o": 128_000,
+  "gpt-3.5-turbo": 16_385,
+};
+const DEFAULT_CONTEXT_WINDOW = Number(process.env.LLM_CONTEXT_WINDOW || 8192);
+
+export function contextWindowFor(model) {
+  const id = String(model || "").replace(/^models\//, "");
+  const known = Object.keys(CONTEXT_WINDOWS)
+    .filter((name) => id === name || id.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return known ? CONTEXT_WINDOWS[known] : DEFAULT_CONTEXT_WINDOW;
+}
+
+/* -------------------------
+   Gemini
+   ------------------------- */
+const BLOCKING_FINISH_REASONS = new Set(["SAFETY", "RECITATION", "BLOCKLIST", "PROHIBITED_CONTENT", "SPII"]);
+
+export function createGeminiProvider() {
+  const apiKey = process.env.GEMINI_API_KEY;
+  const defaultModel = process.env.GEMINI_MODEL || "gemini-2.5-flash-lite";
+  const requestOptions = process.env.GEMINI_BASE_URL ? { baseUrl: process.env.GEMINI_BASE_URL.replace(/\/$/, "") } : undefined;
+  const baseUrl = requestOptions?.baseUrl || "https://generativelanguage.googleapis.com";
+  let genAI = null;
+
+  const systemInstruction = (req) => (req.system ? { role: "system", parts: [{ text: req.system }] } : undefined);
+  const generationConfig = (req) => ({ temperature: req.temperature, maxOutputTokens: req.maxOutputTokens });
+
+  function getModel(req) {
+    if (!apiKey) throw new LLMError("config", "GEMINI_API_KEY not configured");
+    if (!genAI) genAI = new GoogleGenerativeAI(apiKey);
+    return genAI.getGenerativeModel({ model: req.model, systemInstruction: systemInstruction(req), generationConfig: generationConfig(req) }, requestOptions);
+  }
+
+  // throws LLMError("blocked") when the prompt or the first candidate was filtered
+  function assertNotBlocked(response) {
+    const blockReason = response?.promptFeedback?.blockReason;
+    if (blockReason) {
+      throw new LLMError("blocked", `Prompt blocked by Gemini (${blockReason})`, {
+        blockReason,
+        blockReasonMessage: response.promptFeedback.blockReasonMessage ?? null,
+        safetyRatings: response.promptFeedback.safetyRatings ?? [],
+      });
+    }
+    const candidate = response?.candidates?.[0];
+    if (candidate && BLOCKING_FINISH_REASONS.has(candidate.finishReason)) {
+      throw new LLMError("blocked", `Response blocked by Gemini (${candidate.finishReason})`, {
+        finishReason: candidate.finishReason,
+        safetyRatings: candidate.safetyRatings ?? [],
+      });
+    }
+  }
+
+  function candidateText(response) {
+    const parts = response?.candidates?.[0]?.content?.parts ?? [];
+    return parts.map((p) => (typeof p.text === "string" ? p.text : "")).join("");
+  }
+
+  function upstream(err) {
+    if (err instanceof LLMError) return err;
+    return new LLMError("upstream", `Gemini request failed: ${err?.message || err}`, { status: err?.status ?? null });
+  }
+
+  return {
+    name: "gemini",
+    defaultModel,
+    configured: Boolean(apiKey),
+    contextWindow: (model = defaultModel) => contextWindowFor(model),
+
+    async generate(request) {
+      const req = withDefaults(request, defaultModel);
+      let response;
+      try {
+        const result = await getModel(req).generateContent(req.prompt);
+        response = result.response;
+      } catch (err) {
+        throw upstream(err);
+      }
+      assertNotBlocked(response);
+      const text = candidateText(response);
+      const finishReason = response?.candidates?.[0]?.finishReason ?? null;
+      if (!text.trim()) {
+        throw new LLMError("empty", "Gemini returned no text", { finishReason });
+      }
+      const usage = response.usageMetadata
+        ? { promptTokens: response.usageMetadata.promptTokenCount ?? null, outputTokens: response.usageMetadata.candidatesTokenCount ?? null }
+        : null;
+      return { text, model: req.model, finishReason, usage };
+    },
+
+    // REST call instead of the SDK's generateContentStream, which takes no AbortSignal: a
+    // cancelled stream has to close the upstream request, not just stop reading it
+    async *stream(request, { signal } = {}) {
+      const req = withDefaults(request, defaultModel);
+      if (!apiKey) throw new LLMError("config", "GEMINI_API_KEY not configured");
+      const model = req.model.includes("/") ? req.model : `models/${req.model}`;
+      let res;
+      try {
+        res = await fetch(`${baseUrl}/v1beta/${model}:streamGenerateContent?alt=sse`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", "x-goog-api-key": apiKey },
+          body: JSON.stringify({
+            contents: [{ role: "user", parts: [{ text: req.prompt }] }],
+            systemInstruction: systemInstruction(req),
+            generationConfig: generationConfig(req),
+          }),
+          signal,
+        });
+      } catch (err) {
+        if (signal?.aborted) return;
+        throw upstream(err);
+      }
+      if (!res.ok) {
+        throw new LLMError("upstream", `Gemini request failed: HTTP ${res.status} ${res.statusText}`, { status: res.status, body: await res.text() });
+      }
+
+      const decoder = new TextDecoder();
+      let buffer = "";
+      let produced = false;
+      let finishReason = null;
+      try {
+        for await (const bytes of res.body) {
+          buffer += decoder.decode(bytes, { stream: true });
+          const lines = buffer.split(/\r?\n/);
+          buffer = lines.pop();
+          for (const line of lines) {
+            if (!line.startsWith("data:")) continue;
+            const chunk = JSON.parse(line.slice(5));
+            assertNotBlocked(chunk);
+            finishReason = chunk?.candidates?.[0]?.finishReason ?? finishReason;
+            const delta = candidateText(chunk);
+            if (delta) {
+              produced = true;
+              yield delta;
+            }
+          }
+        }
+      } catch (err) {
+        if (signal?.aborted) return;
+        throw upstream(err);
+      }
+      if (!produced && !signal?.aborted) {
+        throw new LLMError("empty", "Gemini stream finished without text", { finishReason });
+      }
+    },
+
+    async countTokens(text, { model } = {}) {
+      try {
+        const res = await getModel(withDefaults({ prompt: text, model }, defaultModel)).countTokens(String(text || ""));
+        return res.totalTokens;
+      } catch (err) {
+        throw upstream(err);
+      }
+    },
+  };
+}
+
+/* -------------------------
+   OpenAI-compatible HTTP backend
+   -------------------------
+   POST {OPENAI_BASE_URL}/chat/completions  { model, messages, temperature, max_tokens, stream }
+   Works with OpenAI, Azure-style proxies, vLLM, Ollama (/v1), LM Studio, ...
+*/
+export function createOpenAICompatibleProvider() {
+  const baseUrl = (process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/$/, "");
+  const apiKey = process.env.OPENAI_API_KEY || "";
+  const defaultModel = process.env.OPENAI_MODEL || "gpt-4o-mini";
+
+  function body(req, stream) {
+    const messages = [];
+    if (req.system) messages.push({ role: "system", content: req.system });
+    messages.push({ role: "user", content: req.prompt });
+    return { model: req.model, messages, temperature: req.temperature, max_tokens: req.maxOutputTokens, stream };
+  }
+
+  const headers = () => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+
+  function checkChoice(choice) {
+    if (choice?.finish_reason === "content_filter") {
+      throw new LLMError("blocked", "Response blocked by the provider's content filter", { finishReason: "content_filter" });
+    }
+  }
+
+  return {
+    name: "openai",
+    defaultModel,
+    // self-hosted endpoints (vLLM, Ollama, ...) usually need no key
+    configured: Boolean(apiKey || process.env.OPENAI_BASE_URL),
+    contextWindow: (model = defaultModel) => contextWindowFor(model),
+
+    async generate(request) {
+      const req = withDefaults(request, defaultModel);
+      let json;
+      try {
+        json = await httpPost(`${baseUrl}/chat/completions`, body(req, false), headers(), 60_000);
+      } catch (err) {
+        throw new LLMError("upstream", `OpenAI-compatible request failed: ${err?.message || err}`, { status: err?.__raw?.status ?? null });
+      }
+      const choice = json?.choices?.[0];
+      checkChoice(choice);
+      const text = typeof choice?.message?.content === "string" ? choice.message.content : "";
+      if (!text.trim()) {
+        throw new LLMError("empty", "Model returned no text", { finishReason: choice?.finish_reason ?? null });
+      }
+      const usage = json.usage ? { promptTokens: json.usage.prompt_tokens ?? null, outputTokens: json.usage.completion_tokens ?? null } : null;
+      return { text, model: json.model || req.model, finishReason: choice.finish_reason ?? null, usage };
+    },
+
+    async *stream(request, { signal } = {}) {
+      const req = withDefaults(request, defaultModel);
+      let res;
+      try {
+        res = await fetch(`${baseUrl}/chat/completions`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...headers() },
+          body: JSON.stringify(body(req, true)),
+          signal,
+        });
+      } catch (err) {
+        if (signal?.aborted) return;
+        throw new LLMError("upstream", `OpenAI-compatible request failed: ${err?.message || err}`);
+      }
+      if (!res.ok) {
+        throw new LLMError("upstream", `HTTP ${res.status} ${res.statusText} from ${baseUrl}`, { status: res.status, body: await res.text() });
+      }
+
+      const decoder = new TextDecoder();
+      let buffer = "";
+      let produced = false;
+      try {
+        for await (const bytes of res.body) {
+          buffer += decoder.decode(bytes, { stream: true });
+          const lines = buffer.split("\n");
+          buffer = lines.pop();
+          for (const line of lines) {
+            const data = line.replace(/^data:\s*/, "").trim();
+            if (!line.startsWith("data:") || !data || data === "[DONE]") continue;
+            const choice = JSON.parse(data)?.choices?.[0];
+            checkChoice(choice);
+            const delta = choice?.delta?.content;
+            if (delta) {
+              produced = true;
+              yield delta;
+            }
+          }
+        }
+      } catch (err) {
+        if (signal?.aborted) return;
+        if (err instanceof LLMError) throw err;
+        throw new LLMError("upstream", `OpenAI-compatible stream failed: ${err?.message || err}`);
+      }
+      if (!produced) throw new LLMError("empty", "Model stream finished without text");
+    },
+
+    async countTokens(text) {
+      return estimateTokens(text);
+    },
+  };
+}
+
+/* -------------------------
+   Scripted mock
+   -------------------------
+   createMockProvider({ responses })
+   - responses: array consumed in order (the last one repeats), or fn(req) -> string
+   - an entry that is an LLMError (or { error: code }) is thrown instead of returned
+   - every request is recorded in provider.calls
+*/
+export function createMockProvider({ responses = ["This is a mock answer."], chunkSize = 8 } = {}) {
+  const calls = [];
+  let index = 0;
+
+  function next(req) {
+    calls.push(req);
+    let r;
+    if (typeof responses === "function") r = responses(req);
+    else r = responses[Math.min(index++, responses.length - 1)];
+    if (r instanceof LLMError) throw r;
+    if (r && typeof r === "object" && r.error) throw new LLMError(r.error, r.message || `mock ${r.error}`);
+    if (!String(r ?? "").trim()) throw new LLMError("empty", "Mock returned no text");
+    return String(r);
+  }
+
+  return {
+    name: "mock",
+    defaultModel: "mock",
+    configured: true,
+    contextWindow: () => DEFAULT_CONTEXT_WINDOW,
+    calls,
+
+    async generate(request) {
+      const req = withDefaults(request, "mock");
+      const text = next(req);
+      return { text, model: req.model, finishReason: "STOP", usage: { promptTokens: estimateTokens(req.prompt), outputTokens: estimateTokens(text) } };
+    },
+
+    async *stream(request, { signal } = {}) {
+      const text = next(withDefaults(request, "mock"));
+      for (let i = 0; i < text.length; i += chunkSize) {
+        if (signal?.aborted) return;
+        yield text.slice(i, i + chunkSize);
+      }
+    },
+
+    async countTokens(text) {
+      return estimateTokens(text);
+    },
+  };
+}
+
+/* -------------------------
+   Provider selection
+   ------------------------- */
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: () => createMockProvider(),
+};
+export const LLM_PROVIDERS = Object.keys(PROVIDERS);
+
+let llm = null;
+
+/** @returns {LLMProvider} */
+export function getLLM() {
+  if (llm) return llm;
+  const name = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new LLMError("config", `Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  llm = factory();
+  log.info(`provider=${llm.name} model=${llm.defaultModel}`);
+  return llm;
+}
+
+/* replaces the configured provider (tests, embedding the app); null goes back to LLM_PROVIDER */
+export function setLLM(provider) {
+  llm = provider;
+}
+
+export default {
+  getLLM,
+  setLLM,
+  LLMError,
+};
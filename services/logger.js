@@ -0,0 +1,106 @@
+// services/logger.js
+/**
+ * Structured logging with levels, plus the per-request context it reads the
+ * request id from.
+ *
+ * Every line is one JSON object:
+ *   { "time", "level", "component", "msg", "request_id", ...fields }
+ * `request_id` comes from the request context (middleware/requestContext.js), which
+ * AsyncLocalStorage carries through every await — services log without passing the id around.
+ *
+ * Usage:
+ *   const log = createLogger("rag");
+ *   log.info("keyword index built", { chunks: 120 });
+ *   log.warn("Qdrant search failed:", err);        // Errors become { error: message }
+ *
+ * Environment variables:
+ *   LOG_LEVEL   - optional: debug | info (default) | warn | error
+ *   LOG_FORMAT  - optional: json (default) | pretty (one readable line per entry, for local development)
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+export const LOG_LEVELS = Object.keys(LEVELS);
+export const LOG_FORMATS = ["json", "pretty"];
+const MIN_LEVEL = LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+const RESERVED = new Set(["time", "level", "component", "msg", "request_id"]);
+const PRETTY = String(process.env.LOG_FORMAT || "json").toLowerCase() === "pretty";
+
+/* -------------------------
+   Request context
+   ------------------------- */
+const storage = new AsyncLocalStorage();
+
+/*
+ * runWithRequestContext({ requestId, timings }, fn) — everything fn awaits sees the context.
+ * Middleware may add hooks to it: onLlmCall() (middleware/rateLimit.js) runs before each model call.
+ */
+export function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/* the current request's context, or null outside a request (startup, CLI tools) */
+export function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+/* -------------------------
+   Logger
+   ------------------------- */
+
+/*
+ * Extra arguments after the message: plain objects are merged as fields, Errors
+ * become `error` (and `error_code` for LLMError-style codes), anything else is
+ * appended to the message — so `console.warn("x failed:", e?.message || e)` style
+ * calls keep working.
+ */
+function toEntry(level, component, msg, args) {
+  const entry = { time: new Date().toISOString(), level, component, msg: String(msg) };
+  const ctx = getRequestContext();
+  if (ctx?.requestId) entry.request_id = ctx.requestId;
+
+  const extra = [];
+  for (const a of args) {
+    if (a instanceof Error) {
+      entry.error = a.message;
+      if (a.code) entry.error_code = a.code;
+      if (level === "error" && a.stack) entry.stack = a.stack;
+    } else if (a && typeof a === "object" && !Array.isArray(a)) {
+      for (const [k, v] of Object.entries(a)) if (!RESERVED.has(k)) entry[k] = v;
+    } else if (a !== undefined && a !== "") {
+      extra.push(typeof a === "string" ? a : JSON.stringify(a));
+    }
+  }
+  if (extra.length) entry.msg = `${entry.msg} ${extra.join(" ")}`;
+  return entry;
+}
+
+function format(entry) {
+  if (!PRETTY) return JSON.stringify(entry);
+  const { time, level, component, msg, request_id, ...fields } = entry;
+  const rest = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : "";
+  return `${time} ${level.toUpperCase().padEnd(5)} [${component}]${request_id ? ` (${request_id})` : ""} ${msg}${rest}`;
+}
+
+function write(level, component, msg, args) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const line = format(toEntry(level, component, msg, args));
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line + "\n");
+  else process.stdout.write(line + "\n");
+}
+
+/**
+ * createLogger(component) -> { debug, info, warn, error }
+ * Each method takes (msg, ...args); see toEntry for how args are folded in.
+ */
+export function createLogger(component) {
+  return {
+    debug: (msg, ...args) => write("debug", component, msg, args),
+    info: (msg, ...args) => write("info", component, msg, args),
+    warn: (msg, ...args) => write("warn", component, msg, args),
+    error: (msg, ...args) => write("error", component, msg, args),
+  };
+}
+
+export default createLogger;
@@ -0,0 +1,164 @@
+// services/metricsService.js
+/**
+ * Prometheus metrics (text exposition format 0.0.4), served by GET /metrics.
+ * A small in-process registry — counters and histograms with labels — so no
+ * client library is needed. Values are per process; Prometheus sums instances.
+ *
+ * Metrics:
+ *   http_requests_total{method,route,status}             counter
+ *   http_request_duration_seconds{method,route}           histogram
+ *   rag_stage_duration_seconds{stage}                     histogram; stages: embed, qdrant_search,
+ *                                                         keyword_search, rerank, retry, rewrite, llm,
+ *                                                         redis_write
+ *   rag_retrievals_total{mode}                            counter (chat retrievals)
+ *   rag_retries_total{mode}                               counter (retries with a larger top_k)
+ *   rag_empty_context_total{mode}                         counter (retrievals that produced no context)
+ *   rag_hits_returned{mode}                               histogram of hits per retrieval
+ *   llm_requests_total{operation}                         counter; operation: answer, stream, rewrite
+ *   llm_errors_total{operation,code}                      counter; code: blocked, empty, upstream, config
+ *   semantic_cache_lookups_total{result}                  counter; result: hit, miss
+ *   chat_routes_total{intent}                             counter; intent: chit_chat, meta, headlines, news
+ *   guardrail_decisions_total{stage,action}               counter; stage: query, passage, output;
+ *                                                         action: passed, blocked, redacted, flagged
+ *   process_resident_memory_bytes, process_uptime_seconds gauges
+ * Retry rate:         rate(rag_retries_total[5m]) / rate(rag_retrievals_total[5m])
+ * Empty-context rate: rate(rag_empty_context_total[5m]) / rate(rag_retrievals_total[5m])
+ */
+
+import { getRequestContext } from "./logger.js";
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const registry = [];
+
+function labelKey(labels = {}) {
+  return JSON.stringify(Object.keys(labels).sort().map((k) => [k, String(labels[k])]));
+}
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(pairs) {
+  return pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}` : "";
+}
+
+/* -------------------------
+   Metric types
+   ------------------------- */
+export class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = "counter";
+    this.values = new Map(); // labelKey -> value
+    registry.push(this);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = labelKey(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  render() {
+    const lines = [];
+    for (const [key, value] of this.values) lines.push(`${this.name}${formatLabels(JSON.parse(key))} ${value}`);
+    return lines;
+  }
+}
+
+export class Histogram {
+  constructor(name, help, buckets = DURATION_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.type = "histogram";
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+    this.series = new Map(); // labelKey -> { counts, sum, count }
+    registry.push(this);
+  }
+
+  observe(labels = {}, value) {
+    const key = labelKey(labels);
+    let s = this.series.get(key);
+    if (!s) {
+      s = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.series.set(key, s);
+    }
+    this.buckets.forEach((b, i) => {
+      if (value <= b) s.counts[i] += 1;
+    });
+    s.sum += value;
+    s.count += 1;
+  }
+
+  render() {
+    const lines = [];
+    for (const [key, s] of this.series) {
+      const pairs = JSON.parse(key);
+      this.buckets.forEach((b, i) => lines.push(`${this.name}_bucket${formatLabels([...pairs, ["le", b]])} ${s.counts[i]}`));
+      lines.push(`${this.name}_bucket${formatLabels([...pairs, ["le", "+Inf"]])} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(pairs)} ${s.sum}`);
+      lines.push(`${this.name}_count${formatLabels(pairs)} ${s.count}`);
+    }
+    return lines;
+  }
+}
+
+/* -------------------------
+   Application metrics
+   ------------------------- */
+export const httpRequests = new Counter("http_requests_total", "HTTP requests by route and status");
+export const httpDuration = new Histogram("http_request_duration_seconds", "HTTP request duration");
+export const stageDuration = new Histogram("rag_stage_duration_seconds", "Duration of pipeline stages (embed, search, LLM, ...)");
+export const retrievals = new Counter("rag_retrievals_total", "Chat retrievals");
+export const retries = new Counter("rag_retries_total", "Chat retrievals retried with a larger top_k");
+export const emptyContexts = new Counter("rag_empty_context_total", "Chat retrievals that produced no context");
+export const hitsReturned = new Histogram("rag_hits_returned", "Hits returned per chat retrieval", [0, 1, 2, 3, 5, 8, 10, 15, 20]);
+export const llmRequests = new Counter("llm_requests_total", "LLM calls by operation");
+export const llmErrors = new Counter("llm_errors_total", "Failed LLM calls by operation and error code");
+export const cacheLookups = new Counter("semantic_cache_lookups_total", "Semantic answer cache lookups by result");
+export const chatRoutes = new Counter("chat_routes_total", "Chat messages by routed intent");
+export const guardrailDecisions = new Counter("guardrail_decisions_total", "Guardrail checks by stage and outcome");
+
+/**
+ * timeStage(stage, fn) -> fn's result
+ * Observes rag_stage_duration_seconds{stage} (also when fn throws) and adds the
+ * milliseconds to the current request's timings (logged when the request finishes).
+ */
+export async function timeStage(stage, fn) {
+  const start = process.hrtime.bigint();
+  try {
+    return await fn();
+  } finally {
+    recordStage(stage, Number(process.hrtime.bigint() - start) / 1e6);
+  }
+}
+
+/* recordStage(stage, ms) — for durations measured by the caller */
+export function recordStage(stage, ms) {
+  stageDuration.observe({ stage }, ms / 1000);
+  const ctx = getRequestContext();
+  if (ctx?.timings) ctx.timings[stage] = Math.round(((ctx.timings[stage] || 0) + ms) * 10) / 10;
+}
+
+/* renderMetrics() -> Prometheus text format */
+export function renderMetrics() {
+  const lines = [];
+  for (const m of registry) {
+    lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.render());
+  }
+  lines.push(
+    "# HELP process_resident_memory_bytes Resident memory size in bytes",
+    "# TYPE process_resident_memory_bytes gauge",
+    `process_resident_memory_bytes ${process.memoryUsage().rss}`,
+    "# HELP process_uptime_seconds Process uptime in seconds",
+    "# TYPE process_uptime_seconds gauge",
+    `process_uptime_seconds ${Math.round(process.uptime())}`
+  );
+  return lines.join("\n") + "\n";
+}
+
+export default {
+  timeStage,
+  recordStage,
+  renderMetrics,
+};
@@ -1,16 +1,23 @@
 // backend/services/ragService.js
 /**
- * RAG service — uses Jina embeddings (HTTP) + Qdrant REST search.
+ * RAG service — embeddings via embeddingService (Jina by default) + Qdrant REST search.
  *
  * Exports:
  *   - getContextWithHits(query, top_k = 5)
+ *   - getRetriever() / setRetriever(custom)  (what chat/featured/eval retrieve through; tests inject a stand-in)
+ *   - qdrantUpsertPoints(points), qdrantDeleteByFilter(filter)  (used by ingestion)
+ *   - verifyEmbeddingDimension()  (startup check against the collection's vector config)
+ *   - ensurePayloadIndexes()  (keyword/datetime indexes used by metadata filters)
  *
  * Environment variables expected (same style as your other services):
- *   JINA_API_KEY       - required (for jina.ai HTTP embedding)
- *   JINA_MODEL         - optional (defaults to jina-embeddings-v2-base-en)
+ *   EMBEDDING_PROVIDER - optional, see services/embeddingService.js
  *   QDRANT_HOST        - required, full URL e.g. https://<host>:6333 or https://<cloud-host>
  *   QDRANT_API_KEY     - optional (if your Qdrant requires an API key)
  *   COLLECTION_NAME    - optional (default voosh_news_v1)
+ *   RETRIEVAL_MODE     - optional: dense (default) | keyword | hybrid, overridable per request
+ *   CONTEXT_*          - optional, token budget + neighbouring chunks, see services/contextService.js
+ *   RERANK_*           - optional, see services/rerankService.js
+ *   MMR_LAMBDA, MAX_CHUNKS_PER_ARTICLE, ... - optional, see services/diversityService.js
  *
  * Notes:
  *  - This implementation uses global fetch (Node 18+). If your Node version lacks fetch,
@@ -18,110 +25,51 @@
  */
 
 import assert from "assert";
+import { httpRequest } from "./httpClient.js";
+import { getEmbedder } from "./embeddingService.js";
+import keywordIndex from "./keywordIndex.js";
+import { rerankHits, RERANK_ENABLED, RERANK_CANDIDATES } from "./rerankService.js";
+import { diversifyHits, DIVERSITY_ENABLED, MMR_CANDIDATES } from "./diversityService.js";
+import { fitContext, contextBudget, CONTEXT_NEIGHBOURS } from "./contextService.js";
+import { getLLM } from "./llmService.js";
+import { toQdrantFilter, matchesFilters, PAYLOAD_INDEXES } from "./searchFilters.js";
+import { createLogger } from "./logger.js";
+import { timeStage } from "./metricsService.js";
 
-const JINA_API_KEY = process.env.JINA_API_KEY;
-const JINA_MODEL = process.env.JINA_MODEL || "jina-embeddings-v2-base-en";
+const log = createLogger("rag");
 
 const QDRANT_HOST = process.env.QDRANT_HOST;
 const QDRANT_API_KEY = process.env.QDRANT_API_KEY || "";
 const COLLECTION_NAME = process.env.COLLECTION_NAME || "voosh_news_v1";
+export const RETRIEVAL_MODES = ["dense", "keyword", "hybrid"];
+const DEFAULT_RETRIEVAL_MODE = RETRIEVAL_MODES.includes(process.env.RETRIEVAL_MODE) ? process.env.RETRIEVAL_MODE : "dense";
 
-if (!JINA_API_KEY) {
-  console.warn("[RAG] JINA_API_KEY not set — embedding calls will fail until configured.");
+// Qdrant requests: shared HTTP helper + the optional API key
+function qdrantRequest(method, url, bodyObj, timeoutMs = 30_000) {
+  // Qdrant cloud sometimes expects 'api-key' header
+  const headers = QDRANT_API_KEY ? { "api-key": QDRANT_API_KEY } : {};
+  return httpRequest(method, url, bodyObj, headers, timeoutMs);
 }
-if (!QDRANT_HOST) {
-  throw new Error("QDRANT_HOST must be defined in env");
-}
-
-// small helper to perform HTTP fetch with optional Qdrant API key and JSON handling
-async function httpPost(url, bodyObj, headers = {}, timeoutMs = 30_000) {
-  const opts = {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      ...headers,
-    },
-    body: JSON.stringify(bodyObj),
-  };
-
-  // attach Qdrant API key if provided
-  if (QDRANT_API_KEY && url.startsWith(QDRANT_HOST)) {
-    // Qdrant cloud sometimes expects 'api-key' header
-    opts.headers["api-key"] = QDRANT_API_KEY;
-  }
 
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const res = await fetch(url, { ...opts, signal: controller.signal });
-    clearTimeout(id);
-    const text = await res.text();
-    let json = null;
-    try {
-      json = text ? JSON.parse(text) : null;
-    } catch (e) {
-      // not JSON
-    }
-    if (!res.ok) {
-      const errMsg = `HTTP ${res.status} ${res.statusText} from ${url} - body: ${text}`;
-      const err = new Error(errMsg);
-      err.__raw = { status: res.status, body: text, parsed: json };
-      throw err;
-    }
-    return json;
-  } finally {
-    clearTimeout(id);
-  }
+function qdrantPost(url, bodyObj, timeoutMs = 30_000) {
+  return qdrantRequest("POST", url, bodyObj, timeoutMs);
 }
 
-/* -------------------------
-   Jina embedding wrapper (HTTP)
-   -------------------------
-   Uses: POST https://api.jina.ai/v1/embeddings
-   Body: { model: "<model>", input: ["...", ...] }
-   Response: { data: [{ embedding: [...] }, ...], ... }
-*/
-async function embedWithJina(texts = []) {
-  if (!Array.isArray(texts)) texts = [String(texts)];
-  if (!JINA_API_KEY) throw new Error("JINA_API_KEY not configured");
-
-  const url = "https://api.jina.ai/v1/embeddings";
-  const headers = {
-    Authorization: `Bearer ${JINA_API_KEY}`,
-  };
-  const body = { model: JINA_MODEL, input: texts };
-
-  try {
-    const json = await httpPost(url, body, headers, 30_000);
-    if (!json) throw new Error("Empty response from Jina embeddings");
-    if (Array.isArray(json.data)) {
-      const embeddings = json.data.map((item, i) => {
-        if (item && Array.isArray(item.embedding)) return item.embedding;
-        // Try other shapes
-        if (item && item.values && Array.isArray(item.values)) return item.values;
-        throw new Error(`Unexpected embedding item shape at index ${i}: ${JSON.stringify(item).slice(0,200)}`);
-      });
-      return embeddings;
-    }
-    // fallback if API returns direct list of vectors
-    if (Array.isArray(json)) return json;
-    throw new Error("Unrecognized Jina response shape for embeddings");
-  } catch (err) {
-    // bubble up with context
-    console.error("[RAG][JINA] embed error:", err?.message || err);
-    throw err;
-  }
+function collectionUrl(suffix = "") {
+  // checked per call rather than at import, so the app (and tests with an injected retriever) load without Qdrant
+  if (!QDRANT_HOST) throw new Error("QDRANT_HOST must be defined in env");
+  return `${QDRANT_HOST.replace(/\/$/, "")}/collections/${encodeURIComponent(COLLECTION_NAME)}${suffix}`;
 }
 
 /* -------------------------
    Qdrant search wrapper (REST)
    -------------------------
    Uses /collections/{collection}/points/search or /collections/{collection}/points/search
-   We call the search API with a vector and get payloads back.
+   We call the search API with a vector (and an optional payload filter) and get payloads back.
 */
-async function qdrantSearchByVector(vector, topK = 5) {
+export async function qdrantSearchByVector(vector, topK = 5, filter = null) {
   assert(Array.isArray(vector) && vector.length > 0, "vector must be non-empty array");
-  const url = `${QDRANT_HOST.replace(/\/$/, "")}/collections/${encodeURIComponent(COLLECTION_NAME)}/points/search`;
+  const url = collectionUrl("/points/search");
   const body = {
     vector,
     // use 'limit' field for number of neighbors
@@ -129,9 +77,11 @@ async function qdrantSearchByVector(vector, topK = 5) {
     with_payload: true,
     with_vector: false,
   };
+  // metadata restriction (see services/searchFilters.js)
+  if (filter) body.filter = filter;
 
   try {
-    const json = await httpPost(url, body, {}, 30_000);
+    const json = await qdrantPost(url, body, 30_000);
     // Qdrant typical response: {result: [{id, payload, score}, ...], status: 'ok'}
     const hits = Array.isArray(json?.result) ? json.result : Array.isArray(json) ? json : [];
     return hits.map((h) => ({
@@ -140,69 +90,424 @@ async function qdrantSearchByVector(vector, topK = 5) {
       payload: h.payload ?? {},
     }));
   } catch (err) {
-    console.error("[RAG][QDRANT] search error:", err?.message || err);
+    log.error("qdrant search error", err);
     throw err;
   }
 }
 
 /* -------------------------
-   getContextWithHits(query, top_k)
-   - Embeds query with Jina
-   - Searches Qdrant for top_k
-   - Builds a single 'context' string containing top passages concatenated
-   - Returns { context, hits, top_k_used }
+   Qdrant write wrappers (REST), used by ingestion
+   -------------------------
+   PUT  /collections/{collection}/points?wait=true         { points: [{ id, vector, payload }] }
+   POST /collections/{collection}/points/delete?wait=true  { filter }
 */
-export async function getContextWithHits(query, top_k = 5) {
-  const topK = Number(top_k) || 5;
-  if (!query || String(query).trim().length === 0) {
-    return { context: "", hits: [], top_k_used: 0 };
+export async function qdrantUpsertPoints(points = []) {
+  if (!points.length) return null;
+  try {
+    return await qdrantRequest("PUT", collectionUrl("/points?wait=true"), { points }, 60_000);
+  } catch (err) {
+    log.error("qdrant upsert error", err);
+    throw err;
   }
+}
 
-  // 1) embed the query
-  let qVec;
+export async function qdrantDeleteByFilter(filter) {
+  assert(filter && typeof filter === "object", "filter must be an object");
   try {
-    const embeddings = await embedWithJina([String(query)]);
-    if (!Array.isArray(embeddings) || embeddings.length === 0) {
-      throw new Error("Empty embedding returned from Jina");
+    return await qdrantPost(collectionUrl("/points/delete?wait=true"), { filter }, 30_000);
+  } catch (err) {
+    log.error("qdrant delete error", err);
+    throw err;
+  }
+}
+
+/* -------------------------
+   Qdrant read wrappers (REST)
+   -------------------------
+   POST /collections/{collection}/points         { ids, with_payload }     -> points by id
+   POST /collections/{collection}/points/scroll  { limit, offset, filter } -> { points, next_page_offset }
+*/
+export async function qdrantGetPoints(ids = []) {
+  if (!ids.length) return [];
+  const json = await qdrantPost(collectionUrl("/points"), { ids, with_payload: true, with_vector: false }, 30_000);
+  return (Array.isArray(json?.result) ? json.result : []).map((p) => ({ id: p.id, payload: p.payload ?? {} }));
+}
+
+export async function qdrantScroll({ filter, limit = 256, offset = null, withVector = false } = {}) {
+  const body = { limit, with_payload: true, with_vector: withVector };
+  if (filter) body.filter = filter;
+  if (offset != null) body.offset = offset;
+  const json = await qdrantPost(collectionUrl("/points/scroll"), body, 30_000);
+  return {
+    points: (json?.result?.points ?? []).map((p) => ({ id: p.id, payload: p.payload ?? {}, vector: p.vector })),
+    next: json?.result?.next_page_offset ?? null,
+  };
+}
+
+/* -------------------------
+   Neighbouring chunks
+   -------------------------
+   One scroll for all selected hits: should[ article_id = a AND chunk_index in [i - radius, i + radius] ].
+   -> Map(article_id -> Map(chunk_index -> { id, payload })); hits without article_id/chunk_index
+   (points from older ingestion scripts) are skipped.
+*/
+export async function fetchNeighbourChunks(hits = [], radius = CONTEXT_NEIGHBOURS) {
+  const byArticle = new Map();
+  if (radius <= 0) return byArticle;
+  const should = [];
+  for (const h of hits) {
+    const p = h.payload || {};
+    if (p.article_id == null || !Number.isInteger(p.chunk_index)) continue;
+    should.push({
+      must: [
+        { key: "article_id", match: { value: p.article_id } },
+        { key: "chunk_index", range: { gte: Math.max(0, p.chunk_index - radius), lte: p.chunk_index + radius } },
+      ],
+    });
+  }
+  if (!should.length) return byArticle;
+
+  const { points } = await qdrantScroll({ filter: { should }, limit: should.length * (2 * radius + 1) });
+  for (const point of points) {
+    const { article_id: articleId, chunk_index: chunkIndex } = point.payload;
+    if (articleId == null || chunkIndex == null) continue;
+    if (!byArticle.has(String(articleId))) byArticle.set(String(articleId), new Map());
+    byArticle.get(String(articleId)).set(Number(chunkIndex), { id: point.id, payload: point.payload });
+  }
+  return byArticle;
+}
+
+/* -------------------------
+   Keyword (BM25) retrieval
+   -------------------------
+   The index lives in services/keywordIndex.js. When no index file exists yet
+   it is built once from a full scroll of the collection; afterwards every call
+   picks up a file rewritten by another process (the ingest script, another instance).
+*/
+let keywordIndexReady = null;
+
+export function ensureKeywordIndex() {
+  if (keywordIndexReady) return keywordIndexReady.then(() => { keywordIndex.load(); });
+  keywordIndexReady = (async () => {
+    if (keywordIndex.load()) return;
+    log.info(`building keyword index from collection "${COLLECTION_NAME}"`);
+    let offset = null;
+    do {
+      const page = await qdrantScroll({ limit: 256, offset });
+      keywordIndex.upsertDocuments(
+        page.points.map((p) => ({
+          id: p.id,
+          text: [p.payload.title, p.payload.text || p.payload.excerpt || p.payload.content].filter(Boolean).join("\n"),
+          articleId: p.payload.article_id ?? null,
+          chunkIndex: p.payload.chunk_index ?? null,
+        }))
+      );
+      offset = page.next;
+    } while (offset != null);
+    keywordIndex.save();
+    log.info(`keyword index built: ${keywordIndex.size()} chunks`);
+  })().catch((err) => {
+    keywordIndexReady = null; // retry on the next request
+    throw err;
+  });
+  return keywordIndexReady;
+}
+
+async function keywordSearch(query, topK, filters = null) {
+  await ensureKeywordIndex();
+  // the index knows nothing about metadata, so filtered searches dig deeper and filter after the payload fetch
+  const ranked = keywordIndex.search(query, filters ? topK * 5 : topK);
+  if (!ranked.length) return [];
+  const points = await qdrantGetPoints(ranked.map((r) => r.id));
+  const byId = new Map(points.map((p) => [String(p.id), p]));
+  // ids that vanished from Qdrant (deleted outside ingestion) are skipped
+  return ranked
+    .filter((r) => byId.has(String(r.id)) && matchesFilters(byId.get(String(r.id)).payload, filters))
+    .slice(0, topK)
+    .map((r) => ({ id: byId.get(String(r.id)).id, score: r.score, payload: byId.get(String(r.id)).payload }));
+}
+
+/**
+ * Reciprocal rank fusion: score(d) = Σ 1 / (k + rank_i(d)), rank starting at 1.
+ * lists: { dense: hits[], keyword: hits[] } -> merged hits, each with
+ * score (fused) and scores: { <list>: original score, rrf }.
+ */
+export function fuseRankings(lists, k = 60) {
+  const merged = new Map();
+  for (const [name, hits] of Object.entries(lists)) {
+    hits.forEach((h, i) => {
+      const key = String(h.id);
+      const entry = merged.get(key) || { id: h.id, payload: h.payload, scores: { rrf: 0 } };
+      entry.scores[name] = h.score;
+      entry.scores.rrf += 1 / (k + i + 1);
+      merged.set(key, entry);
+    });
+  }
+  return [...merged.values()]
+    .sort((a, b) => b.scores.rrf - a.scores.rrf)
+    .map((e) => ({ id: e.id, score: e.scores.rrf, scores: e.scores, payload: e.payload }));
+}
+
+/* -------------------------
+   Payload indexes for metadata filters
+   -------------------------
+   PUT /collections/{collection}/index { field_name, field_schema }
+   Creating an index that already exists is a no-op in Qdrant, so this is safe to
+   run on every startup and before ingestion. Never throws.
+*/
+export async function ensurePayloadIndexes() {
+  const created = [];
+  for (const index of PAYLOAD_INDEXES) {
+    try {
+      await qdrantRequest("PUT", collectionUrl("/index?wait=true"), index, 30_000);
+      created.push(index.field_name);
+    } catch (err) {
+      log.warn(`payload index "${index.field_name}" not created`, err);
     }
-    qVec = embeddings[0];
+  }
+  if (created.length) log.info(`payload indexes ensured: ${created.join(", ")}`);
+  return created;
+}
+
+/* -------------------------
+   Collection vector config vs. embedding provider
+   -------------------------
+   GET /collections/{collection} -> result.config.params.vectors is either
+   { size, distance } (single unnamed vector) or { <name>: { size, distance } }.
+*/
+function vectorSizeOf(vectors) {
+  if (!vectors) return null;
+  if (typeof vectors.size === "number") return vectors.size;
+  const named = Object.values(vectors).find((v) => typeof v?.size === "number");
+  return named ? named.size : null;
+}
+
+export async function getCollectionVectorSize() {
+  const json = await qdrantRequest("GET", collectionUrl(), undefined, 10_000);
+  return vectorSizeOf(json?.result?.config?.params?.vectors);
+}
+
+/**
+ * getCollectionStatus(timeoutMs)
+ * -> { collection, exists, status, vector_size, points_count }   (exists: false when Qdrant answers 404)
+ * Throws when Qdrant is unreachable or answers with another error.
+ */
+export async function getCollectionStatus(timeoutMs = 10_000) {
+  let json;
+  try {
+    json = await qdrantRequest("GET", collectionUrl(), undefined, timeoutMs);
   } catch (err) {
-    console.warn("[RAG] Embedding failed:", err?.message || err);
-    // return empty context so caller can fallback gracefully
-    return { context: "", hits: [], top_k_used: 0 };
+    if (err?.__raw?.status === 404) return { collection: COLLECTION_NAME, exists: false, status: null, vector_size: null, points_count: null };
+    throw err;
   }
+  const result = json?.result || {};
+  return {
+    collection: COLLECTION_NAME,
+    exists: true,
+    status: result.status || null,
+    vector_size: vectorSizeOf(result.config?.params?.vectors),
+    points_count: result.points_count ?? null,
+  };
+}
 
-  // 2) query Qdrant
-  let hits = [];
+/**
+ * verifyEmbeddingDimension()
+ * Compares the active embedding provider's dimension with the collection's vector size.
+ * Never throws; returns { ok, provider, expected, actual, error? } so startup can log it.
+ */
+export async function verifyEmbeddingDimension() {
+  const embedder = getEmbedder();
+  const result = { ok: false, provider: embedder.name, expected: embedder.dimension, actual: null };
   try {
-    hits = await qdrantSearchByVector(qVec, topK);
+    result.actual = await getCollectionVectorSize();
   } catch (err) {
-    console.warn("[RAG] Qdrant search failed:", err?.message || err);
-    return { context: "", hits: [], top_k_used: 0 };
+    result.error = `could not read collection "${COLLECTION_NAME}": ${err?.message || err}`;
+    log.warn("dimension check skipped:", result.error);
+    return result;
   }
 
-  // 3) Build context: choose a readable concatenation of top passages (limit length)
-  //    Each hit.payload is expected to have `text` and `url` fields (based on your indexer).
-  const MAX_CONTEXT_CHARS = 4000; // tune for model prompt size
-  const parts = [];
-  for (const h of hits) {
-    const text = (h.payload && (h.payload.text || h.payload.excerpt || h.payload.content)) || "";
-    const title = (h.payload && (h.payload.title || h.payload.headline)) || null;
-    const source = (h.payload && (h.payload.url || h.payload.source)) || null;
-    let snippet = text;
-    if (snippet && snippet.length > 2000) snippet = snippet.slice(0, 2000) + "…";
-    let piece = "";
-    if (title) piece += `${title}\n`;
-    if (snippet) piece += `${snippet}\n`;
-    if (source) piece += `Source: ${source}\n`;
-    if (piece.trim()) parts.push(piece.trim());
-    // stop if context would grow too large
-    const curLen = parts.join("\n\n").length;
-    if (curLen >= MAX_CONTEXT_CHARS) break;
+  if (result.expected == null || result.actual == null) {
+    result.error = "dimension unknown (set EMBEDDING_DIMENSION for custom models)";
+    log.warn(`dimension check skipped: provider=${result.expected ?? "?"} collection=${result.actual ?? "?"}`);
+    return result;
+  }
+  result.ok = result.expected === result.actual;
+  if (result.ok) {
+    log.info(`embedding dimension ${result.actual} matches collection "${COLLECTION_NAME}"`);
+  } else {
+    result.error = `provider ${embedder.name}/${embedder.model} produces ${result.expected}-d vectors but collection "${COLLECTION_NAME}" expects ${result.actual}`;
+    log.error("embedding dimension mismatch:", result.error);
+  }
+  return result;
+}
+
+/* -------------------------
+   getContextWithHits(query, top_k, options)
+   - options.mode: "dense" (vector search only), "keyword" (BM25 only) or
+     "hybrid" (both, merged with reciprocal rank fusion); default RETRIEVAL_MODE or dense
+   - options.rerank: over-fetch RERANK_CANDIDATES and keep the reranker's best top_k
+     (default RERANK_ENABLED); hits then carry score, rerank_score and retrieval_rank
+   - options.filters: normalized metadata filters (services/searchFilters.js normalizeFilters)
+   - options.vector: precomputed query embedding (skips the embedding call)
+   - options.llm: { model, maxOutputTokens } of the model that will answer; the context's token
+     budget is derived from its window (services/contextService.js contextBudget)
+   - options.maxContextTokens: explicit token budget for this call (overrides the derived one)
+   - options.countTokens: false skips counting the context with the provider's tokenizer (callers
+     that only use the hits); default true
+   - options.neighbours: chunks before/after each hit to pull in (default CONTEXT_NEIGHBOURS, 0 = off)
+   - options.diversity: false, or { lambda, maxPerArticle } overriding MMR_LAMBDA / MAX_CHUNKS_PER_ARTICLE
+     (default DIVERSITY_ENABLED): near-duplicate chunks are dropped and the final top_k is picked
+     with maximal marginal relevance, chunks grouped by article (services/diversityService.js)
+   - Embeds query with the configured embedding provider
+   - Searches Qdrant for top_k
+   - Builds a single 'context' string containing top passages concatenated and numbered
+   - Returns { context, passages, hits, top_k_used, mode, reranker, diversity, context_report }
+     (reranker is null when not reranked; diversity holds the selection stats, null when disabled;
+     context_report = { model, window_tokens, budget_tokens, used_tokens, token_count, included, dropped } lists
+     every chunk that made it into the context or was dropped — duplicate, article_cap, budget, empty)
+*/
+export async function getContextWithHits(query, top_k = 5, options = {}) {
+  const topK = Number(top_k) || 5;
+  const mode = RETRIEVAL_MODES.includes(options.mode) ? options.mode : DEFAULT_RETRIEVAL_MODE;
+  const rerank = options.rerank ?? RERANK_ENABLED;
+  const diversity = options.diversity === undefined ? DIVERSITY_ENABLED : options.diversity !== false;
+  const empty = { context: "", passages: [], hits: [], top_k_used: 0, mode, reranker: null, diversity: null, context_report: null };
+  if (!query || String(query).trim().length === 0) {
+    return empty;
   }
+  // hybrid fetches a deeper candidate list from each side before fusing,
+  // reranking needs a deeper list to choose from
+  let candidates = mode === "hybrid" ? Math.max(topK * 2, 20) : topK;
+  if (rerank) candidates = Math.max(candidates, RERANK_CANDIDATES);
+  // so is picking diverse passages
+  if (diversity) candidates = Math.max(candidates, MMR_CANDIDATES);
+
+  // 1) embed the query + query Qdrant (dense side)
+  let denseHits = [];
+  if (mode !== "keyword") {
+    // the answer cache may already have embedded this query
+    let qVec = Array.isArray(options.vector) ? options.vector : null;
+    if (!qVec) {
+      try {
+        const embeddings = await timeStage("embed", () => getEmbedder().embedQueries([String(query)]));
+        if (!Array.isArray(embeddings) || embeddings.length === 0) {
+          throw new Error("Empty embedding returned from provider");
+        }
+        qVec = embeddings[0];
+      } catch (err) {
+        log.warn("Embedding failed", err);
+        // return empty context so caller can fallback gracefully (hybrid still has keywords)
+        if (mode === "dense") return empty;
+      }
+    }
+
+    if (qVec) {
+      try {
+        denseHits = await timeStage("qdrant_search", () => qdrantSearchByVector(qVec, candidates, toQdrantFilter(options.filters)));
+      } catch (err) {
+        log.warn("Qdrant search failed", err);
+        if (mode === "dense") return empty;
+      }
+    }
+  }
+
+  // 2) keyword side
+  let keywordHits = [];
+  if (mode !== "dense") {
+    try {
+      keywordHits = await timeStage("keyword_search", () => keywordSearch(query, candidates, options.filters));
+    } catch (err) {
+      log.warn("keyword search failed", err);
+    }
+  }
+
+  let hits;
+  if (mode === "dense") hits = denseHits;
+  else if (mode === "keyword") hits = keywordHits;
+  else hits = fuseRankings({ dense: denseHits, keyword: keywordHits });
+
+  // 3) optional rerank of the candidate list (the diversity step still needs the full list)
+  let reranker = null;
+  if (rerank && hits.length > 0) {
+    const res = await timeStage("rerank", () => rerankHits(String(query), hits, { topN: diversity ? hits.length : topK }));
+    hits = res.hits;
+    reranker = res.provider;
+  }
+
+  // 4) keep top_k: de-duplicated + MMR, or simply the best ones
+  let diversityStats = null;
+  let notSelected = [];
+  if (diversity && hits.length > 0) {
+    const res = diversifyHits(hits, topK, typeof options.diversity === "object" ? options.diversity : {});
+    hits = res.hits;
+    diversityStats = res.stats;
+    notSelected = res.dropped;
+  } else {
+    hits = hits.slice(0, topK);
+  }
+
+  // 5) neighbouring chunks of the selected hits (best effort: the hits alone still make a context)
+  const radius = Number(options.neighbours ?? CONTEXT_NEIGHBOURS);
+  let neighbours = null;
+  if (radius > 0 && hits.length > 0) {
+    try {
+      neighbours = await timeStage("neighbours", () => fetchNeighbourChunks(hits, radius));
+    } catch (err) {
+      log.warn("neighbour chunk fetch failed", err);
+    }
+  }
+
+  // 6) numbered context within the model's token budget (services/contextService.js)
+  const { provider, ...budget } = budgetFor(options);
+  const { context, passages, report } = await fitContext(hits, {
+    maxTokens: budget.maxTokens, neighbours, radius, provider: options.countTokens === false ? null : provider, model: budget.model,
+  });
+  // a chunk the diversity step passed over can still come back as a neighbour of a selected hit
+  const inContext = new Set(report.included.map((c) => c.id));
+  const context_report = {
+    model: budget.model,
+    window_tokens: budget.window,
+    ...report,
+    dropped: [
+      ...notSelected.filter(({ hit }) => !inContext.has(hit.id)).map(({ hit, reason }) => ({ id: hit.id ?? null, article_id: hit.payload?.article_id ?? null, chunk_index: hit.payload?.chunk_index ?? null, role: "hit", reason })),
+      ...report.dropped,
+    ],
+  };
+  return { context, passages, hits, top_k_used: hits.length, mode, reranker, diversity: diversityStats, context_report };
+}
+
+/*
+ * token budget for the context: options.maxContextTokens, else derived from the answering model;
+ * the provider comes along so the context can be counted with its tokenizer
+ */
+function budgetFor(options) {
+  let provider = null;
+  try {
+    provider = options.provider || getLLM();
+  } catch {
+    // unknown LLM_PROVIDER: generation reports it, the budget falls back to the default window
+  }
+  const budget = contextBudget({ provider, model: options.llm?.model, maxOutputTokens: options.llm?.maxOutputTokens });
+  const explicit = Number(options.maxContextTokens);
+  return { ...budget, ...(explicit > 0 ? { maxTokens: explicit } : {}), provider };
+}
+
+/* -------------------------
+   Retriever used by chat, featured and evaluation
+   -------------------------
+   A retriever is { getContextWithHits(query, top_k, options) } returning the same shape as
+   getContextWithHits above. createApp({ retriever }) swaps it for tests or other backends.
+*/
+const defaultRetriever = { name: "qdrant", getContextWithHits };
+let retriever = defaultRetriever;
+
+export function getRetriever() {
+  return retriever;
+}
 
-  const context = parts.join("\n\n");
-  return { context, hits, top_k_used: hits.length };
+/* setRetriever(custom) — pass null to restore the Qdrant retriever */
+export function setRetriever(custom) {
+  retriever = custom || defaultRetriever;
 }
 
 /* -------------------------
@@ -220,7 +525,7 @@ export async function getContextAndAnswer(query, askFn, top_k = 5, options = {})
     // askFn should be a function like askGemini(query, context)
     answer = await askFn(query, context, options);
   } catch (err) {
-    console.warn("[RAG] askFn error:", err?.message || err);
+    log.warn("askFn error", err);
     answer = "Sorry, I couldn't generate a response.";
   }
   return { answer, context, hits, top_k_used };
@@ -242,4 +547,6 @@ export async function getContextAndAnswer(query, askFn, top_k = 5, options = {})
 export default {
   getContextWithHits,
   getContextAndAnswer,
+  getRetriever,
+  setRetriever,
 };
@@ -0,0 +1,33 @@
+// services/redisClient.js
+import Redis from "ioredis";
+import { createLogger } from "./logger.js";
+
+/**
+ * Shared Redis client (chat history, answer cache).
+ * - Only create client if REDIS_URL is defined; `redis` stays null otherwise
+ *   and callers fall back / no-op.
+ * - Support rediss:// URLs for TLS providers.
+ * - Do NOT fall back to localhost unless you explicitly add one.
+ */
+const log = createLogger("redis");
+const REDIS_URL = process.env.REDIS_URL || "";
+if (!REDIS_URL) {
+  log.info("REDIS_URL not defined — redis client will remain uninitialized.");
+}
+
+export let redis = null;
+if (REDIS_URL) {
+  log.info("creating redis client (masked):", REDIS_URL.replace(/:.+@/, ":***@"));
+  // If URL starts with rediss:// or REDIS_TLS env set, ioredis will handle TLS for rediss
+  redis = new Redis(REDIS_URL, REDIS_URL.startsWith("rediss://") ? { tls: { rejectUnauthorized: false } } : undefined);
+  redis.on("connect", () => log.info("connected"));
+  redis.on("ready", () => log.info("ready"));
+  redis.on("error", (err) => log.warn("connection error", err));
+}
+
+/* ioredis queues commands while disconnected; callers that must not hang check this first */
+export function isRedisReady() {
+  return Boolean(redis && redis.status === "ready");
+}
+
+export default redis;
@@ -1,65 +1,20 @@
 // backend/services/redisService.js
-import Redis from "ioredis";
-import { getContextWithHits } from "./ragService.js";
-import { askGemini } from "./geminiService.js";
+import crypto from "crypto";
+import { getRetriever } from "./ragService.js";
+import { askGemini, streamGemini, rewriteQuery, answerSystemPrompt } from "./geminiService.js";
+import { LLMError } from "./llmService.js";
+import { GuardrailError, checkQuery, screenContext, screenOutput } from "./guardrailService.js";
+import { resolveCitations } from "./citationService.js";
+import { getHistoryStore } from "./historyStore.js";
+import { CACHE_ENABLED, cacheScope, lookupAnswer, storeAnswer } from "./cacheService.js";
+import { touchSession } from "./sessionService.js";
+import { classifyQuery, ROUTING_ENABLED, HEADLINES_WINDOW, HEADLINES_COUNT } from "./intentService.js";
+import { fetchFeatured } from "./featuredService.js";
+import { parseDateBound } from "./searchFilters.js";
+import { createLogger } from "./logger.js";
+import { timeStage, retrievals, retries, emptyContexts, hitsReturned, cacheLookups, chatRoutes } from "./metricsService.js";
 
-/**
- * Redis client initialization:
- * - Only create client if REDIS_URL is defined.
- * - Support rediss:// URLs for TLS providers.
- * - Do NOT fall back to localhost unless you explicitly add one.
- */
-const REDIS_URL = process.env.REDIS_URL || "";
-if (!REDIS_URL) {
-  console.log("[redis] REDIS_URL not defined — redis client will remain uninitialized.");
-}
-
-let redis = null;
-if (REDIS_URL) {
-  console.log("[redis] creating redis client (masked):", REDIS_URL.replace(/:.+@/, ":***@"));
-  // If URL starts with rediss:// or REDIS_TLS env set, ioredis will handle TLS for rediss
-  redis = new Redis(REDIS_URL, REDIS_URL.startsWith("rediss://") ? { tls: { rejectUnauthorized: false } } : undefined);
-  redis.on("connect", () => console.log("[redis] connected"));
-  redis.on("ready", () => console.log("[redis] ready"));
-  redis.on("error", (err) => console.warn("[redis] error:", err.message));
-}
-
-/* Safe wrappers that no-op when redis is not configured */
-async function safeAppendChat(key, value, maxLen = 1000, ttlSeconds = 60 * 60 * 24 * 30) {
-  if (!redis) {
-    console.warn("[redis] safeAppendChat skipped (no redis client) for key:", key);
-    return;
-  }
-  try {
-    // rpush, keep only last maxLen and set TTL
-    await redis.multi()
-      .rpush(key, value)
-      .ltrim(key, -maxLen, -1)
-      .expire(key, ttlSeconds)
-      .exec();
-  } catch (e) {
-    console.warn("[redis] safeAppendChat failed:", e?.message || e);
-  }
-}
-
-async function safeLRange(key, start = 0, stop = -1) {
-  if (!redis) return [];
-  try {
-    return await redis.lrange(key, start, stop);
-  } catch (e) {
-    console.warn("[redis] lrange failed:", e?.message || e);
-    return [];
-  }
-}
-
-async function safeDel(key) {
-  if (!redis) return;
-  try {
-    await redis.del(key);
-  } catch (e) {
-    console.warn("[redis] del failed:", e?.message || e);
-  }
-}
+const log = createLogger("chat");
 
 /* Simple context-match heuristic (token-level) used for an optional retry.
    returns true if at least one long query token appears in context. */
@@ -71,63 +26,472 @@ function contextMatchesQuery(context, query) {
 }
 
 /**
- * handleChat(sessionId, query)
+ * getConversation(sessionId)
+ * Loads the last HISTORY_TURNS entries of the session's history and trims them for prompting:
+ * answers are shortened and the oldest turns are dropped until the whole
+ * conversation fits in HISTORY_MAX_CHARS. Returns [{ query, answer }], oldest first.
+ */
+async function getConversation(sessionId) {
+  const turns = Number(process.env.HISTORY_TURNS || 4);
+  const maxChars = Number(process.env.HISTORY_MAX_CHARS || 1500);
+  if (turns <= 0) return [];
+
+  const entries = await getHistoryStore().list(sessionId, -turns, -1);
+  const history = [];
+  for (const e of entries) {
+    // unparsable entries come back as { raw } and are skipped; refused messages are not fed back to the model
+    if (!e?.query || e.error_code === "prompt_injection") continue;
+    let answer = String(e.answer ?? "");
+    if (answer.length > 400) answer = answer.slice(0, 400) + "…";
+    history.push({ query: String(e.query), answer });
+  }
+
+  const size = (list) => list.reduce((n, t) => n + t.query.length + t.answer.length, 0);
+  while (history.length > 0 && size(history) > maxChars) history.shift();
+  return history;
+}
+
+/**
+ * retrieveContext(query, retrieval, vector)
  * - obtains RAG context
  * - retries with larger top_k if necessary
- * - calls Gemini via askGemini
- * - stores a JSON entry in Redis list key `chat:<sessionId>` using safeAppendChat
+ * `retrieval` is passed through to getContextWithHits (e.g. { mode: "hybrid", rerank: true });
+ * `retrieval.topK` overrides TOP_K (evaluation runs); `retrieval.llm` ({ model, maxOutputTokens })
+ * sizes the context's token budget for the model that will answer.
+ * `vector` is the query embedding when the answer cache already computed it.
+ * Injection text inside the passages is redacted before the context is returned (services/guardrailService.js).
+ * Shared by the blocking and the streaming chat paths and the evaluation harness.
  */
-export async function handleChat(sessionId, query) {
-  const DEFAULT_TOP_K = Number(process.env.TOP_K || 5);
+export async function retrieveContext(query, retrieval = {}, vector = null) {
+  const DEFAULT_TOP_K = Number(retrieval.topK || process.env.TOP_K || 5);
+  const opts = vector ? { ...retrieval, vector } : retrieval;
 
   // get context & hits
-  let { context, hits, top_k_used } = await getContextWithHits(query, DEFAULT_TOP_K);
+  let { context, passages, hits, top_k_used, mode, reranker, context_report } = await getRetriever().getContextWithHits(query, DEFAULT_TOP_K, opts);
 
   // optional retry with larger top_k
   if (!contextMatchesQuery(context, query) && top_k_used < 20) {
     const retryK = Math.min(20, DEFAULT_TOP_K * 4);
-    console.log(`[RAG] retrying with top_k=${retryK}`);
-    const retryRes = await getContextWithHits(query, retryK);
+    log.info(`retrying with top_k=${retryK}`);
+    retries.inc({ mode });
+    const retryRes = await timeStage("retry", () => getRetriever().getContextWithHits(query, retryK, opts));
     context = retryRes.context;
+    passages = retryRes.passages;
     hits = retryRes.hits;
     top_k_used = retryRes.top_k_used;
+    reranker = retryRes.reranker;
+    context_report = retryRes.context_report;
   }
 
-  // ask Gemini
-  let answer;
+  retrievals.inc({ mode });
+  hitsReturned.observe({ mode }, hits.length);
+  if (!context) emptyContexts.inc({ mode });
+  ({ context } = screenContext(context));
+  return { context, passages, hits, top_k_used, retrieval_mode: mode, reranker, context_report: context_report ?? null };
+}
+
+/*
+ * Maps a failed generation or a guardrail refusal to the text shown to the user plus a structured error
+ * ({ code, message, details }) that is returned alongside it.
+ */
+const FALLBACK_ANSWERS = {
+  blocked: "Sorry, I can't answer that — the response was blocked by the model's safety filters.",
+  empty: "Sorry, the model returned an empty response.",
+  prompt_injection: "I can only answer questions about the news — I can't follow instructions that try to change how I work.",
+  unsafe_output: "Sorry, I can't share that answer — it was withheld by the output safety check.",
+};
+
+function llmFailure(e) {
+  const error = e instanceof LLMError || e instanceof GuardrailError
+    ? e.toJSON()
+    : { code: "upstream", message: e?.message || String(e), details: {} };
+  log.warn("generation failed", { error_code: error.code, error: error.message });
+  return { answer: FALLBACK_ANSWERS[error.code] || "Sorry, I couldn't generate a response.", error };
+}
+
+/*
+ * Semantic answer cache (services/cacheService.js), keyed on the rewritten query.
+ * options.cache === false skips it for one request.
+ */
+async function cacheLookup(query, options) {
+  if (!CACHE_ENABLED || options.cache === false) return { scope: null, vector: null, hit: null };
+  const scope = cacheScope(options);
+  const { vector, hit } = await lookupAnswer(query, scope);
+  cacheLookups.inc({ result: hit ? "hit" : "miss" });
+  return { scope, vector, hit };
+}
+
+/* cached entry -> chat result fields */
+function fromCache(hit, rewritten_query) {
+  const { cached_query, similarity, cached_at, passages, context, ...rest } = hit;
+  return {
+    result: { ...rest, context, rewritten_query, cached: true, cache: { similarity, query: cached_query, cached_at } },
+    passages,
+  };
+}
+
+/* -------------------------
+   Intent routing (services/intentService.js)
+   ------------------------- */
+
+/* classifies the raw message; with routing disabled everything is a news question */
+function routeQuery(query) {
+  const route = ROUTING_ENABLED ? classifyQuery(query) : { intent: "news", reason: "routing disabled", window: null };
+  chatRoutes.inc({ intent: route.intent });
+  return route;
+}
+
+/* route as reported to clients: { intent, handler, window, reason } */
+function describeRoute(route, handler, window = route.window) {
+  return { intent: route.intent, handler, window: window ? { from: window.from, to: window.to } : null, reason: route.reason };
+}
+
+/* the window routing applies: none when the request set from/to itself (those win) */
+function effectiveWindow(retrieval, window) {
+  const filters = retrieval?.filters;
+  return filters?.from || filters?.to ? null : window;
+}
+
+/* retrieval settings with `window` as published-date filter */
+function withWindow(retrieval = {}, window) {
+  if (!window) return retrieval;
+  return { ...retrieval, filters: { sources: [], categories: [], ...retrieval.filters, from: window.from, to: window.to } };
+}
+
+/* result of a message answered without retrieval or a model call */
+function unretrievedResult(query, fields) {
+  return {
+    citations: [], invalid_citations: [], context: "", hits: [], passages: [], top_k_used: 0,
+    rewritten_query: query, retrieval_mode: null, reranker: null, context_report: null, cached: false, ...fields,
+  };
+}
+
+/* chit-chat / meta: the canned reply */
+function cannedResult(query, route) {
+  return unretrievedResult(query, { answer: route.reply, route: describeRoute(route, "canned") });
+}
+
+/*
+ * a message refused by the injection check: error `prompt_injection`, no route.
+ * A per-request system prompt (options.llm.system) replaces the default one, so it is checked too.
+ */
+function guardQuery(query, llmOptions = {}) {
   try {
-    answer = await askGemini(query, context);
+    checkQuery(query);
+    if (llmOptions.system) checkQuery(llmOptions.system, { field: "llm.system" });
+    return null;
   } catch (e) {
-    console.warn("[GEMINI] askGemini error:", e?.message || e);
-    answer = "Sorry, I couldn't generate a response.";
+    const { answer, error } = llmFailure(e);
+    return unretrievedResult(query, { answer, error, route: null });
   }
+}
 
-  // store entry (context summary kept short)
+/*
+ * headlines: the featured stories (services/featuredService.js) in the route's window, or the
+ * last HEADLINES_WINDOW when the message named none (widened to everything when that is empty).
+ * The answer lists the headlines with their passage markers, so citations work as for RAG answers.
+ */
+async function headlinesResult(query, route, retrieval = {}) {
+  let window = effectiveWindow(retrieval, route.window || { from: parseDateBound(HEADLINES_WINDOW), to: null });
+  let { featured, raw } = await fetchFeatured("latest news", HEADLINES_COUNT, withWindow(retrieval, window));
+  if (!raw.hits?.length && window && !route.window) {
+    window = null;
+    ({ featured, raw } = await fetchFeatured("latest news", HEADLINES_COUNT, retrieval));
+  }
+
+  const passages = raw.passages || [];
+  const seen = new Set();
+  const lines = featured
+    // one line per article: several chunks of it may have come back
+    .filter((f) => f.id != null && f.headline && !seen.has(f.headline) && seen.add(f.headline))
+    .map((f) => {
+      const passage = passages.find((p) => p.id === f.id);
+      return `- ${f.headline}${passage ? ` [${passage.marker}]` : ""}`;
+    });
+  const text = lines.length
+    ? `Here are the latest headlines:\n\n${lines.join("\n")}`
+    : "Sorry, I couldn't find any recent headlines.";
+  const { answer, citations, invalid_citations } = resolveCitations(text, passages);
+
+  return {
+    answer, citations, invalid_citations, context: raw.context || "", hits: raw.hits || [], passages,
+    top_k_used: raw.top_k_used ?? null, rewritten_query: query, retrieval_mode: raw.mode ?? null,
+    reranker: raw.reranker ?? null, context_report: raw.context_report ?? null, cached: false,
+    route: describeRoute(route, "featured", window),
+  };
+}
+
+/* answers a chit-chat, meta or headlines message; null for news questions (full RAG) */
+async function directResult(query, route, retrieval) {
+  if (route.intent === "chit_chat" || route.intent === "meta") return cannedResult(query, route);
+  if (route.intent === "headlines") return headlinesResult(query, route, retrieval);
+  return null;
+}
+
+/*
+ * store entry (context summary kept short); returns the entry's message_id.
+ * hit_ids / sources record what was retrieved, so feedback on the message can
+ * be traced back to retrieval (services/feedbackService.js).
+ */
+async function appendEntry(sessionId, turn) {
+  const { query, answer, context, rewrittenQuery, error = null, citations = [], cached = false, hits = [], retrievalMode, route } = turn;
   const entry = {
+    message_id: crypto.randomUUID(),
     query,
+    rewritten_query: rewrittenQuery,
     answer,
+    citations,
+    cached: cached || undefined,
+    error_code: error ? error.code : undefined,
+    retrieval_mode: retrievalMode,
+    route,
+    hit_ids: hits.map((h) => h.id),
+    sources: hits.map((h) => ({ id: h.id, title: h.payload?.title || null, url: h.payload?.url || null })),
     context_summary: context ? context.slice(0, 500) : "",
     timestamp: Date.now(),
   };
 
-  await safeAppendChat(`chat:${sessionId}`, JSON.stringify(entry));
+  await timeStage("redis_write", async () => {
+    await getHistoryStore().append(sessionId, entry);
+    // last_activity + title from the first question (services/sessionService.js)
+    await touchSession(sessionId, { query });
+  });
+  return entry.message_id;
+}
+
+/**
+ * handleChat(sessionId, query, options)
+ * - refuses messages that try to override the assistant's instructions (services/guardrailService.js)
+ * - classifies the message first (services/intentService.js): chit-chat and meta questions get a
+ *   canned reply, headline requests the featured stories; only news questions continue below,
+ *   with a relative time expression ("yesterday", "this week") as published-date filter
+ * - loads the recent conversation and rewrites follow-ups into a standalone query
+ * - returns a cached answer (`cached: true`) when a similar question was answered before
+ * - otherwise obtains RAG context for the rewritten query (see retrieveContext)
+ * - calls the LLM via askGemini with the trimmed conversation; the answer is screened for
+ *   leaked prompt text and disallowed content before it is returned
+ * - maps the answer's [n] markers to the numbered passages (citations / invalid_citations)
+ * - appends a JSON entry to the session's history (services/historyStore.js);
+ *   its message_id is returned so clients can send feedback on the answer
+ * options.llm       -> per-request { model, temperature, maxOutputTokens, system }
+ * options.retrieval -> per-request retrieval settings, e.g. { mode: "hybrid", rerank: true }
+ * options.cache     -> false to bypass the semantic answer cache
+ * When generation fails or a guardrail trips the result carries `error: { code, message, details }`
+ * next to a short fallback answer (codes: blocked, empty, upstream, config, prompt_injection,
+ * unsafe_output). Every result carries `route: { intent, handler: "canned" | "featured" | "rag",
+ * window, reason }` — null for a message refused as prompt injection.
+ */
+export async function handleChat(sessionId, query, options = {}) {
+  const llmOptions = options.llm || {};
+  const blocked = guardQuery(query, llmOptions);
+  const route = blocked ? null : routeQuery(query);
+
+  const direct = blocked || (await directResult(query, route, options.retrieval));
+  if (direct) {
+    const { passages, ...result } = direct;
+    const message_id = await appendEntry(sessionId, {
+      query, answer: result.answer, context: result.context, rewrittenQuery: query, error: result.error,
+      citations: result.citations, hits: result.hits, retrievalMode: result.retrieval_mode, route: route?.intent,
+    });
+    return { message_id, ...result };
+  }
+
+  // news question: full RAG, restricted to the message's time window
+  const window = effectiveWindow(options.retrieval, route.window);
+  const retrieval = withWindow(options.retrieval, window);
+  const routeInfo = describeRoute(route, "rag", window);
+  const history = await getConversation(sessionId);
+  const rewritten_query = await rewriteQuery(query, history, llmOptions);
+
+  const cache = await cacheLookup(rewritten_query, { ...options, retrieval });
+  if (cache.hit) {
+    const { result } = fromCache(cache.hit, rewritten_query);
+    result.route = routeInfo;
+    result.message_id = await appendEntry(sessionId, {
+      query, answer: result.answer, context: result.context, rewrittenQuery: rewritten_query,
+      citations: result.citations, cached: true, hits: result.hits, retrievalMode: result.retrieval_mode, route: route.intent,
+    });
+    return result;
+  }
 
-  return { answer, context, hits, top_k_used };
+  const { context, passages, hits, top_k_used, retrieval_mode, reranker, context_report } = await retrieveContext(
+    rewritten_query, { ...retrieval, llm: llmOptions }, cache.vector,
+  );
+
+  // ask the model
+  let answer;
+  let error = null;
+  let citations = [];
+  let invalid_citations = [];
+  try {
+    const raw = await askGemini(query, context, { history, llm: llmOptions });
+    screenOutput(raw, { protectedTexts: [answerSystemPrompt(llmOptions)] });
+    ({ answer, citations, invalid_citations } = resolveCitations(raw, passages));
+  } catch (e) {
+    ({ answer, error } = llmFailure(e));
+  }
+
+  const message_id = await appendEntry(sessionId, {
+    query, answer, context, rewrittenQuery: rewritten_query, error, citations, hits, retrievalMode: retrieval_mode, route: route.intent,
+  });
+
+  const result = { message_id, answer, citations, invalid_citations, context, hits, top_k_used, rewritten_query, retrieval_mode, reranker, context_report, cached: false };
+  if (error) result.error = error;
+  else if (cache.scope && hits.length) await storeAnswer(rewritten_query, cache.vector, cache.scope, { ...result, passages });
+  return { ...result, route: routeInfo };
+}
+
+/**
+ * handleChatStream(sessionId, query, { onHits, onDelta, signal, llm, retrieval })
+ * Streaming variant of handleChat:
+ * - onHits({ hits, passages, top_k_used, rewritten_query, retrieval_mode, reranker, context_report, route }) fires once retrieval is done
+ * - onDelta(text) fires for every token chunk from the model
+ * - signal aborts the model call (client disconnect)
+ * - llm / retrieval / cache carry the per-request settings, as in handleChat
+ * A cache hit, a canned reply, a headlines answer and a refused message are replayed as hits + one
+ * delta with the whole answer. When the output check trips mid-stream the model call is stopped,
+ * no further deltas are sent and the result carries `error.code` unsafe_output with the fallback answer.
+ * The entry is appended to the session's history only when the stream completed;
+ * aborted streams are not stored.
+ * Resolves to { message_id, answer, citations, invalid_citations, context, hits, top_k_used, rewritten_query,
+ *              retrieval_mode, reranker, context_report, cached, cache?, route, aborted, error? }  (message_id is null when aborted).
+ */
+export async function handleChatStream(sessionId, query, options = {}) {
+  const { onHits, onDelta, signal } = options;
+  const llmOptions = options.llm || {};
+
+  const blocked = guardQuery(query, llmOptions);
+  const route = blocked ? null : routeQuery(query);
+
+  // refused, chit-chat, meta and headlines messages are replayed like a cache hit: hits + one delta
+  const direct = blocked || (await directResult(query, route, options.retrieval));
+  if (direct) {
+    const { passages, ...result } = direct;
+    const { hits, top_k_used, retrieval_mode, reranker, context_report } = result;
+    if (onHits) onHits({ hits, passages, top_k_used, rewritten_query: query, retrieval_mode, reranker, context_report, route: result.route });
+    if (signal?.aborted) return { ...result, message_id: null, aborted: true };
+    if (onDelta) onDelta(result.answer);
+    const message_id = await appendEntry(sessionId, {
+      query, answer: result.answer, context: result.context, rewrittenQuery: query, error: result.error,
+      citations: result.citations, hits, retrievalMode: retrieval_mode, route: route?.intent,
+    });
+    return { message_id, ...result, aborted: false };
+  }
+
+  const window = effectiveWindow(options.retrieval, route.window);
+  const retrieval = withWindow(options.retrieval, window);
+  const routeInfo = describeRoute(route, "rag", window);
+  const history = await getConversation(sessionId);
+  const rewritten_query = await rewriteQuery(query, history, llmOptions);
+
+  const cache = await cacheLookup(rewritten_query, { ...options, retrieval });
+  if (cache.hit) {
+    const { result, passages } = fromCache(cache.hit, rewritten_query);
+    result.route = routeInfo;
+    const { hits, top_k_used, retrieval_mode, reranker, context_report = null } = result;
+    if (onHits) onHits({ hits, passages, top_k_used, rewritten_query, retrieval_mode, reranker, context_report, route: routeInfo, cached: true });
+    if (signal?.aborted) return { ...result, message_id: null, aborted: true };
+    if (onDelta) onDelta(result.answer);
+    result.message_id = await appendEntry(sessionId, {
+      query, answer: result.answer, context: result.context, rewrittenQuery: rewritten_query,
+      citations: result.citations, cached: true, hits, retrievalMode: retrieval_mode, route: route.intent,
+    });
+    return { ...result, aborted: false };
+  }
+
+  const { context, passages, hits, top_k_used, retrieval_mode, reranker, context_report } = await retrieveContext(
+    rewritten_query, { ...retrieval, llm: llmOptions }, cache.vector,
+  );
+  if (onHits) onHits({ hits, passages, top_k_used, rewritten_query, retrieval_mode, reranker, context_report, route: routeInfo });
+
+  if (signal?.aborted) {
+    return {
+      message_id: null, answer: "", citations: [], invalid_citations: [], context, hits, top_k_used, rewritten_query,
+      retrieval_mode, reranker, context_report, cached: false, route: routeInfo, aborted: true,
+    };
+  }
+
+  // the output check runs on the text so far before each delta goes out; when it trips,
+  // the model call is stopped and the fallback answer replaces what was streamed
+  const guard = new AbortController();
+  const stop = () => guard.abort();
+  signal?.addEventListener("abort", stop, { once: true });
+  const protectedTexts = [answerSystemPrompt(llmOptions)];
+  let streamed = "";
+  let withheld = null;
+  const screenedDelta = (delta) => {
+    if (withheld) return;
+    streamed += delta;
+    try {
+      screenOutput(streamed, { protectedTexts });
+    } catch (e) {
+      withheld = e;
+      guard.abort();
+      return;
+    }
+    if (onDelta) onDelta(delta);
+  };
+
+  let answer;
+  let aborted = false;
+  let error = null;
+  let citations = [];
+  let invalid_citations = [];
+  try {
+    const res = await streamGemini(query, context, { onDelta: screenedDelta, signal: guard.signal, history, llm: llmOptions });
+    if (withheld) throw withheld;
+    aborted = res.aborted;
+    // deltas went out raw; the final answer has invalid markers removed
+    ({ answer, citations, invalid_citations } = resolveCitations(res.text, passages));
+  } catch (e) {
+    ({ answer, error } = llmFailure(e));
+  } finally {
+    signal?.removeEventListener("abort", stop);
+  }
+
+  let message_id = null;
+  if (!aborted) {
+    message_id = await appendEntry(sessionId, {
+      query, answer, context, rewrittenQuery: rewritten_query, error, citations, hits, retrievalMode: retrieval_mode, route: route.intent,
+    });
+  }
+
+  const result = {
+    message_id, answer, citations, invalid_citations, context, hits, top_k_used, rewritten_query, retrieval_mode, reranker, context_report, cached: false, aborted,
+  };
+  if (error) result.error = error;
+  else if (!aborted && cache.scope && hits.length) await storeAnswer(rewritten_query, cache.vector, cache.scope, { ...result, passages });
+  return { ...result, route: routeInfo };
 }
 
 /**
  * getHistory(sessionId)
  */
 export async function getHistory(sessionId) {
-  const raw = await safeLRange(`chat:${sessionId}`, 0, -1);
-  return raw.map((r) => {
-    try { return JSON.parse(r); } catch { return { raw: r }; }
-  });
+  return getHistoryStore().list(sessionId, 0, -1);
+}
+
+/**
+ * getMessage(sessionId, messageId) -> stored entry or null
+ */
+export async function getMessage(sessionId, messageId) {
+  const entries = await getHistoryStore().list(sessionId, 0, -1);
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i]?.message_id === messageId) return entries[i];
+  }
+  return null;
+}
+
+/**
+ * countMessages(sessionId) -> number of stored turns
+ */
+export async function countMessages(sessionId) {
+  return getHistoryStore().count(sessionId);
 }
 
 /**
  * clearHistory(sessionId)
  */
 export async function clearHistory(sessionId) {
-  await safeDel(`chat:${sessionId}`);
+  await getHistoryStore().clear(sessionId);
 }
@@ -0,0 +1,130 @@
+// services/rerankService.js
+/**
+ * Second-stage reranking of retrieved hits.
+ *
+ * getContextWithHits over-fetches RERANK_CANDIDATES hits, rerankHits rescores them
+ * against the query and only the best top_k are kept. The original retrieval score
+ * stays in `score`; the reranker's score is added as `rerank_score` and the
+ * pre-rerank position as `retrieval_rank`.
+ *
+ * Providers (RERANK_PROVIDER):
+ *   - local   (default) lexical scoring: query-term coverage with tf saturation,
+ *             phrase (bigram) matches and title matches, lightly blended with the retrieval rank
+ *   - cohere  Cohere Rerank via cohere-ai (COHERE_API_KEY, COHERE_RERANK_MODEL);
+ *             falls back to local when the call fails
+ *
+ * Environment variables:
+ *   RERANK_ENABLED      - optional (default false), per request: `rerank`
+ *   RERANK_PROVIDER     - optional: local | cohere
+ *   RERANK_CANDIDATES   - optional (default 20)
+ *   COHERE_RERANK_MODEL - optional (default rerank-english-v3.0)
+ */
+
+import { tokenize } from "./keywordIndex.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("rerank");
+
+export const RERANK_ENABLED = /^(1|true|yes|on)$/i.test(process.env.RERANK_ENABLED || "");
+export const RERANK_CANDIDATES = Number(process.env.RERANK_CANDIDATES || 20);
+export const RERANK_PROVIDERS = ["local", "cohere"];
+const RERANK_PROVIDER = (process.env.RERANK_PROVIDER || "local").toLowerCase();
+const COHERE_API_KEY = process.env.COHERE_API_KEY || process.env.CO_API_KEY;
+const COHERE_RERANK_MODEL = process.env.COHERE_RERANK_MODEL || "rerank-english-v3.0";
+
+function hitText(h) {
+  const p = h.payload || {};
+  return String(p.text || p.excerpt || p.content || "");
+}
+
+function hitTitle(h) {
+  const p = h.payload || {};
+  return String(p.title || p.headline || "");
+}
+
+/* -------------------------
+   Local lexical scorer -> scores in [0, 1]
+   ------------------------- */
+function bigrams(tokens) {
+  return tokens.slice(1).map((t, i) => `${tokens[i]} ${t}`);
+}
+
+export function lexicalScores(query, hits) {
+  const qTokens = [...new Set(tokenize(query))];
+  if (!qTokens.length) return hits.map(() => 0);
+  const qBigrams = new Set(bigrams(tokenize(query)));
+
+  return hits.map((h, rank) => {
+    const tokens = tokenize(hitText(h));
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    const titleTokens = new Set(tokenize(hitTitle(h)));
+
+    // per query term: 0.7 for one occurrence, saturating towards 1 with repeats; averaged over terms
+    const coverage = qTokens.reduce((s, t) => s + (tf.has(t) ? 0.7 + 0.3 * (1 - 1 / tf.get(t)) : 0), 0) / qTokens.length;
+    const docBigrams = new Set(bigrams(tokens));
+    const phrase = qBigrams.size ? [...qBigrams].filter((b) => docBigrams.has(b)).length / qBigrams.size : 0;
+    const title = qTokens.filter((t) => titleTokens.has(t)).length / qTokens.length;
+    const prior = hits.length > 1 ? 1 - rank / (hits.length - 1) : 1;
+
+    const score = 0.55 * coverage + 0.2 * phrase + 0.15 * title + 0.1 * prior;
+    return Math.round(score * 10000) / 10000;
+  });
+}
+
+/* -------------------------
+   Cohere Rerank
+   ------------------------- */
+let cohere = null;
+
+async function cohereScores(query, hits) {
+  if (!COHERE_API_KEY) throw new Error("COHERE_API_KEY not configured");
+  if (!cohere) {
+    const { CohereClientV2 } = await import("cohere-ai");
+    cohere = new CohereClientV2({ token: COHERE_API_KEY });
+  }
+  const res = await cohere.rerank({
+    model: COHERE_RERANK_MODEL,
+    query,
+    documents: hits.map((h) => [hitTitle(h), hitText(h)].filter(Boolean).join("\n")),
+    topN: hits.length,
+  });
+  const scores = hits.map(() => 0);
+  for (const r of res.results ?? []) scores[r.index] = r.relevanceScore;
+  return scores;
+}
+
+/**
+ * rerankHits(query, hits, { topN, provider })
+ * Returns { hits, provider } — hits sorted by rerank_score, cut to topN.
+ */
+export async function rerankHits(query, hits = [], options = {}) {
+  const topN = Math.max(1, Number(options.topN) || hits.length || 1);
+  let provider = (options.provider || RERANK_PROVIDER).toLowerCase();
+  if (!hits.length) return { hits: [], provider };
+
+  let scores;
+  if (provider === "cohere") {
+    try {
+      scores = await cohereScores(query, hits);
+    } catch (err) {
+      log.warn("cohere rerank failed, using local scorer", err);
+      provider = "local";
+    }
+  }
+  if (!scores) {
+    provider = "local";
+    scores = lexicalScores(query, hits);
+  }
+
+  const reranked = hits
+    .map((h, i) => ({ ...h, rerank_score: scores[i], retrieval_rank: i + 1 }))
+    .sort((a, b) => b.rerank_score - a.rerank_score)
+    .slice(0, topN);
+
+  return { hits: reranked, provider };
+}
+
+export default {
+  rerankHits,
+};
@@ -0,0 +1,143 @@
+// services/searchFilters.js
+/**
+ * Metadata filters for retrieval: sources, published date range, category.
+ *
+ * Request shape (query string or JSON body):
+ *   sources   - "reuters.com" | ["reuters.com", "bbc"] | "reuters.com,bbc.com"
+ *   from, to  - ISO date/datetime, or a relative duration back from now: "48h", "7d", "30m", "2w"
+ *   category  - "sports" | ["sports", "business"]
+ *
+ * normalizeFilters() validates that into { sources, from, to, categories } (ISO strings),
+ * toQdrantFilter() turns it into a Qdrant `filter` clause and matchesFilters()
+ * applies the same rules in-process (keyword hits, which bypass Qdrant search).
+ * parseFlag() reads the boolean switches sent next to the filters (rerank, cache) the same
+ * way on every route.
+ *
+ * Payload fields used (written by ingestion): source (domain), published (ISO), category (array).
+ * Only those fields are matched, in both places: a legacy point without `source` (only a url)
+ * never matches a sources filter, whatever the retrieval mode.
+ */
+
+const DURATION_UNITS = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+
+function toList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((v) => String(v).trim()).filter(Boolean);
+}
+
+/* true/false from JSON booleans or query-string flags ("1", "true", "0", "false"); null when invalid */
+export function parseFlag(value) {
+  if (typeof value === "boolean") return value;
+  if (/^(1|true|yes|on)$/i.test(String(value))) return true;
+  if (/^(0|false|no|off)$/i.test(String(value))) return false;
+  return null;
+}
+
+/* "https://www.Reuters.com/world" -> "reuters.com" */
+export function normalizeSource(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, "")
+    .replace(/^www\./, "")
+    .split(/[/?#]/)[0];
+}
+
+/* "reuters" also matches "reuters.com", so product filters can use brand names */
+function sourceVariants(sources) {
+  const out = new Set();
+  for (const s of sources) {
+    const n = normalizeSource(s);
+    if (!n) continue;
+    out.add(n);
+    if (!n.includes(".")) out.add(`${n}.com`);
+  }
+  return [...out];
+}
+
+/* ISO date or relative duration ("48h") -> ISO string; null when invalid */
+export function parseDateBound(value, now = Date.now()) {
+  const s = String(value).trim();
+  const rel = s.match(/^(\d+)\s*([mhdw])$/i);
+  if (rel) return new Date(now - Number(rel[1]) * DURATION_UNITS[rel[2].toLowerCase()]).toISOString();
+  if (!/^\d{4}-\d{2}-\d{2}/.test(s)) return null;
+  const d = new Date(s);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+/**
+ * normalizeFilters(raw) -> { filters } | { error }
+ * `filters` is null when nothing was requested.
+ */
+export function normalizeFilters(raw = {}) {
+  const sources = sourceVariants(toList(raw.sources ?? raw.source));
+  const categories = toList(raw.category ?? raw.categories).map((c) => c.toLowerCase());
+
+  let from = null;
+  let to = null;
+  if (raw.from !== undefined && raw.from !== "") {
+    from = parseDateBound(raw.from);
+    if (!from) return { error: "from must be an ISO date or a duration like 48h / 7d" };
+  }
+  if (raw.to !== undefined && raw.to !== "") {
+    to = parseDateBound(raw.to);
+    if (!to) return { error: "to must be an ISO date or a duration like 48h / 7d" };
+  }
+  if (from && to && from > to) return { error: "from must be before to" };
+
+  if (!sources.length && !categories.length && !from && !to) return { filters: null };
+  return { filters: { sources, categories, from, to } };
+}
+
+/* normalized filters -> Qdrant filter clause (null when there is nothing to filter) */
+export function toQdrantFilter(filters) {
+  if (!filters) return null;
+  const must = [];
+  if (filters.sources?.length) must.push({ key: "source", match: { any: filters.sources } });
+  if (filters.categories?.length) must.push({ key: "category", match: { any: filters.categories } });
+  if (filters.from || filters.to) {
+    const range = {};
+    if (filters.from) range.gte = filters.from;
+    if (filters.to) range.lte = filters.to;
+    must.push({ key: "published", range });
+  }
+  return must.length ? { must } : null;
+}
+
+/* same rules as toQdrantFilter, evaluated against one payload (no fallback to other fields) */
+export function matchesFilters(payload = {}, filters) {
+  if (!filters) return true;
+  if (filters.sources?.length) {
+    const source = normalizeSource(payload.source || "");
+    if (!filters.sources.includes(source)) return false;
+  }
+  if (filters.categories?.length) {
+    const cats = toList(payload.category).map((c) => c.toLowerCase());
+    if (!cats.some((c) => filters.categories.includes(c))) return false;
+  }
+  if (filters.from || filters.to) {
+    const published = payload.published ? new Date(payload.published) : null;
+    if (!published || Number.isNaN(published.getTime())) return false;
+    const iso = published.toISOString();
+    if (filters.from && iso < filters.from) return false;
+    if (filters.to && iso > filters.to) return false;
+  }
+  return true;
+}
+
+/* payload indexes the filters rely on (datetime range needs a datetime index in Qdrant) */
+export const PAYLOAD_INDEXES = [
+  { field_name: "source", field_schema: "keyword" },
+  { field_name: "category", field_schema: "keyword" },
+  { field_name: "published", field_schema: "datetime" },
+  { field_name: "article_id", field_schema: "keyword" },
+  { field_name: "chunk_index", field_schema: "integer" },
+];
+
+export default {
+  parseFlag,
+  normalizeFilters,
+  toQdrantFilter,
+  matchesFilters,
+};
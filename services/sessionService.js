@@ -0,0 +1,253 @@
+// services/sessionService.js
+/**
+ * Session records: who created a session, when it was last used, its title and
+ * the client metadata sent at creation. Chat history itself lives in the history
+ * store (services/historyStore.js).
+ *
+ * Storage is chosen once, like the history store: Redis whenever REDIS_URL is set, process
+ * memory otherwise. A Redis that is down is not swapped for memory (sessions created there
+ * would vanish once it is back): reads and writes throw SessionStoreError and the routes
+ * answer 503.
+ *
+ * Redis keys:
+ *   session:<sessionId>     - hash { id, owner, title, created_at, last_activity, metadata (JSON) }
+ *   sessions:<principal>    - sorted set of the owner's sessionIds, scored by last activity
+ * Anonymous sessions expire 30 days after their last activity (like the chat history), in
+ * memory as well; owned sessions are kept.
+ *
+ * Access rules (canAccessSession):
+ *   - unknown sessions: nobody (chat routes answer 404)
+ *   - owned sessions: only the owner
+ *   - anonymous sessions: anyone holding the id, unless AUTH_REQUIRED is set
+ */
+
+import crypto from "crypto";
+import { redis, isRedisReady } from "./redisClient.js";
+import { AUTH_REQUIRED } from "./authService.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("session");
+
+export const ANONYMOUS = "anonymous";
+const ANONYMOUS_TTL_SECONDS = 60 * 60 * 24 * 30;
+const TITLE_MAX_CHARS = 60;
+export const MAX_TITLE_LENGTH = 120;
+const MAX_METADATA_BYTES = 2048;
+
+// decided at import like historyStore's default: the client exists exactly when REDIS_URL is set
+const USE_REDIS = Boolean(redis);
+
+const memSessions = new Map(); // sessionId -> { record, expiresAt } (expiresAt null for owned sessions)
+const SWEEP_INTERVAL_MS = 60 * 1000;
+let lastSweep = 0;
+
+export class SessionStoreError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = "SessionStoreError";
+    this.cause = cause;
+  }
+}
+
+/* Redis call that fails fast (ioredis would queue it while disconnected) and throws SessionStoreError */
+async function withRedis(action, fn) {
+  if (!isRedisReady()) throw new SessionStoreError("Session store unavailable");
+  try {
+    return await fn();
+  } catch (e) {
+    log.warn(`${action} failed`, e);
+    throw new SessionStoreError("Session store unavailable", e);
+  }
+}
+
+const memExpiry = (owner) => (owner === ANONYMOUS ? Date.now() + ANONYMOUS_TTL_SECONDS * 1000 : null);
+
+/* live memory entry or null; expired ones are dropped on the way */
+function memGet(sessionId) {
+  const entry = memSessions.get(sessionId);
+  if (!entry) return null;
+  if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    memSessions.delete(sessionId);
+    return null;
+  }
+  return entry;
+}
+
+/* drops expired anonymous sessions at most once a minute so abandoned ones do not pile up */
+function memSweep() {
+  const now = Date.now();
+  if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+  lastSweep = now;
+  for (const [id, entry] of memSessions) {
+    if (entry.expiresAt !== null && entry.expiresAt <= now) memSessions.delete(id);
+  }
+}
+
+/* hash fields are strings; metadata is stored as JSON */
+function toRecord(h) {
+  if (!h || !h.id) return null;
+  let metadata = {};
+  try {
+    metadata = h.metadata ? JSON.parse(h.metadata) : {};
+  } catch {
+    // keep {} for a corrupt field
+  }
+  return {
+    id: h.id,
+    owner: h.owner || ANONYMOUS,
+    title: h.title || "",
+    created_at: h.created_at,
+    last_activity: h.last_activity || h.created_at,
+    metadata,
+  };
+}
+
+/* "What happened in the cricket world cup final yesterday?" -> "What happened in the cricket world cup final…" */
+export function titleFromQuery(query) {
+  const q = String(query || "").replace(/\s+/g, " ").trim();
+  if (q.length <= TITLE_MAX_CHARS) return q;
+  const cut = q.slice(0, TITLE_MAX_CHARS);
+  const space = cut.lastIndexOf(" ");
+  return `${(space > 20 ? cut.slice(0, space) : cut).replace(/[\s,.;:!?-]+$/, "")}…`;
+}
+
+/**
+ * validateMetadata(value) -> { metadata } | { error }
+ * Flat object of string/number/boolean values, at most MAX_METADATA_BYTES as JSON.
+ */
+export function validateMetadata(value) {
+  if (value === undefined || value === null) return { metadata: {} };
+  if (typeof value !== "object" || Array.isArray(value)) return { error: "metadata must be an object" };
+  for (const [k, v] of Object.entries(value)) {
+    if (!["string", "number", "boolean"].includes(typeof v)) return { error: `metadata.${k} must be a string, number or boolean` };
+  }
+  if (Buffer.byteLength(JSON.stringify(value)) > MAX_METADATA_BYTES) {
+    return { error: `metadata must be at most ${MAX_METADATA_BYTES} bytes` };
+  }
+  return { metadata: value };
+}
+
+/**
+ * createSession(principal, metadata) -> record
+ * `principal` is null for anonymous callers; `metadata` is already validated.
+ * Throws SessionStoreError when the record could not be written.
+ */
+export async function createSession(principal = null, metadata = {}) {
+  const now = new Date().toISOString();
+  const record = {
+    id: crypto.randomUUID(),
+    owner: principal || ANONYMOUS,
+    title: "",
+    created_at: now,
+    last_activity: now,
+    metadata,
+  };
+
+  if (USE_REDIS) {
+    await withRedis("create", async () => {
+      const key = `session:${record.id}`;
+      const tx = redis.multi().hset(key, { ...record, metadata: JSON.stringify(metadata) });
+      if (principal) tx.zadd(`sessions:${principal}`, Date.parse(now), record.id);
+      else tx.expire(key, ANONYMOUS_TTL_SECONDS);
+      const results = await tx.exec();
+      const failed = results?.find(([err]) => err);
+      if (failed) throw failed[0];
+    });
+  } else {
+    memSweep();
+    memSessions.set(record.id, { record, expiresAt: memExpiry(record.owner) });
+  }
+  return { ...record };
+}
+
+/* record or null when the session is unknown; throws SessionStoreError when the store cannot be read */
+export async function getSession(sessionId) {
+  if (USE_REDIS) return withRedis("lookup", async () => toRecord(await redis.hgetall(`session:${sessionId}`)));
+  const entry = memGet(sessionId);
+  return entry ? { ...entry.record } : null;
+}
+
+/**
+ * canAccessSession(record, auth)
+ * `auth` is req.auth (null for anonymous callers).
+ */
+export function canAccessSession(record, auth) {
+  if (!record) return false;
+  if (record.owner !== ANONYMOUS) return Boolean(auth && auth.principal === record.owner);
+  return !AUTH_REQUIRED;
+}
+
+/**
+ * touchSession(sessionId, { query })
+ * Called after every chat turn: bumps last_activity (and the owner's listing order)
+ * and titles untitled sessions after their first question.
+ */
+export async function touchSession(sessionId, { query } = {}) {
+  const now = new Date().toISOString();
+  if (USE_REDIS) {
+    // the answer is already saved; a missed bump is logged rather than failing the turn
+    if (!isRedisReady()) {
+      log.warn("touch skipped, redis not ready");
+      return;
+    }
+    try {
+      const key = `session:${sessionId}`;
+      const [owner, title] = await redis.hmget(key, "owner", "title");
+      if (!owner) return;
+      const tx = redis.multi().hset(key, "last_activity", now);
+      if (!title && query) tx.hset(key, "title", titleFromQuery(query));
+      if (owner === ANONYMOUS) tx.expire(key, ANONYMOUS_TTL_SECONDS);
+      else tx.zadd(`sessions:${owner}`, Date.parse(now), sessionId);
+      await tx.exec();
+    } catch (e) {
+      log.warn("touch failed", e);
+    }
+    return;
+  }
+  const entry = memGet(sessionId);
+  if (!entry) return;
+  entry.record.last_activity = now;
+  if (!entry.record.title && query) entry.record.title = titleFromQuery(query);
+  entry.expiresAt = memExpiry(entry.record.owner);
+}
+
+/* renameSession(sessionId, title) -> updated record (or null when unknown); throws SessionStoreError */
+export async function renameSession(sessionId, title) {
+  if (USE_REDIS) {
+    await withRedis("rename", () => redis.hset(`session:${sessionId}`, "title", title));
+  } else {
+    const entry = memGet(sessionId);
+    if (entry) entry.record.title = title;
+  }
+  return getSession(sessionId);
+}
+
+/**
+ * listSessions(principal, { offset, limit }) -> { sessions, total }
+ * The owner's sessions, most recently active first (owned sessions do not expire, so the
+ * memory listing needs no expiry check).
+ */
+export async function listSessions(principal, { offset = 0, limit = 20 } = {}) {
+  if (!principal) return { sessions: [], total: 0 };
+  if (USE_REDIS) {
+    const key = `sessions:${principal}`;
+    const [total, ids] = await withRedis("list", () => Promise.all([redis.zcard(key), redis.zrevrange(key, offset, offset + limit - 1)]));
+    const records = await Promise.all(ids.map((id) => getSession(id)));
+    return { sessions: records.filter(Boolean), total };
+  }
+  const own = [...memSessions.values()]
+    .map((entry) => entry.record)
+    .filter((r) => r.owner === principal)
+    .sort((a, b) => b.last_activity.localeCompare(a.last_activity));
+  return { sessions: own.slice(offset, offset + limit).map((r) => ({ ...r })), total: own.length };
+}
+
+export default {
+  SessionStoreError,
+  createSession,
+  getSession,
+  canAccessSession,
+  touchSession,
+  renameSession,
+  listSessions,
+};
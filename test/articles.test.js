@@ -0,0 +1,75 @@
+// test/articles.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { fakePoint } from "./helpers/fakes.js";
+import { request } from "./helpers/http.js";
+import { startBackend } from "./helpers/backend.js";
+
+const RATES = { article_id: "a1", title: "Central bank raises interest rates", url: "https://reuters.com/rates", source: "reuters.com", published: "2026-10-01T08:00:00Z", category: ["business"], chunk_count: 2 };
+const POINTS = [
+  // stored out of chunk order on purpose
+  fakePoint(2, { ...RATES, chunk_index: 1, text: "quarter point on Tuesday. The governor said inflation remains too high." }),
+  fakePoint(1, { ...RATES, chunk_index: 0, text: "The central bank raised interest rates by a quarter point on Tuesday." }),
+  fakePoint(3, { article_id: "a2", chunk_index: 0, chunk_count: 1, title: "Banks pass on higher interest rates", text: "Banks raised mortgage rates after the central bank decision on interest rates.", url: "https://bbc.com/mortgages", source: "bbc.com", published: "2026-10-02T09:00:00Z", category: ["business"] }),
+  fakePoint(4, { article_id: "a3", chunk_index: 0, chunk_count: 1, title: "Local team wins the cup", text: "The local football team won the cup final after extra time.", url: "https://bbc.com/cup", source: "bbc.com", published: "2026-10-03T20:00:00Z", category: ["sports"] }),
+];
+
+let backend;
+
+before(async () => {
+  backend = await startBackend({ points: POINTS });
+});
+
+after(async () => {
+  await backend.close();
+});
+
+test("GET /articles lists one card per article and pages with a cursor", async () => {
+  const first = await request(backend.url, "GET", "/articles?limit=2");
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.articles.map((a) => a.id), ["a1", "a2"]);
+  assert.equal(first.body.articles[0].excerpt, "The central bank raised interest rates by a quarter point on Tuesday.");
+  assert.equal(first.body.articles[0].chunk_count, 2);
+  assert.ok(first.body.next_cursor);
+
+  const second = await request(backend.url, "GET", `/articles?limit=2&cursor=${first.body.next_cursor}`);
+  assert.deepEqual(second.body.articles.map((a) => a.id), ["a3"]);
+  assert.equal(second.body.next_cursor, null);
+});
+
+test("GET /articles filters by source and date", async () => {
+  const bbc = await request(backend.url, "GET", "/articles?sources=bbc.com");
+  assert.deepEqual(bbc.body.articles.map((a) => a.id), ["a2", "a3"]);
+
+  const recent = await request(backend.url, "GET", "/articles?from=2026-10-02&category=business");
+  assert.deepEqual(recent.body.articles.map((a) => a.id), ["a2"]);
+
+  const bad = await request(backend.url, "GET", "/articles?from=yesterday");
+  assert.equal(bad.status, 400);
+  assert.match(bad.body.error, /from must be/);
+});
+
+test("GET /articles/:id reassembles the article from its chunks", async () => {
+  const res = await request(backend.url, "GET", "/articles/a1");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.title, "Central bank raises interest rates");
+  assert.deepEqual(res.body.chunks.map((c) => c.chunk_index), [0, 1]);
+  assert.equal(res.body.text, "The central bank raised interest rates by a quarter point on Tuesday. The governor said inflation remains too high.");
+
+  const missing = await request(backend.url, "GET", "/articles/nope");
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error, "Article not found");
+});
+
+test("GET /articles/:id/related searches with the article's vector and leaves it out", async () => {
+  const res = await request(backend.url, "GET", "/articles/a1/related?limit=1");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.id, "a1");
+  assert.deepEqual(res.body.related.map((a) => a.id), ["a2"]);
+  assert.equal(typeof res.body.related[0].score, "number");
+
+  const search = backend.qdrant.requests.find((r) => r.path.endsWith("/points/search"));
+  assert.deepEqual(search.body.filter.must_not, [{ key: "article_id", match: { value: "a1" } }]);
+
+  assert.equal((await request(backend.url, "GET", "/articles/nope/related")).status, 404);
+});
@@ -0,0 +1,41 @@
+// test/auth-required.test.js
+// AUTH_REQUIRED=true: every corpus and chat route turns anonymous callers away.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { fakePoint } from "./helpers/fakes.js";
+import { request } from "./helpers/http.js";
+import { startBackend, TEST_API_KEY } from "./helpers/backend.js";
+
+const POINTS = [
+  fakePoint(1, { article_id: "a1", chunk_index: 0, chunk_count: 1, title: "Central bank raises interest rates", text: "The central bank raised interest rates.", url: "https://reuters.com/rates", source: "reuters.com", published: "2026-10-01T08:00:00Z" }),
+];
+
+let backend;
+
+before(async () => {
+  backend = await startBackend({ points: POINTS, env: { AUTH_REQUIRED: "true" } });
+});
+
+after(async () => {
+  await backend.close();
+});
+
+test("anonymous calls to the corpus routes are 401, API-key clients get through", async () => {
+  for (const [method, path, body] of [
+    ["GET", "/featured"],
+    ["GET", "/articles"],
+    ["GET", "/articles/a1"],
+    ["GET", "/articles/a1/related"],
+    ["POST", "/digest", { topic: "rates" }],
+    ["POST", "/session", {}],
+  ]) {
+    const anonymous = await request(backend.url, method, path, { body });
+    assert.equal(anonymous.status, 401, `${method} ${path}`);
+    assert.equal(anonymous.body.error, "Authentication required");
+  }
+
+  const asClient = { "x-api-key": TEST_API_KEY };
+  assert.equal((await request(backend.url, "GET", "/articles", { headers: asClient })).status, 200);
+  assert.equal((await request(backend.url, "GET", "/articles/a1/related", { headers: asClient })).status, 200);
+  assert.equal((await request(backend.url, "GET", "/featured", { headers: asClient })).status, 200);
+});
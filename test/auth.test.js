@@ -0,0 +1,99 @@
+// test/auth.test.js
+// Accounts, tokens, API keys and session ownership; retriever, LLM and history store are injected.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { request, listen } from "./helpers/http.js";
+
+const API_KEY = "auth-test-key";
+let server;
+let signToken;
+
+before(async () => {
+  for (const name of ["QDRANT_HOST", "GEMINI_API_KEY", "JINA_API_KEY", "REDIS_URL", "AUTH_REQUIRED"]) delete process.env[name];
+  Object.assign(process.env, { LOG_LEVEL: "error", RATE_LIMIT_ENABLED: "false", SEMANTIC_CACHE_ENABLED: "false", API_KEYS: `partner:${API_KEY}` });
+
+  const { createApp } = await import("../app.js");
+  const { createMockProvider } = await import("../services/llmService.js");
+  const { createMemoryHistoryStore } = await import("../services/historyStore.js");
+  ({ signToken } = await import("../services/authService.js"));
+  const retriever = { async getContextWithHits() { throw new Error("not reached"); } };
+  const app = createApp({ retriever, llm: createMockProvider({ responses: ["unused"] }), historyStore: createMemoryHistoryStore() });
+  server = await listen(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+const bearer = (token) => ({ authorization: `Bearer ${token}` });
+
+async function register(email, password = "correct horse") {
+  return request(server.url, "POST", "/auth/register", { body: { email, password } });
+}
+
+test("POST /auth/register validates input and refuses a registered email", async () => {
+  assert.equal((await register("not-an-email")).status, 400);
+  assert.equal((await register("short@news.example", "1234567")).status, 400);
+
+  const res = await register("  Reader@News.example ");
+  assert.equal(res.status, 201);
+  assert.equal(res.body.user.email, "reader@news.example");
+  assert.ok(res.body.token);
+  assert.equal(res.body.user.password_hash, undefined);
+
+  const again = await register("reader@news.example", "another password");
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error, "Email is already registered");
+});
+
+test("POST /auth/login returns a token only for the right password", async () => {
+  await register("login@news.example");
+
+  const ok = await request(server.url, "POST", "/auth/login", { body: { email: "LOGIN@news.example", password: "correct horse" } });
+  assert.equal(ok.status, 200);
+  const me = await request(server.url, "GET", "/auth/me", { headers: bearer(ok.body.token) });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.auth.type, "user");
+  assert.equal(me.body.auth.userId, ok.body.user.id);
+
+  const wrong = await request(server.url, "POST", "/auth/login", { body: { email: "login@news.example", password: "wrong horse" } });
+  assert.equal(wrong.status, 401);
+  const unknown = await request(server.url, "POST", "/auth/login", { body: { email: "nobody@news.example", password: "correct horse" } });
+  assert.equal(unknown.status, 401);
+  assert.equal(unknown.body.error, wrong.body.error, "unknown emails and wrong passwords look the same");
+});
+
+test("forged, expired and malformed tokens and unknown API keys are rejected", async () => {
+  const { body } = await register("tokens@news.example");
+  const [head, claims, sig] = body.token.split(".");
+  const forgedClaims = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(claims, "base64url")), sub: "someone-else" })).toString("base64url");
+
+  for (const token of [`${head}.${forgedClaims}.${sig}`, signToken({ sub: body.user.id }, -10), "not.a.token", "garbage"]) {
+    const res = await request(server.url, "GET", "/auth/me", { headers: bearer(token) });
+    assert.equal(res.status, 401, token);
+  }
+  assert.equal((await request(server.url, "GET", "/auth/me", { headers: { "x-api-key": "guess" } })).status, 401);
+  assert.equal((await request(server.url, "GET", "/auth/me")).status, 401);
+
+  const client = await request(server.url, "GET", "/auth/me", { headers: { "x-api-key": API_KEY } });
+  assert.deepEqual(client.body.auth, { type: "api_key", principal: "client:partner", client: "partner" });
+});
+
+test("owned sessions are only visible to their owner; anonymous ones to anyone with the id", async () => {
+  const alice = (await register("alice@news.example")).body.token;
+  const bob = (await register("bob@news.example")).body.token;
+
+  const { body: owned } = await request(server.url, "POST", "/session", { body: {}, headers: bearer(alice) });
+  assert.equal((await request(server.url, "GET", `/session/${owned.sessionId}`, { headers: bearer(alice) })).status, 200);
+  assert.equal((await request(server.url, "GET", `/chat/${owned.sessionId}`, { headers: bearer(alice) })).status, 200);
+  for (const headers of [bearer(bob), { "x-api-key": API_KEY }, {}]) {
+    assert.equal((await request(server.url, "GET", `/session/${owned.sessionId}`, { headers })).status, 404);
+    assert.equal((await request(server.url, "POST", `/chat/${owned.sessionId}`, { body: { query: "rates" }, headers })).status, 404);
+  }
+
+  const { body: anonymous } = await request(server.url, "POST", "/session", { body: {} });
+  assert.equal((await request(server.url, "GET", `/session/${anonymous.sessionId}`, { headers: bearer(bob) })).status, 200);
+
+  const listed = await request(server.url, "GET", "/session", { headers: bearer(alice) });
+  assert.deepEqual(listed.body.sessions.map((s) => s.sessionId), [owned.sessionId]);
+});
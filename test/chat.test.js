@@ -0,0 +1,143 @@
+// test/chat.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { once } from "events";
+import { fakePoint } from "./helpers/fakes.js";
+import { request, parseSSE } from "./helpers/http.js";
+import { startBackend } from "./helpers/backend.js";
+
+const POINTS = [
+  fakePoint(1, { article_id: "a1", chunk_index: 0, title: "Central bank raises interest rates", text: "The central bank raised interest rates by a quarter point on Tuesday.", url: "https://news.example/rates" }),
+  fakePoint(3, { article_id: "a1", chunk_index: 1, title: "Central bank raises interest rates", text: "The governor said the decision was unanimous.", url: "https://news.example/rates" }),
+  fakePoint(2, { article_id: "a2", chunk_index: 0, title: "Local team wins the cup", text: "The local football team won the cup final after extra time.", url: "https://news.example/cup" }),
+];
+
+let backend;
+
+before(async () => {
+  // one chunk per article, so the second chunk of a1 can only come back as a neighbour
+  backend = await startBackend({ points: POINTS, reply: () => "Rates went up by a quarter point [1].", env: { MAX_CHUNKS_PER_ARTICLE: "1" } });
+});
+
+after(async () => {
+  await backend.close();
+});
+
+async function newSession() {
+  const res = await request(backend.url, "POST", "/session", { body: {} });
+  assert.equal(res.status, 200);
+  return res.body.sessionId;
+}
+
+test("POST /chat/:sessionId answers from retrieved passages with citations", async () => {
+  const sessionId = await newSession();
+  const res = await request(backend.url, "POST", `/chat/${sessionId}`, { body: { query: "what happened to interest rates?" } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.answer, "Rates went up by a quarter point [1].");
+  assert.equal(res.body.hits[0].payload.url, "https://news.example/rates");
+  assert.equal(res.body.citations.length, 1);
+  assert.equal(res.body.citations[0].url, "https://news.example/rates");
+  assert.deepEqual(res.body.invalid_citations, []);
+  assert.ok(res.body.message_id);
+  assert.ok(res.headers.get("x-request-id"));
+
+  // the question was embedded by the Jina stand-in and the prompt carried the retrieved passage
+  assert.ok(backend.jina.requests.some((r) => r.body.input.includes("what happened to interest rates?")));
+  const prompt = JSON.stringify(backend.gemini.requests.at(-1).body);
+  assert.match(prompt, /raised interest rates by a quarter point/);
+});
+
+test("POST /chat/:sessionId reports the chunks in the context, neighbours included", async () => {
+  const sessionId = await newSession();
+  const res = await request(backend.url, "POST", `/chat/${sessionId}`, { body: { query: "interest rates quarter point" } });
+
+  const report = res.body.context_report;
+  assert.ok(report.budget_tokens > 0 && report.used_tokens <= report.budget_tokens);
+  assert.equal(report.model, "gemini-2.5-flash-lite");
+  assert.deepEqual(report.included.map((c) => [c.id, c.role, c.marker]), [[1, "hit", 1], [2, "hit", 2], [3, "neighbour", 1]]);
+  assert.deepEqual(report.dropped, []);
+  assert.match(res.body.context, /quarter point on Tuesday\. The governor said the decision was unanimous\./);
+
+  // the neighbour was fetched with a scroll filtered on the article and chunk range
+  const scroll = backend.qdrant.requests.find((r) => r.path.endsWith("/points/scroll"));
+  assert.deepEqual(scroll.body.filter.should[0].must[0], { key: "article_id", match: { value: "a1" } });
+});
+
+test("POST /chat/:sessionId stores the exchange in the session history", async () => {
+  const sessionId = await newSession();
+  await request(backend.url, "POST", `/chat/${sessionId}`, { body: { query: "interest rates" } });
+
+  const history = await request(backend.url, "GET", `/chat/${sessionId}`);
+  assert.equal(history.status, 200);
+  assert.equal(history.body.history.length, 1);
+  assert.equal(history.body.history[0].query, "interest rates");
+
+  const cleared = await request(backend.url, "DELETE", `/chat/${sessionId}`);
+  assert.deepEqual(cleared.body, { sessionId, cleared: true });
+  assert.equal((await request(backend.url, "GET", `/chat/${sessionId}`)).body.history.length, 0);
+});
+
+test("GET /chat/:sessionId/stream streams hits, deltas and done over SSE", async () => {
+  const sessionId = await newSession();
+  const res = await request(backend.url, "GET", `/chat/${sessionId}/stream?query=${encodeURIComponent("interest rates")}`);
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /text\/event-stream/);
+  const events = parseSSE(res.body);
+  assert.equal(events[0].event, "hits");
+  assert.equal(events[0].data.hits[0].payload.url, "https://news.example/rates");
+
+  const deltas = events.filter((e) => e.event === "delta").map((e) => e.data.text);
+  assert.ok(deltas.length > 1);
+  assert.equal(deltas.join(""), "Rates went up by a quarter point [1].");
+
+  const done = events.at(-1);
+  assert.equal(done.event, "done");
+  assert.equal(done.data.answer, "Rates went up by a quarter point [1].");
+  assert.ok(done.data.message_id);
+});
+
+test("aborting a Gemini stream closes the upstream request", async () => {
+  // one delta, then the model "keeps thinking" until the client goes away
+  let closed;
+  const server = http.createServer((req, res) => {
+    closed = once(res, "close");
+    res.writeHead(200, { "content-type": "text/event-stream" });
+    res.write(`data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text: "Rates" }] } }] })}\r\n\r\n`);
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  // the provider reads its settings when created; the backend's fake Gemini stays configured afterwards
+  const saved = { GEMINI_API_KEY: process.env.GEMINI_API_KEY, GEMINI_BASE_URL: process.env.GEMINI_BASE_URL };
+  Object.assign(process.env, { GEMINI_API_KEY: "test-key", GEMINI_BASE_URL: `http://127.0.0.1:${server.address().port}` });
+  const { createGeminiProvider } = await import("../services/llmService.js");
+  const provider = createGeminiProvider();
+  Object.assign(process.env, saved);
+
+  const controller = new AbortController();
+  const deltas = [];
+  for await (const delta of provider.stream({ prompt: "rates?" }, { signal: controller.signal })) {
+    deltas.push(delta);
+    controller.abort();
+  }
+  await closed;
+  assert.deepEqual(deltas, ["Rates"]);
+  server.close();
+});
+
+test("POST /chat/:sessionId validates the request", async () => {
+  const sessionId = await newSession();
+  const missing = await request(backend.url, "POST", `/chat/${sessionId}`, { body: {} });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error, "Query is required");
+
+  const badMode = await request(backend.url, "POST", `/chat/${sessionId}`, { body: { query: "rates", retrieval: "magic" } });
+  assert.equal(badMode.status, 400);
+  assert.match(badMode.body.error, /retrieval must be one of/);
+
+  const unknown = await request(backend.url, "POST", "/chat/no-such-session", { body: { query: "rates" } });
+  assert.equal(unknown.status, 404);
+});
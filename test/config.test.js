@@ -0,0 +1,116 @@
+// test/config.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadConfig, ConfigError } from "../services/config.js";
+
+const VALID = {
+  QDRANT_HOST: "http://localhost:6333",
+  JINA_API_KEY: "jina",
+  GEMINI_API_KEY: "gemini",
+  INGEST_TOKEN: "ingest-secret",
+};
+
+test("loadConfig accepts a minimal valid environment and applies defaults", () => {
+  const { config, errors } = loadConfig(VALID);
+  assert.deepEqual(errors, []);
+  assert.equal(config.port, 5000);
+  assert.equal(config.trustProxy, null);
+  assert.equal(config.embeddingProvider, "jina");
+  assert.equal(config.llmProvider, "gemini");
+  assert.equal(config.historyStore, "memory");
+  assert.equal(config.redis, false);
+});
+
+test("loadConfig reports every problem at once", () => {
+  const { errors } = loadConfig({
+    PORT: "http",
+    TOP_K: "0",
+    LLM_TEMPERATURE: "3",
+    RETRIEVAL_MODE: "magic",
+    RERANK_ENABLED: "maybe",
+    HISTORY_STORE: "redis",
+    INGEST_CHUNK_SIZE: "300",
+    INGEST_CHUNK_OVERLAP: "300",
+    API_KEYS: "good:key,broken",
+    HEADLINES_WINDOW: "yesterday",
+    GUARDRAIL_MODE: "strict",
+    GUARDRAIL_CATEGORIES: "secrets,profanity",
+  });
+  const expected = [
+    /^PORT must be an integer/,
+    /^TOP_K must be an integer between 1 and 100/,
+    /^LLM_TEMPERATURE must be a number between 0 and 2/,
+    /^RETRIEVAL_MODE must be one of: dense, keyword, hybrid/,
+    /^RERANK_ENABLED must be true or false/,
+    /^QDRANT_HOST is required/,
+    /^JINA_API_KEY is required/,
+    /^GEMINI_API_KEY is required/,
+    /^HISTORY_STORE=redis requires REDIS_URL/,
+    /^INGEST_CHUNK_OVERLAP \(300\) must be smaller than INGEST_CHUNK_SIZE \(300\)/,
+    /^API_KEYS entries must look like name:key \(invalid: 1\)/,
+    /^HEADLINES_WINDOW must be a duration like 48h/,
+    /^GUARDRAIL_MODE must be one of: enforce, monitor/,
+    /^GUARDRAIL_CATEGORIES entries must be among: .* \(unknown: profanity\)/,
+  ];
+  for (const pattern of expected) {
+    assert.ok(errors.some((e) => pattern.test(e)), `expected an error matching ${pattern}, got:\n${errors.join("\n")}`);
+  }
+  assert.equal(errors.length, expected.length);
+});
+
+test("loadConfig checks provider-specific credentials and URLs", () => {
+  const { errors } = loadConfig({
+    QDRANT_HOST: "localhost:6333",
+    EMBEDDING_PROVIDER: "cohere",
+    LLM_PROVIDER: "openai",
+    REDIS_URL: "http://cache:6379",
+  });
+  assert.ok(errors.some((e) => /^QDRANT_HOST must be an http\(s\) URL/.test(e)));
+  assert.ok(errors.some((e) => /^COHERE_API_KEY is required with EMBEDDING_PROVIDER=cohere/.test(e)));
+  assert.ok(errors.some((e) => /^OPENAI_API_KEY \(or a self-hosted OPENAI_BASE_URL\) is required/.test(e)));
+  assert.ok(errors.some((e) => /^REDIS_URL must be a redis:\/\/ or rediss:\/\/ URL/.test(e)));
+
+  const local = loadConfig({ QDRANT_HOST: "http://q:6333", EMBEDDING_PROVIDER: "local", LLM_PROVIDER: "openai", OPENAI_BASE_URL: "http://ollama:11434/v1", API_KEYS: "ops:key" });
+  assert.deepEqual(local.errors, []);
+});
+
+test("loadConfig skips requirements of injected dependencies", () => {
+  const { errors } = loadConfig({ INGEST_TOKEN: "t" }, { needs: { retriever: false, llm: false } });
+  assert.deepEqual(errors, []);
+});
+
+test("loadConfig warns when ingestion has no credentials instead of refusing to start", () => {
+  const { errors, warnings } = loadConfig({ ...VALID, INGEST_TOKEN: "" });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, ["neither INGEST_TOKEN nor API_KEYS is set — POST /ingest is disabled (answers 503)"]);
+  const keysOnly = loadConfig({ ...VALID, INGEST_TOKEN: "", API_KEYS: "ops:key" });
+  assert.deepEqual(keysOnly.errors, []);
+  assert.deepEqual(keysOnly.warnings, ["INGEST_TOKEN is not set — every API key can call POST /ingest"]);
+  assert.deepEqual(loadConfig({ ...VALID, API_KEYS: "ops:key" }).warnings, []);
+});
+
+test("loadConfig parses TRUST_PROXY and picks redis history when REDIS_URL is set", () => {
+  assert.equal(loadConfig({ ...VALID, TRUST_PROXY: "2" }).config.trustProxy, 2);
+  assert.equal(loadConfig({ ...VALID, TRUST_PROXY: "true" }).config.trustProxy, true);
+  assert.equal(loadConfig({ ...VALID, TRUST_PROXY: "loopback" }).config.trustProxy, "loopback");
+
+  const { config, errors } = loadConfig({ ...VALID, REDIS_URL: "rediss://user:pw@cache:6380" });
+  assert.deepEqual(errors, []);
+  assert.equal(config.historyStore, "redis");
+  assert.equal(config.redis, true);
+});
+
+test("createApp throws a ConfigError listing every missing variable", async () => {
+  for (const name of ["QDRANT_HOST", "JINA_API_KEY", "GEMINI_API_KEY", "EMBEDDING_PROVIDER", "LLM_PROVIDER", "REDIS_URL", "HISTORY_STORE", "INGEST_TOKEN", "API_KEYS"]) delete process.env[name];
+  process.env.LOG_LEVEL = "error";
+  const { createApp } = await import("../app.js");
+
+  assert.throws(() => createApp(), (err) => {
+    assert.ok(err instanceof ConfigError);
+    assert.equal(err.errors.length, 3);
+    assert.match(err.message, /QDRANT_HOST is required/);
+    assert.match(err.message, /JINA_API_KEY is required/);
+    assert.match(err.message, /GEMINI_API_KEY is required/);
+    return true;
+  });
+});
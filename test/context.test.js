@@ -0,0 +1,91 @@
+// test/context.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildContext, fitContext, contextBudget, trimToSentence, joinChunks } from "../services/contextService.js";
+import { contextWindowFor, estimateTokens } from "../services/llmService.js";
+
+function hit(id, payload) {
+  return { id, score: 1, payload };
+}
+
+function chunks(articleId, texts) {
+  return new Map(texts.map((text, i) => [i, { id: `${articleId}-${i}`, payload: { article_id: articleId, chunk_index: i, title: "Budget", text } }]));
+}
+
+test("the budget follows the answering model's context window", () => {
+  assert.equal(contextWindowFor("models/gemini-1.5-flash-002"), contextWindowFor("gemini-1.5-flash"));
+  const small = contextBudget({ provider: { defaultModel: "tiny", contextWindow: () => 3000 }, maxOutputTokens: 1000 });
+  assert.deepEqual(small, { maxTokens: 500, model: "tiny", window: 3000 }); // 3000 - 1000 output - 1500 reserve
+  const large = contextBudget({ provider: { defaultModel: "big", contextWindow: () => 1_000_000 } });
+  assert.equal(large.maxTokens, 1_000_000 - 1024 - 1500); // no cap unless CONTEXT_MAX_TOKENS is set
+  const capped = contextBudget({ provider: { defaultModel: "big", contextWindow: () => 1_000_000 }, cap: 3000 });
+  assert.equal(capped.maxTokens, 3000);
+});
+
+test("fitContext rebuilds with a smaller budget when the provider counts more tokens than estimated", async () => {
+  const text = (n) => `Story ${n}. ${"Ministers met on Monday to agree the budget. ".repeat(8).trim()}`; // ~95 tokens
+  const hits = [1, 2, 3, 4].map((n) => hit(n, { article_id: `a${n}`, title: `Story ${n}`, text: text(n) }));
+  const counts = [];
+  // a tokenizer that sees twice the estimate
+  const provider = { async countTokens(t) { counts.push(t.length); return estimateTokens(t) * 2; } };
+
+  const { report } = await fitContext(hits, { maxTokens: 400, provider });
+  assert.equal(report.token_count, "provider");
+  assert.equal(report.budget_tokens, 400);
+  assert.ok(report.used_tokens <= 400, `${report.used_tokens} tokens`);
+  assert.ok(counts.length >= 2);
+  assert.ok(report.included.length < 4);
+
+  const estimated = await fitContext(hits, { maxTokens: 400 });
+  assert.equal(estimated.report.token_count, "estimate");
+  assert.equal(estimated.report.included.length, 4);
+
+  const failing = await fitContext(hits, { maxTokens: 400, provider: { async countTokens() { throw new Error("down"); } } });
+  assert.equal(failing.report.token_count, "estimate");
+});
+
+test("passages that do not fit are cut at a sentence boundary or dropped", () => {
+  const long = "Ministers met on Monday. ".repeat(60).trim(); // ~375 tokens
+  const hits = [
+    hit(1, { article_id: "a", title: "First", text: long }),
+    hit(2, { article_id: "b", title: "Second", text: long }),
+    hit(3, { article_id: "c", title: "Empty" }),
+    hit(4, {}),
+  ];
+  const { context, passages, report } = buildContext(hits, { maxTokens: 500 });
+
+  assert.deepEqual(passages.map((p) => p.id), [1, 2, 3]);
+  const second = report.included.find((c) => c.id === 2);
+  assert.equal(second.truncated, true);
+  assert.match(context, /\[2\] Second\n(Ministers met on Monday\. )*Ministers met on Monday\.\n\n\[3\] Empty$/);
+  assert.ok(report.used_tokens <= 500);
+  assert.deepEqual(report.dropped, [{ id: 4, article_id: null, chunk_index: null, role: "hit", reason: "empty" }]);
+
+  assert.equal(trimToSentence("One. Two three four five six.", 2), "One.");
+  assert.equal(trimToSentence("no sentence end in sight", 2), "");
+});
+
+test("neighbouring chunks join the hit's passage in article order without the overlap", () => {
+  const neighbours = new Map([["a", chunks("a", [
+    "Parliament opened the debate on the budget.",
+    "debate on the budget. Ministers argued about defence spending.",
+    "Ministers argued about defence spending. The vote is on Friday.",
+  ])]]);
+  const hits = [hit("a-1", { article_id: "a", chunk_index: 1, title: "Budget", text: "debate on the budget. Ministers argued about defence spending.", url: "https://news.example/budget" })];
+  const { context, passages, report } = buildContext(hits, { maxTokens: 1000, neighbours, radius: 1 });
+
+  assert.equal(passages.length, 1);
+  assert.equal(context, "[1] Budget\nParliament opened the debate on the budget. Ministers argued about defence spending. The vote is on Friday.\nSource: https://news.example/budget");
+  assert.deepEqual(report.included.map((c) => [c.chunk_index, c.role, c.marker]), [[1, "hit", 1], [0, "neighbour", 1], [2, "neighbour", 1]]);
+  assert.equal(joinChunks("short", "other"), "short other");
+});
+
+test("neighbours are added closest first and reported when the budget runs out", () => {
+  const words = (n, tag) => `${tag} ${"word ".repeat(n)}end.`;
+  const neighbours = new Map([["a", chunks("a", [words(40, "zero"), words(40, "one"), words(40, "two"), words(40, "three"), words(40, "four")])]]);
+  const hits = [hit("a-2", { article_id: "a", chunk_index: 2, title: "Budget", text: words(40, "two") })];
+  const { report } = buildContext(hits, { maxTokens: 170, neighbours, radius: 2 });
+
+  assert.deepEqual(report.included.map((c) => c.chunk_index), [2, 1, 3]);
+  assert.deepEqual(report.dropped.map((c) => [c.chunk_index, c.reason]), [[0, "budget"], [4, "budget"]]);
+});
@@ -0,0 +1,58 @@
+// test/diversity.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diversifyHits, articleKey } from "../services/diversityService.js";
+
+function hit(id, score, payload) {
+  return { id, score, payload };
+}
+
+const RATES = "The central bank raised interest rates by a quarter point on Tuesday, citing persistent inflation.";
+
+test("near-identical chunks syndicated on other sites are dropped", () => {
+  const hits = [
+    hit(1, 0.95, { article_id: "wire-a", url: "https://a.example/rates", title: "Bank raises rates", text: RATES }),
+    hit(2, 0.94, { article_id: "wire-b", url: "https://b.example/markets/rates", title: "Bank raises rates", text: RATES }),
+    hit(3, 0.6, { article_id: "cup", url: "https://c.example/cup", title: "Local team wins the cup", text: "The local team won the cup final." }),
+  ];
+  const { hits: picked, stats } = diversifyHits(hits, 3);
+  assert.deepEqual(picked.map((h) => h.id), [1, 3]);
+  assert.equal(stats.duplicates, 1);
+});
+
+test("at most maxPerArticle chunks of one article, grouped in chunk order", () => {
+  const chunk = (id, score, index, text) => hit(id, score, { article_id: "long", chunk_index: index, title: "Budget debate", text });
+  const hits = [
+    chunk(1, 0.9, 2, "Ministers argued about the defence budget late into the night."),
+    chunk(2, 0.89, 0, "Parliament opened the budget debate with a statement on taxes."),
+    chunk(3, 0.88, 1, "Opposition leaders demanded more money for hospitals and schools."),
+    hit(4, 0.5, { article_id: "storm", title: "Storm closes harbour", text: "A storm closed the harbour for two days." }),
+  ];
+  const { hits: picked, stats } = diversifyHits(hits, 3, { maxPerArticle: 2, lambda: 1 });
+  assert.deepEqual(picked.map((h) => h.id), [2, 1, 4]);
+  assert.equal(stats.over_article_cap, 1);
+  assert.equal(stats.max_per_article, 2);
+});
+
+test("lambda trades relevance for novelty", () => {
+  const hits = [
+    hit(1, 0.9, { article_id: "a", text: "Rates rise as the central bank fights inflation in the economy." }),
+    hit(2, 0.85, { article_id: "b", text: "Central bank rates rise again to fight inflation, economists say." }),
+    hit(3, 0.7, { article_id: "c", text: "Storm closes the harbour and cancels ferries for two days." }),
+  ];
+  assert.deepEqual(diversifyHits(hits, 2, { lambda: 1 }).hits.map((h) => h.id), [1, 2]);
+  assert.deepEqual(diversifyHits(hits, 2, { lambda: 0.3 }).hits.map((h) => h.id), [1, 3]);
+});
+
+test("articleKey falls back from article_id to normalised url to title", () => {
+  assert.equal(articleKey(hit(1, 1, { article_id: "x", url: "https://a.example/" })), "id:x");
+  assert.equal(articleKey(hit(1, 1, { url: "https://www.A.example/news/story/" })), articleKey(hit(2, 1, { url: "https://a.example/news/story" })));
+  assert.equal(articleKey(hit(1, 1, { title: " Storm Closes Harbour " })), "title:storm closes harbour");
+  assert.equal(articleKey(hit(7, 1, {})), "hit:7");
+});
+
+test("hits without scores keep their rank order as relevance", () => {
+  const hits = [1, 2, 3].map((id) => ({ id, payload: { article_id: `a${id}`, text: `story number ${id} about topic ${"xyz".repeat(id)}` } }));
+  assert.deepEqual(diversifyHits(hits, 3, { lambda: 1 }).hits.map((h) => h.id), [1, 2, 3]);
+  assert.deepEqual(diversifyHits([], 3).hits, []);
+});
@@ -0,0 +1,69 @@
+// test/eval.test.js
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+
+let evalService;
+let articleIdFor;
+
+before(async () => {
+  process.env.LOG_LEVEL = "error";
+  evalService = await import("../services/evalService.js");
+  ({ articleIdFor } = await import("../services/ingestService.js"));
+});
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test("retrieval metrics on a known ranking", () => {
+  const { recallAtK, reciprocalRank, ndcgAtK } = evalService;
+  const ranked = ["x", "a", "y", "b"];
+  const expected = ["a", "b"];
+
+  assert.equal(recallAtK(ranked, expected, 1), 0);
+  assert.equal(recallAtK(ranked, expected, 2), 0.5);
+  assert.equal(recallAtK(ranked, expected, 4), 1);
+  assert.equal(reciprocalRank(ranked, expected), 0.5);
+  assert.equal(reciprocalRank(["x", "y"], expected), 0);
+
+  // relevant at ranks 2 and 4 against the ideal ranks 1 and 2
+  close(ndcgAtK(ranked, expected, 4), (1 / Math.log2(3) + 1 / Math.log2(5)) / (1 + 1 / Math.log2(3)));
+  assert.equal(ndcgAtK(["a", "b"], expected, 10), 1);
+  assert.equal(ndcgAtK(ranked, [], 4), 0);
+});
+
+test("hits collapse to articles, and url-only payloads match expected_urls", () => {
+  const { rankedArticles, parseDataset, recallAtK } = evalService;
+  const hits = [
+    { id: 1, payload: { article_id: "a1", chunk_index: 0 } },
+    { id: 2, payload: { article_id: "a1", chunk_index: 1 } },
+    { id: 3, payload: { url: "https://news.example/legacy/" } },
+    { id: 4, payload: {} },
+  ];
+  const ranked = rankedArticles(hits);
+  assert.deepEqual(ranked, ["a1", articleIdFor({ url: "https://news.example/legacy" }), "4"]);
+
+  const { items, errors } = parseDataset('{"question":"legacy?","expected_urls":["https://news.example/legacy#top"]}\n{"question":"none"}');
+  assert.deepEqual(errors, [{ line: 2, error: "missing expected_article_ids / expected_urls" }]);
+  assert.equal(recallAtK(ranked, items[0].expected, 2), 1);
+});
+
+test("scoreCitations separates invalid markers from citations of the wrong article", () => {
+  const passages = [
+    { marker: 1, id: 10, title: "Expected" },
+    { marker: 2, id: 11, title: "Other" },
+  ];
+  const hits = [
+    { id: 10, payload: { url: "https://news.example/expected" } },
+    { id: 11, payload: { article_id: "other" } },
+  ];
+  const expected = [articleIdFor({ url: "https://news.example/expected" })];
+
+  const scores = evalService.scoreCitations("Rates rose [1]. Banks followed [2]. Nobody knows [7].", passages, hits, expected);
+  assert.deepEqual(scores, { cited: 2, invalid: 1, citation_validity: 2 / 3, citation_precision: 0.5 });
+  assert.equal(evalService.scoreCitations("No markers.", passages, hits, expected).citation_precision, null);
+});
+
+test("tokenF1 compares answers with the reference by tokens", () => {
+  assert.equal(evalService.tokenF1("central bank raised rates", "central bank raised rates"), 1);
+  assert.equal(evalService.tokenF1("football final", "central bank rates"), 0);
+  assert.equal(evalService.tokenF1("", "rates"), 0);
+});
@@ -0,0 +1,62 @@
+// test/featured.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { fakePoint } from "./helpers/fakes.js";
+import { request } from "./helpers/http.js";
+import { startBackend } from "./helpers/backend.js";
+
+let backend;
+
+before(async () => {
+  backend = await startBackend({
+    points: [
+      fakePoint(1, { article_id: "a1", title: "Central bank raises interest rates", text: "The central bank raised interest rates by a quarter point.", url: "https://news.example/rates", published: "2026-10-01T08:00:00Z" }),
+      fakePoint(2, { article_id: "a2", title: "Local team wins the cup", text: "The local football team won the cup final after extra time. ".repeat(10), url: "https://news.example/cup", published: "2026-10-02T20:00:00Z" }),
+      fakePoint(3, { article_id: "a3", title: "Storm closes the harbour", text: "A storm closed the harbour for two days.", url: "https://news.example/storm" }),
+    ],
+  });
+});
+
+after(async () => {
+  await backend.close();
+});
+
+test("GET /featured returns the best matching articles as cards", async () => {
+  const res = await request(backend.url, "GET", "/featured?q=football%20cup%20final&k=2");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.featured.length, 2);
+  const [top] = res.body.featured;
+  assert.equal(top.headline, "Local team wins the cup");
+  assert.equal(top.source, "https://news.example/cup");
+  assert.equal(top.published, "2026-10-02T20:00:00Z");
+  assert.ok(top.excerpt.length <= 202, "excerpt is truncated");
+  assert.equal(res.body.raw.top_k_used, 2);
+
+  // the search went to the stand-in collection, over-fetching MMR_CANDIDATES to pick diverse passages from
+  const search = backend.qdrant.requests.find((r) => r.path.endsWith("/points/search"));
+  assert.equal(search.body.limit, 20);
+});
+
+test("GET /featured clamps k and defaults the query", async () => {
+  const res = await request(backend.url, "GET", "/featured?k=50");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.featured.length, 3);
+  assert.equal(backend.qdrant.requests.at(-1).body.limit, 20);
+  assert.ok(backend.jina.requests.at(-1).body.input.includes("latest news"));
+});
+
+test("GET /featured rejects an unknown retrieval mode, a bad rerank flag and bad filters", async () => {
+  const mode = await request(backend.url, "GET", "/featured?retrieval=magic");
+  assert.equal(mode.status, 400);
+  assert.equal(mode.body.ok, false);
+
+  const rerank = await request(backend.url, "GET", "/featured?rerank=maybe");
+  assert.equal(rerank.status, 400);
+  assert.equal(rerank.body.error, "rerank must be a boolean");
+
+  const filter = await request(backend.url, "GET", "/featured?from=not-a-date");
+  assert.equal(filter.status, 400);
+  assert.equal(filter.body.ok, false);
+});
@@ -0,0 +1,76 @@
+// test/feedback.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { fakePoint } from "./helpers/fakes.js";
+import { request } from "./helpers/http.js";
+import { startBackend, TEST_API_KEY } from "./helpers/backend.js";
+
+const POINTS = [
+  fakePoint(1, { article_id: "a1", chunk_index: 0, title: "Central bank raises interest rates", text: "The central bank raised interest rates by a quarter point.", url: "https://news.example/rates" }),
+];
+
+let backend;
+
+before(async () => {
+  backend = await startBackend({ points: POINTS, reply: () => "Rates went up [1]." });
+});
+
+after(async () => {
+  await backend.close();
+});
+
+async function answered(query) {
+  const { body: session } = await request(backend.url, "POST", "/session", { body: {} });
+  const res = await request(backend.url, "POST", `/chat/${session.sessionId}`, { body: { query } });
+  assert.equal(res.status, 200);
+  return { sessionId: session.sessionId, messageId: res.body.message_id };
+}
+
+test("feedback on an answer is validated, stored and can be replaced", async () => {
+  const { sessionId, messageId } = await answered("what happened to interest rates?");
+  const path = `/chat/${sessionId}/messages/${messageId}/feedback`;
+
+  const invalid = await request(backend.url, "POST", path, { body: { rating: 9 } });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.error, /rating must be an integer between 1 and 5/);
+  assert.equal((await request(backend.url, "POST", path, { body: { rating: 3, reason: "boring" } })).status, 400);
+
+  const missing = await request(backend.url, "POST", `/chat/${sessionId}/messages/no-such-message/feedback`, { body: { rating: 3 } });
+  assert.equal(missing.status, 404);
+
+  const first = await request(backend.url, "POST", path, { body: { rating: 2, reason: "incomplete", comment: " too short " } });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.message_id, messageId);
+  assert.deepEqual({ ...first.body.feedback, created_at: null, updated_at: null }, { rating: 2, reason: "incomplete", comment: "too short", created_at: null, updated_at: null });
+
+  const second = await request(backend.url, "POST", path, { body: { rating: 4 } });
+  assert.equal(second.body.feedback.rating, 4);
+  assert.equal(second.body.feedback.created_at, first.body.feedback.created_at);
+});
+
+test("GET /feedback/report aggregates ratings and lists the worst questions (API keys only)", async () => {
+  const low = await answered("why did the bank raise rates?");
+  const high = await answered("interest rates today");
+  await request(backend.url, "POST", `/chat/${low.sessionId}/messages/${low.messageId}/feedback`, { body: { rating: 1, reason: "incorrect" } });
+  await request(backend.url, "POST", `/chat/${high.sessionId}/messages/${high.messageId}/feedback`, { body: { rating: 5, reason: "helpful" } });
+
+  assert.equal((await request(backend.url, "GET", "/feedback/report")).status, 401);
+  assert.equal((await request(backend.url, "GET", "/feedback/report?bucket=month", { headers: { "x-api-key": TEST_API_KEY } })).status, 400);
+
+  const { status, body: report } = await request(backend.url, "GET", "/feedback/report?from=1d", { headers: { "x-api-key": TEST_API_KEY } });
+  assert.equal(status, 200);
+  assert.equal(report.total, 3);
+  assert.equal(report.average, round2((4 + 1 + 5) / 3));
+  assert.deepEqual(report.distribution, { 1: 1, 2: 0, 3: 0, 4: 1, 5: 1 });
+  assert.deepEqual(report.reasons, { incorrect: 1, helpful: 1 });
+  assert.equal(report.series.reduce((n, p) => n + p.count, 0), 3);
+
+  assert.equal(report.worst[0].query, "why did the bank raise rates?");
+  assert.equal(report.worst[0].average, 1);
+  assert.deepEqual(report.worst[0].sources.map((s) => s.url), ["https://news.example/rates"]);
+  assert.equal(report.worst.at(-1).average, 5);
+});
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
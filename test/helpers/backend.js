@@ -0,0 +1,48 @@
+// test/helpers/backend.js
+/**
+ * startBackend({ points, reply, env }) -> { url, jina, qdrant, gemini, close() }
+ *
+ * Starts the Jina/Qdrant/Gemini stand-ins, points the environment at them and serves
+ * createApp() on a free port. Services read their environment when first imported,
+ * so call this once per test file (node --test runs every file in its own process)
+ * before anything imports app.js.
+ */
+
+import { startFakeJina, startFakeQdrant, startFakeGemini } from "./fakes.js";
+import { listen } from "./http.js";
+
+export const TEST_API_KEY = "test-key";
+
+export async function startBackend({ points = [], reply, env = {} } = {}) {
+  const [jina, qdrant, gemini] = await Promise.all([startFakeJina(), startFakeQdrant({ points }), startFakeGemini({ reply })]);
+
+  delete process.env.REDIS_URL;
+  Object.assign(process.env, {
+    LOG_LEVEL: "error",
+    QDRANT_HOST: qdrant.url,
+    EMBEDDING_PROVIDER: "jina",
+    JINA_API_KEY: "test",
+    JINA_API_URL: `${jina.url}/v1/embeddings`,
+    LLM_PROVIDER: "gemini",
+    GEMINI_API_KEY: "test",
+    GEMINI_BASE_URL: gemini.url,
+    HISTORY_STORE: "memory",
+    RATE_LIMIT_ENABLED: "false",
+    SEMANTIC_CACHE_ENABLED: "false",
+    API_KEYS: `tests:${TEST_API_KEY}`,
+    ...env,
+  });
+
+  const { createApp } = await import("../../app.js");
+  const server = await listen(createApp());
+
+  return {
+    url: server.url,
+    jina,
+    qdrant,
+    gemini,
+    async close() {
+      await Promise.all([server.close(), jina.close(), qdrant.close(), gemini.close()]);
+    },
+  };
+}
@@ -0,0 +1,160 @@
+// test/helpers/fakes.js
+/**
+ * In-process HTTP stand-ins for the external services, so route tests run the real
+ * service code (embeddingService, ragService, llmService) without network access:
+ *   startFakeJina()    POST /v1/embeddings            -> JINA_API_URL
+ *   startFakeQdrant()  /collections/<name>/...        -> QDRANT_HOST
+ *   startFakeGemini()  /v1beta/models/<m>:generateContent / :streamGenerateContent -> GEMINI_BASE_URL
+ * Each resolves to { url, requests, close() }; `requests` records { method, path, body }.
+ */
+
+import http from "http";
+
+export const FAKE_DIMENSION = 768; // jina-embeddings-v2-base-en
+
+/* deterministic bag-of-words embedding: texts sharing words get similar vectors */
+export function fakeEmbedding(text, dimension = FAKE_DIMENSION) {
+  const v = new Array(dimension).fill(0);
+  for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+    let h = 0;
+    for (const ch of word) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+    v[h % dimension] += 1;
+  }
+  const norm = Math.sqrt(v.reduce((s, x) => s + x * x, 0)) || 1;
+  return v.map((x) => x / norm);
+}
+
+function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, path: req.url, body });
+      const send = (status, obj) => {
+        res.writeHead(status, { "content-type": "application/json" });
+        res.end(JSON.stringify(obj));
+      };
+      handler(req, res, body, send);
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((r) => server.close(r)),
+      });
+    });
+  });
+}
+
+/* -------------------------
+   Jina embeddings
+   ------------------------- */
+export function startFakeJina({ dimension = FAKE_DIMENSION } = {}) {
+  return startServer((req, res, body, send) => {
+    if (req.method !== "POST" || !req.url.startsWith("/v1/embeddings")) return send(404, { detail: "not found" });
+    if (!/^Bearer \S+/.test(req.headers.authorization || "")) return send(401, { detail: "missing api key" });
+    send(200, { data: body.input.map((text, index) => ({ index, embedding: fakeEmbedding(text, dimension) })) });
+  });
+}
+
+/* -------------------------
+   Qdrant (one collection; search by dot product; search and scroll honour the filter)
+   ------------------------- */
+
+/* the subset of Qdrant filters the backend sends: must / should / must_not of match { value | any } and range */
+function matchesFilter(payload, filter) {
+  if (!filter) return true;
+  const condition = (c) => {
+    if (c.must || c.should || c.must_not) return matchesFilter(payload, c);
+    const v = payload[c.key];
+    const values = Array.isArray(v) ? v : [v]; // array payloads (category) match when any element does
+    if (c.match) return "any" in c.match ? values.some((x) => c.match.any.includes(x)) : values.includes(c.match.value);
+    if (c.range) {
+      const { gt, gte, lt, lte } = c.range;
+      return v != null && !(gt != null && !(v > gt)) && !(gte != null && !(v >= gte)) && !(lt != null && !(v < lt)) && !(lte != null && !(v <= lte));
+    }
+    return true;
+  };
+  if (filter.must && !filter.must.every(condition)) return false;
+  if (filter.should && !filter.should.some(condition)) return false;
+  if (filter.must_not && filter.must_not.some(condition)) return false;
+  return true;
+}
+export async function startFakeQdrant({ collection = "voosh_news_v1", dimension = FAKE_DIMENSION, points = [] } = {}) {
+  const stored = new Map(points.map((p) => [p.id, p]));
+  const base = `/collections/${collection}`;
+  const fake = await startServer((req, res, body, send) => {
+    const path = req.url.split("?")[0];
+    if (!path.startsWith(base)) return send(404, { status: { error: "Not found: Collection" } });
+    const rest = path.slice(base.length);
+
+    if (req.method === "GET" && rest === "") {
+      return send(200, {
+        result: { status: "green", points_count: stored.size, config: { params: { vectors: { size: dimension, distance: "Cosine" } } } },
+        status: "ok",
+      });
+    }
+    if (req.method === "PUT" && rest === "/index") return send(200, { result: { status: "completed" }, status: "ok" });
+    if (req.method === "PUT" && rest === "/points") {
+      for (const p of body.points) stored.set(p.id, p);
+      return send(200, { result: { status: "completed" }, status: "ok" });
+    }
+    if (req.method === "POST" && rest === "/points/search") {
+      const dot = (a, b) => a.reduce((s, x, i) => s + x * (b[i] || 0), 0);
+      const result = [...stored.values()]
+        .filter((p) => matchesFilter(p.payload || {}, body.filter))
+        .map((p) => ({ id: p.id, score: dot(p.vector, body.vector), payload: p.payload }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, body.limit);
+      return send(200, { result, status: "ok" });
+    }
+    if (req.method === "POST" && rest === "/points/scroll") {
+      const matching = [...stored.values()].filter((p) => matchesFilter(p.payload || {}, body.filter));
+      // pages by position: the offset is the id of the first point of the next page
+      const start = body.offset == null ? 0 : Math.max(0, matching.findIndex((p) => p.id === body.offset));
+      const page = matching.slice(start, start + (body.limit || matching.length));
+      const next = matching[start + page.length]?.id ?? null;
+      const points = page.map(({ id, payload, vector }) => (body.with_vector ? { id, payload, vector } : { id, payload }));
+      return send(200, { result: { points, next_page_offset: next }, status: "ok" });
+    }
+    send(404, { status: { error: `unsupported ${req.method} ${rest}` } });
+  });
+  return { ...fake, points: stored };
+}
+
+/* a Qdrant point for `text`, embedded the same way the fake Jina embeds queries */
+export function fakePoint(id, payload, dimension = FAKE_DIMENSION) {
+  return { id, vector: fakeEmbedding(`${payload.title || ""} ${payload.text || ""}`, dimension), payload };
+}
+
+/* -------------------------
+   Gemini (generateContent + SSE streamGenerateContent)
+   -------------------------
+   `reply(promptText, body)` -> answer text; streamed answers are split into `chunks` parts.
+*/
+export function startFakeGemini({ reply = () => "This is a fake answer [1].", chunks = 3 } = {}) {
+  return startServer((req, res, body, send) => {
+    const match = req.url.match(/^\/v1beta\/models\/([^:]+):(generateContent|streamGenerateContent)/);
+    if (req.method !== "POST" || !match) return send(404, { error: { code: 404, message: "not found" } });
+    if (!req.headers["x-goog-api-key"]) return send(403, { error: { code: 403, message: "API key missing" } });
+
+    const prompt = (body.contents || []).flatMap((c) => c.parts || []).map((p) => p.text || "").join("\n");
+    const text = reply(prompt, body);
+    const candidate = (t, finishReason) => ({ candidates: [{ content: { role: "model", parts: [{ text: t }] }, finishReason, index: 0 }] });
+
+    if (match[2] === "generateContent") {
+      return send(200, { ...candidate(text, "STOP"), usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5 } });
+    }
+    res.writeHead(200, { "content-type": "text/event-stream" });
+    const size = Math.ceil(text.length / chunks);
+    for (let i = 0; i < text.length; i += size) {
+      const last = i + size >= text.length;
+      res.write(`data: ${JSON.stringify(candidate(text.slice(i, i + size), last ? "STOP" : undefined))}\r\n\r\n`);
+    }
+    res.end();
+  });
+}
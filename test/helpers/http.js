@@ -0,0 +1,45 @@
+// test/helpers/http.js
+/**
+ * Helpers for driving an express app over real HTTP in tests.
+ */
+
+/* listen(app) -> { url, close() } on a free local port */
+export function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((r) => server.close(r)),
+      });
+    });
+  });
+}
+
+/* request(base, method, path, { body, headers }) -> { status, headers, body } (JSON parsed when possible) */
+export async function request(base, method, path, { body, headers = {} } = {}) {
+  const res = await fetch(base + path, {
+    method,
+    headers: body === undefined ? headers : { "content-type": "application/json", ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // SSE or plain text
+  }
+  return { status: res.status, headers: res.headers, body: parsed };
+}
+
+/* parseSSE(text) -> [{ event, data }] */
+export function parseSSE(text) {
+  return text
+    .split("\n\n")
+    .filter((frame) => frame.trim())
+    .map((frame) => {
+      const event = frame.match(/^event: (.*)$/m)?.[1] ?? "message";
+      const data = frame.match(/^data: (.*)$/m)?.[1];
+      return { event, data: data === undefined ? null : JSON.parse(data) };
+    });
+}
@@ -0,0 +1,32 @@
+// test/history-store.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+let dir;
+let createFileHistoryStore;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "history-store-"));
+  process.env.LOG_LEVEL = "error";
+  ({ createFileHistoryStore } = await import("../services/historyStore.js"));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("file store keeps every entry of concurrent appends to one session", async () => {
+  const store = createFileHistoryStore({ dir, maxLength: 5 });
+
+  await Promise.all(Array.from({ length: 8 }, (_, i) => store.append("s1", { role: "user", text: `message ${i}` })));
+
+  assert.equal(await store.count("s1"), 5);
+  assert.deepEqual((await store.list("s1")).map((e) => e.text), ["message 3", "message 4", "message 5", "message 6", "message 7"]);
+  assert.deepEqual(fs.readdirSync(dir), ["s1.jsonl"], "no temp file is left behind");
+
+  await Promise.all([store.append("s1", { text: "late" }), store.clear("s1")]);
+  assert.equal(await store.count("s1"), 0);
+});
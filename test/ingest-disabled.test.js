@@ -0,0 +1,32 @@
+// test/ingest-disabled.test.js
+// Neither INGEST_TOKEN nor API_KEYS: the app still starts and only POST /ingest is disabled.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { request, listen } from "./helpers/http.js";
+
+let server;
+
+before(async () => {
+  for (const name of ["QDRANT_HOST", "GEMINI_API_KEY", "JINA_API_KEY", "INGEST_TOKEN", "API_KEYS", "REDIS_URL"]) delete process.env[name];
+  Object.assign(process.env, { LOG_LEVEL: "error", RATE_LIMIT_ENABLED: "false", SEMANTIC_CACHE_ENABLED: "false" });
+
+  const { createApp } = await import("../app.js");
+  const { createMockProvider } = await import("../services/llmService.js");
+  const { createMemoryHistoryStore } = await import("../services/historyStore.js");
+  const retriever = { async getContextWithHits() { throw new Error("not reached"); } };
+  const app = createApp({ retriever, llm: createMockProvider({ responses: ["unused"] }), historyStore: createMemoryHistoryStore() });
+  server = await listen(app);
+});
+
+after(async () => {
+  await server?.close();
+});
+
+test("POST /ingest answers 503 when no ingest credentials are configured", async () => {
+  const res = await request(server.url, "POST", "/ingest", { body: { urls: ["https://news.example/a"] } });
+  assert.equal(res.status, 503);
+  assert.equal(res.body.error, "Ingestion is disabled: set INGEST_TOKEN or API_KEYS");
+
+  const session = await request(server.url, "POST", "/session", { body: {} });
+  assert.equal(session.status, 200);
+});
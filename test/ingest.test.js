@@ -0,0 +1,43 @@
+// test/ingest.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { request } from "./helpers/http.js";
+import { startBackend, TEST_API_KEY } from "./helpers/backend.js";
+
+let backend;
+
+before(async () => {
+  backend = await startBackend({ env: { INGEST_TOKEN: "ingest-secret" } });
+});
+
+after(async () => {
+  await backend.close();
+});
+
+test("POST /ingest requires the ingest token or an API key", async () => {
+  const anonymous = await request(backend.url, "POST", "/ingest", { body: { urls: ["https://news.example/a"] } });
+  assert.equal(anonymous.status, 401);
+
+  const wrong = await request(backend.url, "POST", "/ingest", { body: {}, headers: { "x-ingest-token": "guess" } });
+  assert.equal(wrong.status, 401);
+
+  const token = await request(backend.url, "POST", "/ingest", { body: {}, headers: { "x-ingest-token": "ingest-secret" } });
+  assert.equal(token.status, 400);
+
+  const client = await request(backend.url, "POST", "/ingest", { body: {}, headers: { "x-api-key": TEST_API_KEY } });
+  assert.equal(client.status, 400);
+});
+
+test("POST /ingest refuses to fetch private and local addresses", async () => {
+  const res = await request(backend.url, "POST", "/ingest", {
+    body: { feeds: [`${backend.qdrant.url}/feed.xml`], urls: ["http://169.254.169.254/latest/meta-data", "file:///etc/passwd"] },
+    headers: { "x-api-key": TEST_API_KEY },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.failed.length, 3);
+  assert.match(res.body.failed[0].error, /private or local address/);
+  assert.match(res.body.failed[1].error, /private or local address/);
+  assert.match(res.body.failed[2].error, /Only http\(s\) URLs/);
+  // nothing reached the stand-in at the feed's loopback address
+  assert.ok(!backend.qdrant.requests.some((r) => r.path === "/feed.xml"));
+});
@@ -0,0 +1,116 @@
+// test/intent.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { classifyQuery, parseTimeWindow } from "../services/intentService.js";
+import { fakePoint } from "./helpers/fakes.js";
+import { request, parseSSE } from "./helpers/http.js";
+import { startBackend } from "./helpers/backend.js";
+
+// Wednesday 2026-10-14 15:00 UTC
+const NOW = Date.UTC(2026, 9, 14, 15, 0);
+
+test("classifyQuery separates chit-chat, meta, headlines and news questions", () => {
+  const intent = (q) => classifyQuery(q, { now: NOW }).intent;
+
+  assert.equal(intent("Hi!"), "chit_chat");
+  assert.equal(intent("thanks a lot"), "chit_chat");
+  assert.match(classifyQuery("Good morning").reply, /VooshNews/);
+  assert.equal(intent("What can you do?"), "meta");
+  assert.equal(intent("What's the latest news?"), "headlines");
+  assert.equal(intent("top stories today"), "headlines");
+  assert.equal(intent("what happened yesterday"), "headlines");
+  assert.equal(intent("latest news on interest rates"), "news");
+  assert.equal(intent("hi, what happened in the election?"), "news");
+  assert.equal(intent("interest rates"), "news");
+});
+
+test("parseTimeWindow turns relative time expressions into a UTC date window", () => {
+  const window = (q) => {
+    const w = parseTimeWindow(q, NOW);
+    return w && [w.from, w.to];
+  };
+
+  assert.deepEqual(window("what did the bank do yesterday?"), ["2026-10-13T00:00:00.000Z", "2026-10-14T00:00:00.000Z"]);
+  assert.deepEqual(window("today's headlines"), ["2026-10-14T00:00:00.000Z", null]);
+  assert.deepEqual(window("rates this week"), ["2026-10-12T00:00:00.000Z", null]);
+  assert.deepEqual(window("football last week"), ["2026-10-05T00:00:00.000Z", "2026-10-12T00:00:00.000Z"]);
+  assert.deepEqual(window("elections in the past 3 days"), ["2026-10-11T15:00:00.000Z", null]);
+  assert.deepEqual(window("news from last month"), ["2026-09-01T00:00:00.000Z", "2026-10-01T00:00:00.000Z"]);
+  assert.deepEqual(window("scores this weekend"), ["2026-10-10T00:00:00.000Z", "2026-10-12T00:00:00.000Z"]);
+  assert.equal(parseTimeWindow("scores this weekend", Date.UTC(2026, 9, 18, 9, 0)).from, "2026-10-17T00:00:00.000Z");
+  assert.equal(window("interest rates"), null);
+  assert.equal(classifyQuery("rates this week", { now: NOW }).window.expression, "this week");
+});
+
+/* route tests run against the real clock: one story from an hour ago, one from 2020 */
+const RECENT = new Date(Date.now() - 3_600_000).toISOString();
+const POINTS = [
+  fakePoint(1, { article_id: "a1", chunk_index: 0, title: "Central bank raises interest rates", text: "The central bank raised interest rates by a quarter point.", url: "https://news.example/rates", published: RECENT }),
+  fakePoint(2, { article_id: "a2", chunk_index: 0, title: "Local team wins the cup", text: "The local football team won the cup final after extra time.", url: "https://news.example/cup", published: "2020-05-01T12:00:00Z" }),
+];
+
+let backend;
+
+before(async () => {
+  backend = await startBackend({ points: POINTS, reply: () => "Rates went up [1]." });
+});
+
+after(async () => {
+  await backend.close();
+});
+
+async function newSession() {
+  const res = await request(backend.url, "POST", "/session", { body: {} });
+  return res.body.sessionId;
+}
+
+test("chit-chat gets a canned reply without retrieval or a model call", async () => {
+  const sessionId = await newSession();
+  const calls = backend.jina.requests.length + backend.gemini.requests.length;
+  const res = await request(backend.url, "POST", `/chat/${sessionId}`, { body: { query: "Hello!" } });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.route, { intent: "chit_chat", handler: "canned", window: null, reason: "greeting" });
+  assert.match(res.body.answer, /VooshNews/);
+  assert.deepEqual(res.body.hits, []);
+  assert.equal(backend.jina.requests.length + backend.gemini.requests.length, calls);
+
+  const history = await request(backend.url, "GET", `/chat/${sessionId}`);
+  assert.equal(history.body.history[0].route, "chit_chat");
+
+  const stream = await request(backend.url, "GET", `/chat/${sessionId}/stream?query=${encodeURIComponent("what can you do?")}`);
+  const events = parseSSE(stream.body);
+  assert.deepEqual(events.map((e) => e.event), ["hits", "delta", "done"]);
+  assert.equal(events.at(-1).data.route.intent, "meta");
+});
+
+test("a headlines request lists the featured stories of the last hours", async () => {
+  const sessionId = await newSession();
+  const answers = backend.gemini.requests.length;
+  const res = await request(backend.url, "POST", `/chat/${sessionId}`, { body: { query: "What's the latest news?" } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.route.intent, "headlines");
+  assert.equal(res.body.route.handler, "featured");
+  assert.ok(res.body.route.window.from);
+  assert.equal(res.body.answer, "Here are the latest headlines:\n\n- Central bank raises interest rates [1]");
+  assert.equal(res.body.citations[0].url, "https://news.example/rates");
+  assert.equal(backend.gemini.requests.length, answers);
+});
+
+test("a news question limits retrieval to the window of its time expression", async () => {
+  const sessionId = await newSession();
+  const res = await request(backend.url, "POST", `/chat/${sessionId}`, { body: { query: "what did the central bank do with interest rates yesterday?" } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.route.handler, "rag");
+  const { from, to } = parseTimeWindow("yesterday");
+  assert.deepEqual(res.body.route.window, { from, to });
+
+  const search = backend.qdrant.requests.findLast((r) => r.path.endsWith("/points/search"));
+  assert.deepEqual(search.body.filter.must, [{ key: "published", range: { gte: from, lte: to } }]);
+
+  // a window in the request wins over the message's
+  const own = await request(backend.url, "POST", `/chat/${sessionId}`, { body: { query: "interest rates yesterday", from: "2026-01-01" } });
+  assert.equal(own.body.route.window, null);
+});
@@ -0,0 +1,52 @@
+// test/keyword-index.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+let dir;
+let keywordIndex;
+let file;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "keyword-index-"));
+  file = path.join(dir, "index.json");
+  process.env.KEYWORD_INDEX_PATH = file;
+  process.env.LOG_LEVEL = "error";
+  ({ default: keywordIndex } = await import("../services/keywordIndex.js"));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/* what another process (the ingest script) would write */
+function writeFromElsewhere(docs, mtime) {
+  fs.writeFileSync(file, JSON.stringify({ version: 1, docs }));
+  fs.utimesSync(file, mtime, mtime);
+}
+
+test("load() picks up an index file rewritten by another process", () => {
+  assert.equal(keywordIndex.load(), false);
+
+  keywordIndex.upsertDocuments([{ id: 1, text: "Central bank raises interest rates", articleId: "a1", chunkIndex: 0 }]);
+  keywordIndex.save();
+  assert.equal(keywordIndex.load(), true);
+  assert.deepEqual(keywordIndex.search("football").map((r) => r.id), []);
+
+  writeFromElsewhere({
+    1: ["a1", 0, 4, { central: 1, bank: 1, raises: 1, rates: 1 }],
+    2: ["a2", 0, 3, { football: 1, cup: 1, final: 1 }],
+  }, new Date(Date.now() + 5000));
+  assert.equal(keywordIndex.load(), true);
+  assert.equal(keywordIndex.size(), 2);
+  assert.deepEqual(keywordIndex.search("football cup").map((r) => r.id), ["2"]);
+
+  // an unreadable rewrite keeps the index in memory
+  fs.writeFileSync(file, "{ half a fi");
+  fs.utimesSync(file, new Date(Date.now() + 10000), new Date(Date.now() + 10000));
+  assert.equal(keywordIndex.load(), true);
+  assert.equal(keywordIndex.size(), 2);
+  assert.deepEqual(fs.readdirSync(dir), ["index.json"], "save() leaves no temp file behind");
+});
@@ -0,0 +1,44 @@
+// test/session-store.test.js
+// REDIS_URL points at a port nothing listens on: the session and user stores stay Redis (they
+// are chosen once) and their routes answer 503 instead of handing out memory-only records.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { request, listen } from "./helpers/http.js";
+
+let server;
+let redis;
+
+before(async () => {
+  for (const name of ["QDRANT_HOST", "GEMINI_API_KEY", "JINA_API_KEY"]) delete process.env[name];
+  Object.assign(process.env, { LOG_LEVEL: "error", RATE_LIMIT_ENABLED: "false", SEMANTIC_CACHE_ENABLED: "false", API_KEYS: "tests:session-store-key", REDIS_URL: "redis://127.0.0.1:1" });
+
+  ({ redis } = await import("../services/redisClient.js"));
+  const { createApp } = await import("../app.js");
+  const { createMockProvider } = await import("../services/llmService.js");
+  const { createMemoryHistoryStore } = await import("../services/historyStore.js");
+  const retriever = { async getContextWithHits() { throw new Error("not reached"); } };
+  const app = createApp({ retriever, llm: createMockProvider({ responses: ["unused"] }), historyStore: createMemoryHistoryStore() });
+  server = await listen(app);
+});
+
+after(async () => {
+  await server?.close();
+  redis?.disconnect();
+});
+
+test("session routes answer 503 while Redis is unreachable", async () => {
+  const created = await request(server.url, "POST", "/session", { body: {} });
+  assert.equal(created.status, 503);
+  assert.equal(created.body.error, "Session store unavailable");
+
+  const chat = await request(server.url, "POST", "/chat/some-session", { body: { query: "rates" } });
+  assert.equal(chat.status, 503);
+});
+
+test("register and login answer 503 while Redis is unreachable", async () => {
+  const body = { email: "reader@news.example", password: "correct horse" };
+  const registered = await request(server.url, "POST", "/auth/register", { body });
+  assert.equal(registered.status, 503);
+  assert.equal(registered.body.error, "User store unavailable");
+  assert.equal((await request(server.url, "POST", "/auth/login", { body })).status, 503);
+});
@@ -0,0 +1,90 @@
+// test/session.test.js
+// Runs without any stand-in servers: retriever, LLM and history store are injected
+// through createApp, and QDRANT_HOST / GEMINI_API_KEY are deliberately unset.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { request, listen } from "./helpers/http.js";
+
+const API_KEY = "session-test-key";
+let server;
+let retrieverCalls = 0;
+
+before(async () => {
+  for (const name of ["QDRANT_HOST", "GEMINI_API_KEY", "JINA_API_KEY", "REDIS_URL"]) delete process.env[name];
+  Object.assign(process.env, { LOG_LEVEL: "error", RATE_LIMIT_ENABLED: "false", SEMANTIC_CACHE_ENABLED: "false", API_KEYS: `tests:${API_KEY}` });
+
+  const { createApp } = await import("../app.js");
+  const { createMockProvider } = await import("../services/llmService.js");
+  const { createMemoryHistoryStore } = await import("../services/historyStore.js");
+
+  const retriever = {
+    async getContextWithHits(query, topK) {
+      retrieverCalls += 1;
+      const hits = [{ id: 1, score: 0.9, payload: { title: "Injected article", text: `About ${query}.`, url: "https://news.example/injected" } }];
+      return { context: `[1] Injected article\nAbout ${query}.`, passages: [{ marker: 1, id: 1, title: "Injected article", url: "https://news.example/injected", published: null }], hits, top_k_used: topK, mode: "dense", reranker: null };
+    },
+  };
+  const app = createApp({ retriever, llm: createMockProvider({ responses: ["Injected answer [1]."] }), historyStore: createMemoryHistoryStore() });
+  server = await listen(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+const asClient = { "x-api-key": API_KEY };
+
+test("POST /session creates a titled session with metadata", async () => {
+  const res = await request(server.url, "POST", "/session", { body: { title: "  Morning briefing ", metadata: { client: "web", version: 3 } } });
+  assert.equal(res.status, 200);
+  assert.ok(res.body.sessionId);
+  assert.equal(res.body.title, "Morning briefing");
+  assert.deepEqual(res.body.metadata, { client: "web", version: 3 });
+  assert.equal(res.body.owner, undefined, "the owner principal is not exposed");
+});
+
+test("POST /session rejects invalid titles and metadata", async () => {
+  const title = await request(server.url, "POST", "/session", { body: { title: "" } });
+  assert.equal(title.status, 400);
+  const metadata = await request(server.url, "POST", "/session", { body: { metadata: "nope" } });
+  assert.equal(metadata.status, 400);
+});
+
+test("GET /session/:sessionId counts messages answered through the injected dependencies", async () => {
+  const { body: session } = await request(server.url, "POST", "/session", { body: {} });
+  const chat = await request(server.url, "POST", `/chat/${session.sessionId}`, { body: { query: "injected news" } });
+  assert.equal(chat.status, 200);
+  assert.equal(chat.body.answer, "Injected answer [1].");
+  assert.equal(chat.body.citations[0].url, "https://news.example/injected");
+  assert.ok(retrieverCalls > 0);
+
+  const res = await request(server.url, "GET", `/session/${session.sessionId}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.message_count, 1);
+  assert.equal(res.body.title, "injected news", "untitled sessions are named after the first question");
+});
+
+test("PATCH /session/:sessionId renames; unknown sessions are 404", async () => {
+  const { body: session } = await request(server.url, "POST", "/session", { body: {} });
+  const renamed = await request(server.url, "PATCH", `/session/${session.sessionId}`, { body: { title: "Renamed" } });
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.body.title, "Renamed");
+
+  const missing = await request(server.url, "GET", "/session/does-not-exist");
+  assert.equal(missing.status, 404);
+});
+
+test("GET /session lists the caller's own sessions and requires authentication", async () => {
+  const anonymous = await request(server.url, "GET", "/session");
+  assert.equal(anonymous.status, 401);
+
+  const { body: mine } = await request(server.url, "POST", "/session", { body: { title: "Client session" }, headers: asClient });
+  const list = await request(server.url, "GET", "/session", { headers: asClient });
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.sessions.map((s) => s.sessionId), [mine.sessionId]);
+  assert.equal(list.body.total, 1);
+
+  // another caller's session is not visible to anonymous callers
+  const foreign = await request(server.url, "GET", `/session/${mine.sessionId}`);
+  assert.equal(foreign.status, 404);
+});
@@ -0,0 +1,99 @@
+// eval.mjs
+// Usage:
+//   node -r dotenv/config tools/eval.mjs --dataset golden.jsonl [--k 1,3,5,10] [--top-k 10] [--mode dense|keyword|hybrid]
+//        [--rerank true|false] [--retry true|false] [--context-tokens 3000] [--answers true|false] [--llm stub|env]
+//        [--neighbours 1] [--diversity true|false] [--mmr-lambda 0.7] [--max-per-article 2]
+//        [--corpus articles.jsonl] [--out reports/baseline] [--name "baseline"]
+// Scores retrieval (recall@k, MRR, nDCG@k) and, with --answers, citation validity/precision and
+// reference overlap. --out writes <prefix>.json and <prefix>.md; otherwise the Markdown report is printed.
+// Offline run: EMBEDDING_PROVIDER=local, a local QDRANT_HOST, --corpus to ingest first and --llm stub (default).
+import fs from "fs";
+import path from "path";
+import { parseDataset, runEvaluation, toMarkdown, extractiveStub, DEFAULT_KS } from "../services/evalService.js";
+import { ingestJsonl } from "../services/ingestService.js";
+
+const args = process.argv.slice(2);
+const opts = { dataset: "", corpus: "", out: "", name: "", ks: DEFAULT_KS, llm: "stub" };
+
+function flag(value) {
+  return /^(1|true|yes|on)$/i.test(value);
+}
+
+for (let i = 0; i < args.length; i++) {
+  const name = args[i];
+  const value = args[i + 1];
+  if (!value) {
+    console.error(`Missing value for ${name}`);
+    process.exit(1);
+  }
+  if (name === "--dataset") opts.dataset = value;
+  else if (name === "--corpus") opts.corpus = value;
+  else if (name === "--out") opts.out = value;
+  else if (name === "--name") opts.name = value;
+  else if (name === "--k") opts.ks = value.split(",").map((k) => parseInt(k, 10)).filter((k) => k > 0);
+  else if (name === "--top-k") opts.topK = parseInt(value, 10);
+  else if (name === "--mode") opts.mode = value;
+  else if (name === "--rerank") opts.rerank = flag(value);
+  else if (name === "--retry") opts.retry = flag(value);
+  else if (name === "--context-tokens") opts.maxContextTokens = parseInt(value, 10);
+  else if (name === "--neighbours") opts.neighbours = parseInt(value, 10);
+  else if (name === "--diversity") opts.diversity = flag(value) ? opts.diversity || {} : false;
+  else if (name === "--mmr-lambda") opts.diversity = { ...opts.diversity, lambda: Number(value) };
+  else if (name === "--max-per-article") opts.diversity = { ...opts.diversity, maxPerArticle: parseInt(value, 10) };
+  else if (name === "--answers") opts.answers = flag(value);
+  else if (name === "--llm") opts.llm = value;
+  else {
+    console.error(`Unknown flag ${name} (expected --dataset, --k, --top-k, --mode, --rerank, --retry, --context-tokens, --neighbours, --diversity, --mmr-lambda, --max-per-article, --answers, --llm, --corpus, --out or --name)`);
+    process.exit(1);
+  }
+  i++;
+}
+
+if (!opts.dataset) {
+  console.error("No dataset. Usage: tools/eval.mjs --dataset <golden.jsonl> [--answers true] [--out <prefix>]");
+  process.exit(1);
+}
+if (!opts.ks.length) {
+  console.error("--k must be a comma separated list of positive integers, e.g. 1,3,5,10");
+  process.exit(1);
+}
+if (!["stub", "env"].includes(opts.llm)) {
+  console.error(`Unknown --llm ${opts.llm} (expected stub or env)`);
+  process.exit(1);
+}
+
+(async () => {
+  try {
+    const { items, errors } = parseDataset(fs.readFileSync(opts.dataset, "utf8"));
+    if (errors.length) console.warn("Dataset errors:", errors);
+    if (!items.length) {
+      console.error("Dataset has no usable questions.");
+      process.exit(1);
+    }
+
+    if (opts.corpus) {
+      const summary = await ingestJsonl(fs.readFileSync(opts.corpus, "utf8"));
+      console.log("Ingested corpus articles:", summary.articles, "chunks:", summary.chunks);
+    }
+
+    const report = await runEvaluation(items, {
+      ...opts,
+      provider: opts.llm === "stub" ? extractiveStub() : undefined,
+    });
+    const title = `Evaluation report${opts.name ? ` — ${opts.name}` : ""}`;
+    const markdown = toMarkdown(report, title);
+
+    if (opts.out) {
+      fs.mkdirSync(path.dirname(path.resolve(opts.out)), { recursive: true });
+      fs.writeFileSync(`${opts.out}.json`, JSON.stringify({ name: opts.name || null, dataset: path.basename(opts.dataset), ...report }, null, 2) + "\n");
+      fs.writeFileSync(`${opts.out}.md`, markdown);
+      console.log(`Wrote ${opts.out}.json and ${opts.out}.md`);
+    } else {
+      console.log(markdown);
+    }
+    process.exit(0);
+  } catch (e) {
+    console.error("Eval error:", e?.message ?? e);
+    process.exit(1);
+  }
+})();
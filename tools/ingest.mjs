@@ -0,0 +1,45 @@
+// ingest.mjs
+// Usage:
+//   node -r dotenv/config tools/ingest.mjs --feed https://example.com/rss.xml --url https://example.com/story --jsonl articles.jsonl
+// Flags can be repeated. Writes to COLLECTION_NAME in QDRANT_HOST, embeds with EMBEDDING_PROVIDER (Jina by default).
+import fs from "fs";
+import { ingest } from "../services/ingestService.js";
+
+const args = process.argv.slice(2);
+const request = { feeds: [], urls: [], articles: [], jsonl: "" };
+
+for (let i = 0; i < args.length; i++) {
+  const flag = args[i];
+  const value = args[i + 1];
+  if (!value) {
+    console.error(`Missing value for ${flag}`);
+    process.exit(1);
+  }
+  if (flag === "--feed") request.feeds.push(value);
+  else if (flag === "--url") request.urls.push(value);
+  else if (flag === "--jsonl") request.jsonl += fs.readFileSync(value, "utf8") + "\n";
+  else {
+    console.error(`Unknown flag ${flag} (expected --feed, --url or --jsonl)`);
+    process.exit(1);
+  }
+  i++;
+}
+
+if (!request.feeds.length && !request.urls.length && !request.jsonl.trim()) {
+  console.error("Nothing to ingest. Usage: tools/ingest.mjs [--feed <url>] [--url <url>] [--jsonl <file>]");
+  process.exit(1);
+}
+
+(async () => {
+  try {
+    const summary = await ingest(request);
+    console.log("Ingested articles:", summary.articles, "chunks:", summary.chunks);
+    if (summary.skipped.length) console.log("Skipped:", summary.skipped);
+    if (summary.failed.length) console.warn("Failed:", summary.failed);
+    if (summary.errors.length) console.warn("JSONL errors:", summary.errors);
+    process.exit(summary.failed.length ? 2 : 0);
+  } catch (e) {
+    console.error("Ingest error:", e?.message ?? e);
+    process.exit(1);
+  }
+})();